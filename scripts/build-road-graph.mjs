@@ -0,0 +1,253 @@
+/**
+ * Road graph builder for Iceland Geoportal
+ * Turns an OpenStreetMap extract into the compact graph used by the offline
+ * routing worker (assets/data/iceland-roads.json).
+ *
+ * Input is Overpass JSON with the road ways and their nodes, e.g. from:
+ *
+ *   [out:json][timeout:600];
+ *   area["ISO3166-1"="IS"][admin_level=2]->.is;
+ *   (
+ *     way["highway"~"^(motorway|trunk|primary|secondary|tertiary|unclassified)(_link)?$"](area.is);
+ *     way["highway"]["ref"~"^F"](area.is);
+ *   );
+ *   out body;
+ *   >;
+ *   out skel qt;
+ *
+ * Usage:
+ *   node scripts/build-road-graph.mjs <overpass.json> [output.json] [--tolerance=<meters>]
+ *
+ * Ways are split at junctions, each stretch is simplified (Douglas-Peucker,
+ * 60 m by default) and only the largest connected network is kept.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+
+const DEFAULT_OUTPUT = 'assets/data/iceland-roads.json';
+const DEFAULT_TOLERANCE = 60;
+
+// Average speeds (km/h) per transport mode; order matters, roads point at the index
+const CLASSES = [
+    { id: 'primary', speed: { driving: 85, cycling: 20, walking: 5 } },
+    { id: 'secondary', speed: { driving: 70, cycling: 18, walking: 5 } },
+    { id: 'gravel', speed: { driving: 50, cycling: 14, walking: 4.5 } },
+    { id: 'highland', speed: { driving: 30, cycling: 10, walking: 4 } }
+];
+
+const PRIMARY_HIGHWAYS = new Set(['motorway', 'motorway_link', 'trunk', 'trunk_link', 'primary', 'primary_link']);
+const UNPAVED_SURFACES = new Set(['unpaved', 'gravel', 'fine_gravel', 'compacted', 'dirt', 'ground', 'earth', 'sand', 'rock']);
+
+// ==================== CLI ====================
+
+const args = process.argv.slice(2);
+const files = args.filter(arg => !arg.startsWith('--'));
+const toleranceArg = args.find(arg => arg.startsWith('--tolerance='));
+const tolerance = toleranceArg ? Number(toleranceArg.split('=')[1]) : DEFAULT_TOLERANCE;
+
+if (files.length === 0 || !Number.isFinite(tolerance)) {
+    console.error('Uso: node scripts/build-road-graph.mjs <overpass.json> [salida.json] [--tolerance=<metros>]');
+    process.exit(1);
+}
+
+const [input, output = DEFAULT_OUTPUT] = files;
+const graph = buildRoadGraph(JSON.parse(readFileSync(input, 'utf8')), { tolerance });
+writeFileSync(output, JSON.stringify(graph));
+
+console.log(`${output}: ${graph.nodes.length / 2} nodos, ${graph.edges.length / 3} tramos, ${graph.roads.length} carreteras`);
+
+// ==================== BUILD ====================
+
+/**
+ * Build the compact graph from Overpass JSON
+ * @param {Object} data - { elements: [node, way, ...] }
+ * @param {Object} options - { tolerance: simplification in meters }
+ * @returns {Object} - { version, attribution, classes, roads, nodes, edges }
+ */
+function buildRoadGraph(data, { tolerance = DEFAULT_TOLERANCE } = {}) {
+    const coordinates = new Map();
+    const ways = [];
+
+    (data.elements || []).forEach(element => {
+        if (element.type === 'node') {
+            coordinates.set(element.id, [element.lat, element.lon]);
+        } else if (element.type === 'way' && element.tags?.highway && element.nodes?.length > 1) {
+            ways.push(element);
+        }
+    });
+
+    // Nodes shared by several ways, or ending one, become graph nodes
+    const useCount = new Map();
+    ways.forEach(way => {
+        way.nodes.forEach((id, i) => {
+            const isEnd = i === 0 || i === way.nodes.length - 1;
+            useCount.set(id, (useCount.get(id) || 0) + (isEnd ? 2 : 1));
+        });
+    });
+
+    const roads = [];
+    const roadIndex = new Map();
+    const edges = [];
+
+    ways.forEach(way => {
+        const road = getRoadIndex(way.tags, roads, roadIndex);
+        const points = way.nodes.filter(id => coordinates.has(id));
+        let stretch = [points[0]];
+
+        for (let i = 1; i < points.length; i++) {
+            stretch.push(points[i]);
+            if (useCount.get(points[i]) > 1 || i === points.length - 1) {
+                simplify(stretch, coordinates, tolerance).reduce((from, to) => {
+                    if (from !== to) edges.push([from, to, road]);
+                    return to;
+                });
+                stretch = [points[i]];
+            }
+        }
+    });
+
+    return compact(edges, coordinates, roads);
+}
+
+/**
+ * Road index for a way's ref, name and class (added on first use)
+ */
+function getRoadIndex(tags, roads, roadIndex) {
+    const ref = (tags.ref || '').split(';')[0].trim();
+    const name = tags.name || '';
+    const key = `${ref}|${name}|${getClassIndex(tags, ref)}`;
+
+    if (!roadIndex.has(key)) {
+        roadIndex.set(key, roads.length);
+        roads.push([ref, name, getClassIndex(tags, ref)]);
+    }
+    return roadIndex.get(key);
+}
+
+/**
+ * Speed class of a way: F-roads are highland tracks, then surface, then highway type
+ */
+function getClassIndex(tags, ref) {
+    if (/^F\d/.test(ref)) return 3;
+    if (UNPAVED_SURFACES.has(tags.surface)) return 2;
+    if (PRIMARY_HIGHWAYS.has(tags.highway)) return 0;
+    return 1;
+}
+
+/**
+ * Douglas-Peucker simplification of a stretch of node ids (ends are kept)
+ */
+function simplify(ids, coordinates, tolerance) {
+    if (ids.length <= 2) return ids;
+
+    const first = coordinates.get(ids[0]);
+    const last = coordinates.get(ids[ids.length - 1]);
+    let farthest = 0;
+    let farthestDistance = -1;
+
+    for (let i = 1; i < ids.length - 1; i++) {
+        const distance = segmentDistance(coordinates.get(ids[i]), first, last);
+        if (distance > farthestDistance) {
+            farthestDistance = distance;
+            farthest = i;
+        }
+    }
+
+    if (farthestDistance <= tolerance) return [ids[0], ids[ids.length - 1]];
+
+    const left = simplify(ids.slice(0, farthest + 1), coordinates, tolerance);
+    const right = simplify(ids.slice(farthest), coordinates, tolerance);
+    return [...left.slice(0, -1), ...right];
+}
+
+/**
+ * Keep the largest connected network and renumber its nodes
+ */
+function compact(edges, coordinates, roads) {
+    const adjacency = new Map();
+    edges.forEach(([from, to]) => {
+        if (!adjacency.has(from)) adjacency.set(from, []);
+        if (!adjacency.has(to)) adjacency.set(to, []);
+        adjacency.get(from).push(to);
+        adjacency.get(to).push(from);
+    });
+
+    let largest = new Set();
+    const seen = new Set();
+    adjacency.forEach((_, start) => {
+        if (seen.has(start)) return;
+
+        const component = new Set([start]);
+        const stack = [start];
+        while (stack.length > 0) {
+            adjacency.get(stack.pop()).forEach(next => {
+                if (!component.has(next)) {
+                    component.add(next);
+                    stack.push(next);
+                }
+            });
+        }
+
+        component.forEach(id => seen.add(id));
+        if (component.size > largest.size) largest = component;
+    });
+
+    const dropped = seen.size - largest.size;
+    if (dropped > 0) {
+        console.warn(`Se descartan ${dropped} nodos sin conexión con la red principal`);
+    }
+
+    const index = new Map();
+    const nodes = [];
+    largest.forEach(id => {
+        index.set(id, index.size);
+        const [lat, lng] = coordinates.get(id);
+        nodes.push(round(lat), round(lng));
+    });
+
+    const flatEdges = [];
+    const usedRoads = new Map();
+    const keptRoads = [];
+    edges.forEach(([from, to, road]) => {
+        if (!largest.has(from)) return;
+        if (!usedRoads.has(road)) {
+            usedRoads.set(road, keptRoads.length);
+            keptRoads.push(roads[road]);
+        }
+        flatEdges.push(index.get(from), index.get(to), usedRoads.get(road));
+    });
+
+    return {
+        version: 1,
+        attribution: 'Red viaria de Islandia basada en OpenStreetMap (© OpenStreetMap contributors)',
+        classes: CLASSES,
+        roads: keptRoads,
+        nodes,
+        edges: flatEdges
+    };
+}
+
+// ==================== GEOMETRY ====================
+
+/**
+ * Distance in meters from a point to a segment, all [lat, lng]
+ * Uses a flat projection around the point, fine at road-segment scale.
+ */
+function segmentDistance(point, a, b) {
+    const metersPerDegree = 111320;
+    const cosLat = Math.cos(point[0] * Math.PI / 180);
+    const toXY = ([lat, lng]) => [(lng - point[1]) * metersPerDegree * cosLat, (lat - point[0]) * metersPerDegree];
+
+    const [ax, ay] = toXY(a);
+    const [bx, by] = toXY(b);
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+
+    return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+function round(value) {
+    return Math.round(value * 1e5) / 1e5;
+}
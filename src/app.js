@@ -4,11 +4,22 @@
  */
 
 import { MapManager } from './components/Map.js';
-import { pois, categories, getCategoryById, getPoiById, searchPois, getPoiCountByCategory } from './data/pois.js';
-import { RouteService } from './services/database.js';
-import { calculateRoute, formatDistance, formatDuration, TransportModes } from './services/routing.js';
-import { exportToPDF, exportToHTML, exportToJSON } from './services/export.js';
-import { showToast, debounce, formatDate, formatRelativeTime } from './utils/helpers.js';
+import { pois, categories, getCategoryById, getPoiById } from './data/pois.js';
+import { RouteService, RouteSortFields, DEFAULT_ROUTE_QUERY, TripService, RevisionService, SettingsService } from './services/database.js';
+import { calculateRoute, calculateDurationMatrix, formatDistance, formatDuration, getInsertionIndex, getLegIndex, TransportModes, getRoutingConfig, loadRoutingConfig, saveRoutingConfig } from './services/routing.js';
+import { optimizeTour, TourTypes } from './services/optimizer.js';
+import { DEFAULT_DAY_PLAN, planDays, getDayForWaypoint, moveWaypointToDay } from './services/itinerary.js';
+import { RoutingProviders } from './services/routingProviders.js';
+import { getDirections } from './services/directions.js';
+import { DEFAULT_FILTERS, Seasons, VisitDurations, filterPois, countByCategory, hasActiveFilters } from './services/filters.js';
+import { highlightMatches, getMatchSnippet } from './services/search.js';
+import { GeocodingProviders, getGeocodingConfig, loadGeocodingConfig, saveGeocodingConfig, reverseGeocode, parseCoordinates, formatCoordinates } from './services/geocoding.js';
+import { ElevationSources, getElevationConfig, loadElevationConfig, saveElevationConfig, getElevationProfile, compactProfile, renderElevationSvg } from './services/elevation.js';
+import { ExportFormats, getDefaultExportOptions, exportRoute, exportBooklet, getBatchExportFormats, exportRoutesAsZip } from './services/export.js';
+import { ImportFormats, readImportFile, saveImport } from './services/import.js';
+import { RestoreModes, downloadBackup, parseBackup, restoreBackup } from './services/backup.js';
+import { diffRoutes } from './services/revisions.js';
+import { showToast, debounce, formatDate, formatRelativeTime, generateId, escapeHtml } from './utils/helpers.js';
 
 /**
  * Main Application Class
@@ -17,19 +28,41 @@ class GeoportalApp {
     constructor() {
         this.map = null;
         this.currentView = 'explore';
-        this.activeFilters = new Set(['all']);
+        this.filters = { ...DEFAULT_FILTERS };
+        this.filterToView = false;
+        this.filteredPois = pois;
+        this.searchCoordinates = null;
         this.currentRoute = {
             waypoints: [],
             distance: 0,
             duration: 0,
             geometry: null,
-            transportMode: 'driving'
+            legs: [],
+            elevation: null,
+            transportMode: 'driving',
+            dayPlan: { ...DEFAULT_DAY_PLAN }
         };
-        this.savedRoutes = [];
+        this.routeCount = 0;
+        this.trips = [];
+        this.routeTags = [];
+        this.routeFilters = { ...DEFAULT_ROUTE_QUERY };
+        this.routeQueryId = 0;
         this.selectedRouteId = null;
+        this.editingRouteId = null;
+        this.revisions = [];
+        this.exportTarget = null;
+        this.importFiles = [];
+        this.backupData = null;
+        this.lastOptimization = null;
+        this.directionsLanguage = 'es';
+        this.directions = [];
+        this.elevationPoints = [];
+        this.routeRequestId = 0;
+        this.viaLegIndex = null;
 
         // Bind methods
         this.handleSearch = debounce(this.handleSearch.bind(this), 300);
+        this.scheduleReroute = debounce(() => this.updateRouteOnMap({ fit: false }), 500);
     }
 
     /**
@@ -38,6 +71,8 @@ class GeoportalApp {
     async init() {
         console.log('Initializing Iceland Geoportal...');
 
+        await this.loadSettings();
+
         // Initialize map
         this.map = new MapManager('map');
         this.map.init();
@@ -48,13 +83,19 @@ class GeoportalApp {
         // Setup map event handlers
         this.map.onMarkerClick = (poi) => this.handleMarkerClick(poi);
         this.map.onMapClick = (latlng) => this.handleMapClick(latlng);
+        this.map.onViewChange = () => this.handleViewChange();
+        this.map.onWaypointMove = (index, latlng) => this.moveWaypoint(index, latlng);
+        this.map.onRouteDragStart = (latlng) => this.startViaPointDrag(latlng);
+        this.map.onRouteDrag = (latlng) => this.insertViaPoint(latlng);
 
         // Setup UI event listeners
         this.setupEventListeners();
 
         // Render initial state
+        this.renderDayPlanControls();
         this.renderCategories();
-        this.renderPOIList();
+        this.renderFilterOptions();
+        this.applyFilters();
         await this.loadSavedRoutes();
 
         // Register Service Worker
@@ -63,6 +104,7 @@ class GeoportalApp {
         // Expose global functions for popup actions
         window.geoportal = {
             addToRoute: (poiId) => this.addWaypointFromPOI(poiId),
+            addCustomPoint: (lat, lng) => this.addCustomWaypoint([lat, lng]),
             zoomToPoi: (poiId) => this.map.zoomToPoi(poiId)
         };
 
@@ -108,6 +150,12 @@ class GeoportalApp {
         // Search
         document.getElementById('search-input')?.addEventListener('input', (e) => this.handleSearch(e.target.value));
 
+        // Filters
+        document.getElementById('filter-season')?.addEventListener('change', (e) => this.updateFilters({ season: e.target.value }));
+        document.getElementById('filter-duration')?.addEventListener('change', (e) => this.updateFilters({ duration: e.target.value }));
+        document.getElementById('filter-bounds')?.addEventListener('change', (e) => this.setFilterToView(e.target.checked));
+        document.getElementById('btn-clear-filters')?.addEventListener('click', () => this.clearFilters());
+
         // Map controls
         document.getElementById('btn-zoom-in')?.addEventListener('click', () => this.map.zoomIn());
         document.getElementById('btn-zoom-out')?.addEventListener('click', () => this.map.zoomOut());
@@ -129,6 +177,28 @@ class GeoportalApp {
         // Route builder
         document.getElementById('btn-clear-route')?.addEventListener('click', () => this.clearRoute());
         document.getElementById('btn-save-route')?.addEventListener('click', () => this.openSaveRouteModal());
+        document.getElementById('btn-optimize-route')?.addEventListener('click', () => this.optimizeRouteOrder());
+
+        // Day planning
+        document.getElementById('day-plan-enabled')?.addEventListener('change', (e) => {
+            this.updateDayPlan({ enabled: e.target.checked });
+        });
+        document.getElementById('day-plan-max-driving')?.addEventListener('change', (e) => {
+            this.updateDayPlan({ maxDrivingHours: parseFloat(e.target.value) || DEFAULT_DAY_PLAN.maxDrivingHours });
+        });
+        document.getElementById('day-plan-max-day')?.addEventListener('change', (e) => {
+            this.updateDayPlan({ maxDayHours: parseFloat(e.target.value) || DEFAULT_DAY_PLAN.maxDayHours });
+        });
+
+        // Directions panel
+        document.getElementById('btn-toggle-directions')?.addEventListener('click', () => this.toggleDirections());
+        document.querySelectorAll('.directions-lang-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.setDirectionsLanguage(e.currentTarget.dataset.lang));
+        });
+        document.getElementById('directions-list')?.addEventListener('click', (e) => {
+            const step = e.target.closest('.direction-step');
+            if (step) this.selectDirection(parseInt(step.dataset.index));
+        });
 
         // Transport mode buttons
         document.querySelectorAll('.transport-btn').forEach(btn => {
@@ -136,8 +206,23 @@ class GeoportalApp {
         });
 
         // Export button
+        this.renderExportFormats();
         document.getElementById('btn-export')?.addEventListener('click', () => this.openExportModal());
 
+        // Settings
+        document.getElementById('btn-settings')?.addEventListener('click', () => this.openSettingsModal());
+        document.getElementById('btn-confirm-settings')?.addEventListener('click', () => this.saveSettings());
+        document.getElementById('btn-reset-settings')?.addEventListener('click', () => this.resetSettings());
+        document.getElementById('settings-routing-provider')?.addEventListener('change', (e) => {
+            this.renderRoutingProviderFields(e.target.value);
+        });
+        document.getElementById('settings-elevation-source')?.addEventListener('change', (e) => {
+            this.renderElevationSourceFields(e.target.value);
+        });
+        document.getElementById('settings-geocoding-provider')?.addEventListener('change', (e) => {
+            this.renderGeocodingProviderFields(e.target.value);
+        });
+
         // Modal close buttons
         document.querySelectorAll('.modal-close, .modal-cancel, .modal-backdrop').forEach(el => {
             el.addEventListener('click', (e) => {
@@ -149,12 +234,97 @@ class GeoportalApp {
         document.getElementById('btn-confirm-save')?.addEventListener('click', () => this.saveRoute());
 
         // Export confirm
-        document.getElementById('btn-confirm-export')?.addEventListener('click', () => this.exportRoute());
+        document.getElementById('btn-confirm-export')?.addEventListener('click', () => this.exportRoute(this.exportTarget));
 
         // Route detail modal buttons
         document.getElementById('btn-load-route')?.addEventListener('click', () => this.loadSelectedRoute());
         document.getElementById('btn-delete-route')?.addEventListener('click', () => this.deleteSelectedRoute());
         document.getElementById('btn-export-route')?.addEventListener('click', () => this.exportSelectedRoute());
+        document.getElementById('btn-edit-route')?.addEventListener('click', () => this.loadSelectedRoute(true));
+        document.getElementById('btn-stop-editing')?.addEventListener('click', () => this.stopEditingRoute());
+
+        // Revision history
+        document.getElementById('btn-route-history')?.addEventListener('click', () => this.openRouteHistory());
+        document.getElementById('revision-from')?.addEventListener('change', () => this.renderRevisionDiff());
+        document.getElementById('revision-to')?.addEventListener('change', () => this.renderRevisionDiff());
+        document.getElementById('revision-list')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-restore]');
+            if (button) this.restoreRevision(parseInt(button.dataset.restore));
+        });
+
+        // Booklet
+        document.getElementById('btn-booklet')?.addEventListener('click', () => this.openBookletModal());
+        document.getElementById('btn-confirm-booklet')?.addEventListener('click', () => this.exportBookletFromModal());
+
+        // Export all
+        document.getElementById('btn-export-all')?.addEventListener('click', () => this.openExportAllModal());
+        document.getElementById('btn-confirm-export-all')?.addEventListener('click', () => this.exportAllRoutes());
+
+        // Import
+        document.getElementById('btn-import-route')?.addEventListener('click', () => this.openImportModal());
+        document.getElementById('btn-import-browse')?.addEventListener('click', () => {
+            document.getElementById('import-route-file')?.click();
+        });
+        document.getElementById('import-route-file')?.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files);
+            e.target.value = '';
+            this.addImportFiles(files);
+        });
+        document.getElementById('btn-confirm-import')?.addEventListener('click', () => this.confirmImport());
+        document.getElementById('import-preview')?.addEventListener('click', (e) => {
+            const button = e.target.closest('.import-file-remove');
+            if (!button) return;
+            this.importFiles.splice(parseInt(button.dataset.index), 1);
+            this.renderImportPreview();
+        });
+        this.setupImportDropTarget(document.getElementById('import-dropzone'));
+        this.setupImportDropTarget(document.getElementById('view-routes'));
+
+        // Backup
+        document.getElementById('btn-backup')?.addEventListener('click', () => this.openBackupModal());
+        document.getElementById('btn-download-backup')?.addEventListener('click', () => this.createBackup());
+        document.getElementById('btn-backup-browse')?.addEventListener('click', () => {
+            document.getElementById('backup-file')?.click();
+        });
+        document.getElementById('backup-file')?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadBackupFile(file);
+        });
+        document.getElementById('backup-mode')?.addEventListener('change', () => this.previewRestore());
+        document.getElementById('btn-confirm-restore')?.addEventListener('click', () => this.confirmRestore());
+
+        // Saved route filters
+        document.getElementById('routes-search')?.addEventListener('input', debounce((e) => {
+            this.routeFilters.text = e.target.value;
+            this.renderSavedRoutes();
+        }, 300));
+        ['routes-filter-trip', 'routes-filter-tag', 'routes-filter-mode', 'routes-order'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.updateRouteFilters());
+        });
+        document.getElementById('routes-sort')?.addEventListener('change', (e) => {
+            // Dates and amounts read best from the largest, text from A to Z
+            document.getElementById('routes-order').value =
+                ['createdAt', 'distance', 'duration'].includes(e.target.value) ? 'desc' : 'asc';
+            this.updateRouteFilters();
+        });
+        document.getElementById('btn-clear-route-filters')?.addEventListener('click', () => this.clearRouteFilters());
+
+        // Trips and tags
+        document.getElementById('btn-manage-trips')?.addEventListener('click', () => this.openTripsModal());
+        document.getElementById('btn-create-trip')?.addEventListener('click', () => this.createTrip());
+        document.getElementById('trip-list')?.addEventListener('click', (e) => {
+            const rename = e.target.closest('[data-rename-trip]');
+            const remove = e.target.closest('[data-delete-trip]');
+            if (rename) this.renameTrip(parseInt(rename.dataset.renameTrip));
+            if (remove) this.deleteTrip(parseInt(remove.dataset.deleteTrip));
+        });
+        document.getElementById('detail-trip')?.addEventListener('change', (e) => {
+            this.organizeSelectedRoute({ tripId: parseInt(e.target.value) || 0 });
+        });
+        document.getElementById('detail-tags')?.addEventListener('change', (e) => {
+            this.organizeSelectedRoute({ tags: e.target.value.split(',') });
+        });
 
         // Close layer options when clicking outside
         document.addEventListener('click', (e) => {
@@ -200,7 +370,7 @@ class GeoportalApp {
         }
     }
 
-    // ==================== CATEGORY FILTERS ====================
+    // ==================== FILTERS ====================
 
     /**
      * Render category filter chips
@@ -209,12 +379,10 @@ class GeoportalApp {
         const container = document.getElementById('category-filters');
         if (!container) return;
 
-        const counts = getPoiCountByCategory();
-
         let html = `
             <button class="filter-chip active" data-category="all">
                 Todos
-                <span class="filter-chip-count">(${counts.all})</span>
+                <span class="filter-chip-count"></span>
             </button>
         `;
 
@@ -223,7 +391,7 @@ class GeoportalApp {
                 <button class="filter-chip" data-category="${cat.id}">
                     <span class="filter-chip-icon">${cat.icon}</span>
                     ${cat.name}
-                    <span class="filter-chip-count">(${counts[cat.id]})</span>
+                    <span class="filter-chip-count"></span>
                 </button>
             `;
         });
@@ -234,85 +402,124 @@ class GeoportalApp {
         container.querySelectorAll('.filter-chip').forEach(chip => {
             chip.addEventListener('click', () => this.toggleCategoryFilter(chip.dataset.category));
         });
+
+        this.updateCategoryChips();
+    }
+
+    /**
+     * Fill season and visit duration selects
+     */
+    renderFilterOptions() {
+        const season = document.getElementById('filter-season');
+        const duration = document.getElementById('filter-duration');
+
+        season?.insertAdjacentHTML('beforeend', Object.values(Seasons).map(s =>
+            `<option value="${s.id}">${s.name}</option>`
+        ).join(''));
+        duration?.insertAdjacentHTML('beforeend', Object.values(VisitDurations).map(d =>
+            `<option value="${d.id}">${d.name}</option>`
+        ).join(''));
+    }
+
+    /**
+     * Sync chip state and counts with the current filters
+     * Counts apply every filter except the category one.
+     */
+    updateCategoryChips() {
+        const counts = countByCategory(pois, this.filters);
+        const selected = this.filters.categories;
+
+        document.querySelectorAll('.filter-chip').forEach(chip => {
+            const id = chip.dataset.category;
+            chip.classList.toggle('active', id === 'all' ? selected.length === 0 : selected.includes(id));
+
+            const count = chip.querySelector('.filter-chip-count');
+            if (count) count.textContent = `(${counts[id] || 0})`;
+        });
     }
 
     /**
      * Toggle category filter
      */
     toggleCategoryFilter(categoryId) {
-        const chips = document.querySelectorAll('.filter-chip');
-
         if (categoryId === 'all') {
-            this.activeFilters.clear();
-            this.activeFilters.add('all');
-            chips.forEach(chip => {
-                chip.classList.toggle('active', chip.dataset.category === 'all');
-            });
-        } else {
-            this.activeFilters.delete('all');
+            this.updateFilters({ categories: [] });
+            return;
+        }
 
-            if (this.activeFilters.has(categoryId)) {
-                this.activeFilters.delete(categoryId);
-            } else {
-                this.activeFilters.add(categoryId);
-            }
+        const selected = this.filters.categories;
+        this.updateFilters({
+            categories: selected.includes(categoryId)
+                ? selected.filter(id => id !== categoryId)
+                : [...selected, categoryId]
+        });
+    }
 
-            // If no filters selected, revert to all
-            if (this.activeFilters.size === 0) {
-                this.activeFilters.add('all');
-            }
+    /**
+     * Merge changes into the current filters and apply them
+     */
+    updateFilters(changes) {
+        this.filters = { ...this.filters, ...changes };
+        this.applyFilters();
+    }
 
-            chips.forEach(chip => {
-                if (chip.dataset.category === 'all') {
-                    chip.classList.toggle('active', this.activeFilters.has('all'));
-                } else {
-                    chip.classList.toggle('active', this.activeFilters.has(chip.dataset.category));
-                }
-            });
+    /**
+     * Limit results to the visible map area
+     */
+    setFilterToView(enabled) {
+        this.filterToView = enabled;
+        this.updateFilters({ bounds: enabled ? this.map.getBoundsArray() : null });
+    }
+
+    /**
+     * Refresh the bounds filter after the map moved
+     */
+    handleViewChange() {
+        if (this.filterToView) {
+            this.updateFilters({ bounds: this.map.getBoundsArray() });
         }
+    }
+
+    /**
+     * Reset every filter
+     */
+    clearFilters() {
+        this.filterToView = false;
+        this.filters = { ...DEFAULT_FILTERS };
+        this.searchCoordinates = null;
+
+        document.getElementById('search-input').value = '';
+        document.getElementById('filter-season').value = 'any';
+        document.getElementById('filter-duration').value = 'any';
+        document.getElementById('filter-bounds').checked = false;
 
-        // Update map and list
         this.applyFilters();
     }
 
     /**
-     * Apply current filters to map and list
+     * Apply current filters to map, list and counters
      */
     applyFilters() {
-        if (this.activeFilters.has('all')) {
-            this.map.showAllMarkers();
-            this.renderPOIList(pois);
-        } else {
-            const filteredPois = pois.filter(poi => this.activeFilters.has(poi.category));
-            this.activeFilters.forEach(catId => {
-                this.map.filterByCategory(catId);
-            });
-            this.renderPOIList(filteredPois);
-        }
+        this.filteredPois = filterPois(pois, this.filters);
+
+        // Search results show up even when their priority would hide them at this zoom
+        this.map.showPois(this.filteredPois, { ignorePriority: this.filters.query.trim() !== '' });
+        this.renderPOIList(this.filteredPois);
+        this.updateCategoryChips();
+        document.getElementById('poi-count').textContent = this.filteredPois.length;
 
-        // Update POI count
-        const visibleCount = this.activeFilters.has('all')
-            ? pois.length
-            : pois.filter(poi => this.activeFilters.has(poi.category)).length;
-        document.getElementById('poi-count').textContent = visibleCount;
+        document.getElementById('btn-clear-filters')?.classList.toggle('hidden', !hasActiveFilters(this.filters));
     }
 
     // ==================== SEARCH ====================
 
     /**
      * Handle search input
+     * Coordinates ("64.14, -21.94") offer a custom point instead of filtering POIs.
      */
     handleSearch(query) {
-        if (!query.trim()) {
-            this.applyFilters();
-            return;
-        }
-
-        const results = searchPois(query);
-        this.renderPOIList(results);
-        this.map.filterBySearch(query);
-
-        document.getElementById('poi-count').textContent = results.length;
+        this.searchCoordinates = parseCoordinates(query);
+        this.updateFilters({ query: this.searchCoordinates ? '' : query });
     }
 
     // ==================== POI LIST ====================
@@ -320,11 +527,11 @@ class GeoportalApp {
     /**
      * Render POI list in sidebar
      */
-    renderPOIList(poiList = pois) {
+    renderPOIList(poiList = this.filteredPois) {
         const container = document.getElementById('poi-list');
         if (!container) return;
 
-        if (poiList.length === 0) {
+        if (poiList.length === 0 && !this.searchCoordinates) {
             container.innerHTML = `
                 <li class="empty-state">
                     <p>No se encontraron lugares</p>
@@ -333,9 +540,32 @@ class GeoportalApp {
             return;
         }
 
-        container.innerHTML = poiList.map(poi => {
+        const query = this.filters.query;
+
+        const coordinatesItem = this.searchCoordinates ? `
+                <li class="poi-item custom-point" data-coordinates="${this.searchCoordinates.join(',')}">
+                    <div class="poi-item-icon">
+                        <span>📍</span>
+                    </div>
+                    <div class="poi-item-content">
+                        <div class="poi-item-name">${formatCoordinates(this.searchCoordinates)}</div>
+                        <div class="poi-item-category">Punto personalizado</div>
+                    </div>
+                    <div class="poi-item-actions">
+                        <button class="poi-action-btn" data-action="add-point" title="Añadir a ruta">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <line x1="12" y1="5" x2="12" y2="19"></line>
+                                <line x1="5" y1="12" x2="19" y2="12"></line>
+                            </svg>
+                        </button>
+                    </div>
+                </li>
+        ` : '';
+
+        container.innerHTML = coordinatesItem + poiList.map(poi => {
             const category = getCategoryById(poi.category);
             const isInRoute = this.currentRoute.waypoints.some(wp => wp.id === poi.id);
+            const snippet = getMatchSnippet(poi, query);
 
             return `
                 <li class="poi-item ${poi.category} ${isInRoute ? 'selected' : ''}" data-poi-id="${poi.id}">
@@ -343,8 +573,9 @@ class GeoportalApp {
                         <span>${category?.icon || '📍'}</span>
                     </div>
                     <div class="poi-item-content">
-                        <div class="poi-item-name">${poi.name}</div>
+                        <div class="poi-item-name">${highlightMatches(poi.name, query)}</div>
                         <div class="poi-item-category">${category?.name || poi.category}</div>
+                        ${snippet ? `<div class="poi-item-match">${snippet}</div>` : ''}
                     </div>
                     <div class="poi-item-actions">
                         <button class="poi-action-btn" data-action="add" title="Añadir a ruta">
@@ -367,7 +598,17 @@ class GeoportalApp {
         }).join('');
 
         // Add event listeners
-        container.querySelectorAll('.poi-item').forEach(item => {
+        container.querySelector('.custom-point')?.addEventListener('click', (e) => {
+            const latlng = this.searchCoordinates;
+            if (e.target.closest('[data-action="add-point"]')) {
+                this.addCustomWaypoint(latlng);
+            } else {
+                this.map.getMap().setView(latlng, Math.max(this.map.getMap().getZoom(), 10));
+                this.handleMapClick({ lat: latlng[0], lng: latlng[1] });
+            }
+        });
+
+        container.querySelectorAll('.poi-item[data-poi-id]').forEach(item => {
             const poiId = item.dataset.poiId;
 
             item.addEventListener('click', (e) => {
@@ -407,11 +648,27 @@ class GeoportalApp {
     }
 
     /**
-     * Handle map click (for adding custom waypoints)
+     * Handle map click: offer to add the point as a custom waypoint
      */
     handleMapClick(latlng) {
-        // Can be used for adding custom points not from POI list
-        // Currently disabled - only POIs can be added to routes
+        const { lat, lng } = latlng;
+
+        this.map.openLocationPopup(latlng, `
+            <div class="poi-popup">
+                <div class="poi-popup-header">
+                    <div class="poi-popup-icon" style="background: #f59e0b20; color: #f59e0b">📍</div>
+                    <div>
+                        <div class="poi-popup-title">Punto personalizado</div>
+                        <div class="poi-popup-category">${formatCoordinates([lat, lng])}</div>
+                    </div>
+                </div>
+                <div class="poi-popup-actions">
+                    <button class="poi-popup-btn" onclick="window.geoportal.addCustomPoint(${lat}, ${lng})">
+                        Añadir a ruta
+                    </button>
+                </div>
+            </div>
+        `);
 
         // On mobile, clicking map collapses sidebar
         if (window.innerWidth <= 768) {
@@ -419,6 +676,176 @@ class GeoportalApp {
         }
     }
 
+    /**
+     * Add a custom waypoint (guesthouse, petrol station, trailhead...)
+     * It starts with its coordinates as name and gets a reverse-geocoded
+     * label unless the user renames it first.
+     */
+    async addCustomWaypoint(latlng) {
+        const waypoint = this.createCustomWaypoint(latlng);
+        this.currentRoute.waypoints.push(waypoint);
+
+        this.map.getMap().closePopup();
+        this.renderWaypoints();
+        this.updateRouteOnMap();
+
+        showToast('Punto personalizado añadido a la ruta', 'success');
+
+        await this.labelCustomWaypoint(waypoint);
+    }
+
+    /**
+     * Build a custom waypoint named after its coordinates
+     */
+    createCustomWaypoint(latlng) {
+        const coordinates = [Number(latlng[0].toFixed(6)), Number(latlng[1].toFixed(6))];
+
+        return {
+            id: `custom-${generateId()}`,
+            name: formatCoordinates(coordinates),
+            coordinates,
+            category: 'Punto personalizado',
+            visitDuration: 0,
+            custom: true
+        };
+    }
+
+    /**
+     * Build the stop that closes a round trip at its start
+     * It is a custom point with its own id so the start POI is only in the route once.
+     */
+    createReturnWaypoint(start) {
+        return {
+            ...start,
+            id: `custom-${generateId()}`,
+            visitDuration: 0,
+            custom: true,
+            returnTo: start.id
+        };
+    }
+
+    /**
+     * Give a custom waypoint a reverse-geocoded name
+     * Names typed by the user, and answers for a position the point has
+     * since been dragged away from, are left alone.
+     */
+    async labelCustomWaypoint(waypoint) {
+        const coordinates = waypoint.coordinates;
+
+        try {
+            const { name, address } = await reverseGeocode(coordinates);
+            if (waypoint.coordinates !== coordinates) return;
+
+            waypoint.address = address;
+            if (!waypoint.renamed && name) {
+                waypoint.name = name;
+                this.refreshWaypointNames();
+            }
+        } catch (error) {
+            console.error('Error reverse geocoding waypoint:', error);
+        }
+    }
+
+    /**
+     * Rename a waypoint
+     */
+    renameWaypoint(index, name) {
+        const wp = this.currentRoute.waypoints[index];
+        if (!wp) return;
+
+        wp.name = name.trim() || formatCoordinates(wp.coordinates);
+        wp.renamed = name.trim() !== '';
+        this.refreshWaypointNames();
+    }
+
+    /**
+     * Move a waypoint dragged on the map
+     * A dragged POI no longer is that POI, so it becomes a custom point.
+     */
+    moveWaypoint(index, latlng) {
+        const wp = this.currentRoute.waypoints[index];
+        if (!wp) return;
+
+        const moved = wp.custom
+            ? { ...wp, coordinates: this.createCustomWaypoint(latlng).coordinates, address: undefined }
+            : { ...this.createCustomWaypoint(latlng), overnight: wp.overnight };
+
+        this.currentRoute.waypoints[index] = moved;
+        this.renderWaypoints();
+        this.requestReroute();
+
+        this.labelCustomWaypoint(moved);
+    }
+
+    /**
+     * Remember which leg a via-point is being dragged off
+     */
+    startViaPointDrag(latlng) {
+        const waypoints = this.currentRoute.waypoints;
+        const line = this.currentRoute.geometry?.coordinates?.map(([lng, lat]) => [lat, lng])
+            || waypoints.map(wp => wp.coordinates);
+        this.viaLegIndex = getLegIndex(waypoints, line, latlng);
+    }
+
+    /**
+     * Insert a via-point dragged off the route line into the leg it came from
+     * Without a recorded leg it goes where it adds the shortest detour.
+     */
+    insertViaPoint(latlng) {
+        const waypoints = this.currentRoute.waypoints;
+        const waypoint = this.createCustomWaypoint(latlng);
+        waypoint.category = 'Punto de paso';
+
+        const index = this.viaLegIndex !== null && this.viaLegIndex < waypoints.length - 1
+            ? this.viaLegIndex + 1
+            : getInsertionIndex(waypoints, waypoint.coordinates);
+        this.viaLegIndex = null;
+
+        waypoints.splice(index, 0, waypoint);
+        this.renderWaypoints();
+        this.requestReroute();
+
+        this.labelCustomWaypoint(waypoint);
+    }
+
+    /**
+     * Move a waypoint to another position in the list
+     * @param {number} from - Current index
+     * @param {number} to - Index before which to insert it (in the original order)
+     */
+    reorderWaypoint(from, to) {
+        const waypoints = this.currentRoute.waypoints;
+        if (from === to || from + 1 === to) return;
+
+        const [wp] = waypoints.splice(from, 1);
+        waypoints.splice(to > from ? to - 1 : to, 0, wp);
+
+        this.renderWaypoints();
+        this.requestReroute();
+    }
+
+    /**
+     * Redraw the markers now and recalculate the route once edits settle
+     */
+    requestReroute() {
+        this.map.updateWaypointMarkers(this.currentRoute.waypoints);
+
+        if (this.currentRoute.waypoints.length < 2) {
+            this.updateRouteOnMap();
+        } else {
+            this.scheduleReroute();
+        }
+    }
+
+    /**
+     * Update everything that shows waypoint names without rerouting
+     */
+    refreshWaypointNames() {
+        this.renderWaypoints();
+        this.map.updateWaypointMarkers(this.currentRoute.waypoints);
+        this.renderDirections();
+    }
+
     /**
      * Add waypoint from POI
      */
@@ -438,7 +865,8 @@ class GeoportalApp {
             id: poi.id,
             name: poi.name,
             coordinates: poi.coordinates,
-            category: category?.name || poi.category
+            category: category?.name || poi.category,
+            visitDuration: poi.visitDuration
         });
 
         // Close popup
@@ -457,7 +885,7 @@ class GeoportalApp {
     removeWaypoint(index) {
         this.currentRoute.waypoints.splice(index, 1);
         this.renderWaypoints();
-        this.updateRouteOnMap();
+        this.requestReroute();
     }
 
     /**
@@ -467,26 +895,42 @@ class GeoportalApp {
         const container = document.getElementById('route-waypoints');
         const statsContainer = document.getElementById('route-stats');
         const saveBtn = document.getElementById('btn-save-route');
+        const optimizeBtn = document.getElementById('btn-optimize-route');
+
+        this.renderOptimizationResult();
 
         if (this.currentRoute.waypoints.length === 0) {
             container.innerHTML = '<p class="empty-state">Selecciona puntos en el mapa para crear una ruta</p>';
             statsContainer?.classList.add('hidden');
             saveBtn.disabled = true;
+            optimizeBtn.disabled = true;
             return;
         }
 
-        container.innerHTML = this.currentRoute.waypoints.map((wp, index) => `
-            <div class="waypoint-item">
-                <span class="waypoint-number">${index + 1}</span>
-                <span class="waypoint-name">${wp.name}</span>
-                <button class="waypoint-remove" data-index="${index}">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <line x1="18" y1="6" x2="6" y2="18"></line>
-                        <line x1="6" y1="6" x2="18" y2="18"></line>
-                    </svg>
-                </button>
-            </div>
-        `).join('');
+        const days = this.getCurrentDays();
+
+        if (days.length > 0) {
+            container.innerHTML = days.map(day => {
+                // Day 1 includes the departure; later days start at the previous overnight stop
+                const first = day.number === 1 ? day.startIndex : day.startIndex + 1;
+                const indices = [];
+                for (let i = first; i <= day.endIndex; i++) indices.push(i);
+
+                return `
+                    <div class="day-group">
+                        <div class="day-header ${day.overLimit ? 'over-limit' : ''}">
+                            <strong>Día ${day.number}</strong>
+                            <span>${formatDistance(day.distance)} · ${formatDuration(day.drivingTime)} conducción · ${formatDuration(day.visitTime)} visitas</span>
+                        </div>
+                        ${indices.map(i => this.renderWaypointItem(this.currentRoute.waypoints[i], i, days)).join('')}
+                    </div>
+                `;
+            }).join('');
+        } else {
+            container.innerHTML = this.currentRoute.waypoints
+                .map((wp, index) => this.renderWaypointItem(wp, index))
+                .join('');
+        }
 
         // Add remove listeners
         container.querySelectorAll('.waypoint-remove').forEach(btn => {
@@ -495,6 +939,33 @@ class GeoportalApp {
             });
         });
 
+        container.querySelectorAll('.waypoint-name-input').forEach(input => {
+            input.addEventListener('change', () => {
+                this.renameWaypoint(parseInt(input.dataset.index), input.value);
+            });
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') input.blur();
+            });
+        });
+
+        this.setupWaypointReordering(container);
+
+        // Day planning listeners
+        container.querySelectorAll('.waypoint-overnight').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.toggleOvernight(parseInt(btn.dataset.index));
+            });
+        });
+
+        container.querySelectorAll('.waypoint-day').forEach(select => {
+            select.addEventListener('change', () => {
+                this.moveToDay(parseInt(select.dataset.index), parseInt(select.value));
+            });
+        });
+
+        // Optimizing needs at least one waypoint that can move
+        optimizeBtn.disabled = this.currentRoute.waypoints.length < 3;
+
         // Update stats visibility
         if (this.currentRoute.waypoints.length >= 2) {
             statsContainer?.classList.remove('hidden');
@@ -505,73 +976,504 @@ class GeoportalApp {
         }
 
         // Update POI list highlights
-        this.renderPOIList(this.activeFilters.has('all') ? pois : pois.filter(p => this.activeFilters.has(p.category)));
+        this.renderPOIList(this.filteredPois);
     }
 
     /**
-     * Update route visualization on map
+     * Drag-and-drop reordering of the waypoint list (the number is the handle)
      */
-    async updateRouteOnMap() {
-        const waypoints = this.currentRoute.waypoints;
-
-        // Update waypoint markers
-        this.map.updateWaypointMarkers(waypoints);
+    setupWaypointReordering(container) {
+        let dragIndex = null;
+        const items = container.querySelectorAll('.waypoint-item');
 
-        if (waypoints.length < 2) {
-            this.map.clearRoute();
-            this.currentRoute.distance = 0;
-            this.currentRoute.duration = 0;
-            this.updateRouteStats();
-            return;
-        }
+        const clearIndicators = () => items.forEach(item => {
+            item.classList.remove('drop-before', 'drop-after');
+        });
 
-        // Show loading
-        document.getElementById('map-loading')?.classList.remove('hidden');
+        items.forEach(item => {
+            const index = parseInt(item.dataset.index);
+            const handle = item.querySelector('.waypoint-number');
 
-        try {
-            // Calculate route
-            const coordinates = waypoints.map(wp => wp.coordinates);
-            const routeData = await calculateRoute(coordinates, this.currentRoute.transportMode);
+            handle.addEventListener('dragstart', (e) => {
+                dragIndex = index;
+                item.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(index));
+                e.dataTransfer.setDragImage(item, 12, 12);
+            });
 
-            this.currentRoute.distance = routeData.distance;
-            this.currentRoute.duration = routeData.duration;
-            this.currentRoute.geometry = routeData.geometry;
+            handle.addEventListener('dragend', () => {
+                dragIndex = null;
+                item.classList.remove('dragging');
+                clearIndicators();
+            });
 
-            // Draw route on map
-            if (routeData.geometry) {
-                this.map.drawRoute(routeData.geometry);
-            } else {
-                // Fallback: draw simple polyline
-                this.map.drawPolyline(coordinates);
-            }
+            item.addEventListener('dragover', (e) => {
+                if (dragIndex === null) return;
+                e.preventDefault();
 
-            this.updateRouteStats();
-        } catch (error) {
-            console.error('Error calculating route:', error);
-            showToast('Error al calcular la ruta', 'error');
+                const rect = item.getBoundingClientRect();
+                const after = e.clientY > rect.top + rect.height / 2;
+                clearIndicators();
+                item.classList.add(after ? 'drop-after' : 'drop-before');
+            });
 
-            // Draw simple polyline as fallback
-            const coordinates = waypoints.map(wp => wp.coordinates);
-            this.map.drawPolyline(coordinates);
-        } finally {
-            document.getElementById('map-loading')?.classList.add('hidden');
-        }
-    }
+            item.addEventListener('drop', (e) => {
+                if (dragIndex === null) return;
+                e.preventDefault();
 
-    /**
-     * Update route statistics display
-     */
-    updateRouteStats() {
-        document.getElementById('route-distance').textContent = formatDistance(this.currentRoute.distance);
-        document.getElementById('route-duration').textContent = formatDuration(this.currentRoute.duration);
+                const after = item.classList.contains('drop-after');
+                this.reorderWaypoint(dragIndex, after ? index + 1 : index);
+            });
+        });
     }
 
     /**
-     * Set transport mode
+     * Render a single waypoint row in the route builder
      */
-    setTransportMode(mode) {
-        this.currentRoute.transportMode = mode;
-
+    renderWaypointItem(wp, index, days = []) {
+        const dayControls = days.length > 0 ? `
+                <button class="waypoint-overnight ${wp.overnight ? 'active' : ''}" data-index="${index}" title="Parada para dormir">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path>
+                    </svg>
+                </button>
+                <select class="waypoint-day" data-index="${index}" title="Mover a otro día">
+                    ${days.map(day => `
+                        <option value="${day.number}" ${day.number === getDayForWaypoint(days, index) ? 'selected' : ''}>Día ${day.number}</option>
+                    `).join('')}
+                </select>
+        ` : '';
+
+        return `
+            <div class="waypoint-item ${wp.overnight && days.length > 0 ? 'overnight' : ''}" data-index="${index}">
+                <span class="waypoint-number" draggable="true" title="Arrastra para reordenar">${index + 1}</span>
+                ${wp.custom
+                    ? `<input class="waypoint-name-input" data-index="${index}" value="${escapeHtml(wp.name)}" title="${escapeHtml(wp.address || 'Editar nombre')}">`
+                    : `<span class="waypoint-name">${escapeHtml(wp.name)}</span>`}
+                ${dayControls}
+                <button class="waypoint-remove" data-index="${index}">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </div>
+        `;
+    }
+
+    // ==================== DAY PLANNING ====================
+
+    /**
+     * Days of the current route (empty when day planning is off)
+     */
+    getCurrentDays() {
+        const { dayPlan, waypoints } = this.currentRoute;
+        if (!dayPlan.enabled || waypoints.length < 2) return [];
+        return planDays(this.currentRoute, dayPlan);
+    }
+
+    /**
+     * Update day planning options
+     */
+    updateDayPlan(changes) {
+        this.currentRoute.dayPlan = { ...this.currentRoute.dayPlan, ...changes };
+        this.renderDayPlanControls();
+        this.renderWaypoints();
+    }
+
+    /**
+     * Sync day planning inputs with the current route
+     */
+    renderDayPlanControls() {
+        const { dayPlan } = this.currentRoute;
+        const enabled = document.getElementById('day-plan-enabled');
+        if (!enabled) return;
+
+        enabled.checked = dayPlan.enabled;
+        document.getElementById('day-plan-max-driving').value = dayPlan.maxDrivingHours;
+        document.getElementById('day-plan-max-day').value = dayPlan.maxDayHours;
+        document.getElementById('day-plan-limits')?.classList.toggle('hidden', !dayPlan.enabled);
+    }
+
+    /**
+     * Mark or unmark a waypoint as an overnight stop
+     */
+    toggleOvernight(index) {
+        const wp = this.currentRoute.waypoints[index];
+        if (!wp) return;
+
+        wp.overnight = !wp.overnight;
+        this.renderWaypoints();
+    }
+
+    /**
+     * Move a waypoint to another day
+     */
+    moveToDay(index, dayNumber) {
+        const days = this.getCurrentDays();
+        if (getDayForWaypoint(days, index) === dayNumber) return;
+
+        this.currentRoute.waypoints = moveWaypointToDay(this.currentRoute.waypoints, days, index, dayNumber);
+        this.renderWaypoints();
+        this.updateRouteOnMap();
+    }
+
+    /**
+     * Update route visualization on map
+     * Only the latest request is applied: answers for an older set of
+     * waypoints that arrive late are dropped.
+     * @param {Object} options - { fit: zoom to the route (default true) }
+     */
+    async updateRouteOnMap({ fit = true } = {}) {
+        const waypoints = this.currentRoute.waypoints;
+        const requestId = ++this.routeRequestId;
+
+        // Update waypoint markers
+        this.map.updateWaypointMarkers(waypoints);
+
+        if (waypoints.length < 2) {
+            this.map.clearRoute();
+            this.currentRoute.distance = 0;
+            this.currentRoute.duration = 0;
+            this.currentRoute.legs = [];
+            this.currentRoute.elevation = null;
+            this.updateRouteStats();
+            this.renderElevationProfile();
+            return;
+        }
+
+        // Show loading
+        document.getElementById('map-loading')?.classList.remove('hidden');
+
+        try {
+            // Calculate route
+            const coordinates = waypoints.map(wp => wp.coordinates);
+            const routeData = await calculateRoute(coordinates, this.currentRoute.transportMode);
+            if (requestId !== this.routeRequestId) return;
+
+            this.currentRoute.distance = routeData.distance;
+            this.currentRoute.duration = routeData.duration;
+            this.currentRoute.geometry = routeData.geometry;
+            this.currentRoute.legs = routeData.legs || [];
+
+            if (routeData.isOffline) {
+                showToast('Sin conexión al servidor de routing: ruta calculada offline', 'info');
+            } else if (routeData.isFallback) {
+                showToast('Ruta aproximada en línea recta', 'info');
+            }
+
+            // Draw route on map
+            if (routeData.geometry) {
+                this.map.drawRoute(routeData.geometry, { fit });
+            } else {
+                // Fallback: draw simple polyline
+                this.map.drawPolyline(coordinates, { fit });
+            }
+
+            this.updateRouteStats();
+            this.updateElevationProfile();
+
+            // Day stats depend on the leg durations just calculated
+            if (this.currentRoute.dayPlan.enabled) {
+                this.renderWaypoints();
+            }
+        } catch (error) {
+            if (requestId !== this.routeRequestId) return;
+
+            console.error('Error calculating route:', error);
+            showToast('Error al calcular la ruta', 'error');
+
+            // Line, steps and profile from the previous route no longer apply
+            this.currentRoute.geometry = null;
+            this.currentRoute.legs = [];
+            this.currentRoute.elevation = null;
+            this.renderDirections();
+            this.renderElevationProfile();
+
+            // Draw simple polyline as fallback
+            const coordinates = waypoints.map(wp => wp.coordinates);
+            this.map.drawPolyline(coordinates, { fit });
+        } finally {
+            if (requestId === this.routeRequestId) {
+                document.getElementById('map-loading')?.classList.add('hidden');
+            }
+        }
+    }
+
+    /**
+     * Update route statistics display
+     */
+    updateRouteStats() {
+        document.getElementById('route-distance').textContent = formatDistance(this.currentRoute.distance);
+        document.getElementById('route-duration').textContent = formatDuration(this.currentRoute.duration);
+        this.renderDirections();
+    }
+
+    // ==================== ELEVATION ====================
+
+    /**
+     * Sample the current route line against the DEM
+     */
+    async updateElevationProfile() {
+        const geometry = this.currentRoute.geometry;
+        if (!geometry) return;
+
+        try {
+            const profile = await getElevationProfile(geometry);
+
+            // The route changed while the DEM was loading
+            if (this.currentRoute.geometry !== geometry) return;
+
+            this.elevationPoints = profile.points;
+            this.currentRoute.elevation = {
+                ...profile.stats,
+                profile: compactProfile(profile.points)
+            };
+        } catch (error) {
+            if (this.currentRoute.geometry !== geometry) return;
+
+            console.warn('Elevation profile unavailable:', error.message);
+            this.elevationPoints = [];
+            this.currentRoute.elevation = null;
+        }
+
+        this.renderElevationProfile();
+    }
+
+    /**
+     * Render the elevation chart and climb stats under the route stats
+     */
+    renderElevationProfile() {
+        const container = document.getElementById('route-elevation');
+        const chart = document.getElementById('elevation-chart');
+        if (!container || !chart) return;
+
+        const elevation = this.currentRoute.elevation;
+        this.map.hideHoverMarker();
+
+        if (!elevation?.profile?.length) {
+            this.elevationPoints = [];
+            container.classList.add('hidden');
+            chart.innerHTML = '';
+            return;
+        }
+
+        document.getElementById('elevation-ascent').textContent = `${elevation.ascent} m`;
+        document.getElementById('elevation-descent').textContent = `${elevation.descent} m`;
+        document.getElementById('elevation-grade').textContent = `${elevation.maxGrade} %`;
+
+        chart.innerHTML = renderElevationSvg(elevation.profile, { width: 300, height: 90 });
+        container.classList.remove('hidden');
+
+        const svg = chart.querySelector('svg');
+        svg.addEventListener('mousemove', (e) => this.handleElevationHover(e, svg));
+        svg.addEventListener('mouseleave', () => this.clearElevationHover(svg));
+    }
+
+    /**
+     * Follow the pointer on the elevation chart with a marker on the map
+     */
+    handleElevationHover(e, svg) {
+        const points = this.elevationPoints;
+        if (points.length < 2) return;
+
+        const rect = svg.getBoundingClientRect();
+        const scale = rect.width / svg.viewBox.baseVal.width;
+        const left = parseFloat(svg.dataset.chartLeft);
+        const right = parseFloat(svg.dataset.chartRight);
+        const x = (e.clientX - rect.left) / scale;
+        const fraction = Math.min(1, Math.max(0, (x - left) / (right - left)));
+
+        // Closest sample by distance along the route
+        const target = fraction * points[points.length - 1].distance;
+        const point = points.reduce((best, p) =>
+            Math.abs(p.distance - target) < Math.abs(best.distance - target) ? p : best
+        );
+
+        this.map.showHoverMarker(point.coordinates);
+
+        // Cursor line on the chart
+        let cursor = svg.querySelector('.elevation-cursor');
+        if (!cursor) {
+            cursor = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            cursor.setAttribute('class', 'elevation-cursor');
+            cursor.setAttribute('stroke', '#1e293b');
+            cursor.setAttribute('stroke-dasharray', '2 2');
+            cursor.setAttribute('y1', svg.dataset.chartTop);
+            cursor.setAttribute('y2', svg.dataset.chartBottom);
+            svg.appendChild(cursor);
+        }
+        const cursorX = left + (point.distance / points[points.length - 1].distance) * (right - left);
+        cursor.setAttribute('x1', cursorX);
+        cursor.setAttribute('x2', cursorX);
+
+        const tooltip = document.getElementById('elevation-tooltip');
+        if (tooltip) {
+            tooltip.textContent = `${Math.round(point.elevation)} m · ${formatDistance(point.distance)}`;
+            tooltip.style.left = `${cursorX * scale}px`;
+            tooltip.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Remove the elevation hover marker and cursor
+     */
+    clearElevationHover(svg) {
+        this.map.hideHoverMarker();
+        svg.querySelector('.elevation-cursor')?.remove();
+        document.getElementById('elevation-tooltip')?.classList.add('hidden');
+    }
+
+    // ==================== DIRECTIONS ====================
+
+    /**
+     * Render turn-by-turn directions for the current route
+     */
+    renderDirections() {
+        const panel = document.getElementById('route-directions');
+        const list = document.getElementById('directions-list');
+        if (!panel || !list) return;
+
+        this.directions = getDirections(this.currentRoute, this.directionsLanguage);
+        this.map.clearRouteHighlight();
+
+        document.querySelectorAll('.directions-lang-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.lang === this.directionsLanguage);
+        });
+
+        if (this.directions.length === 0) {
+            panel.classList.add('hidden');
+            list.innerHTML = '';
+            return;
+        }
+
+        panel.classList.remove('hidden');
+        document.getElementById('directions-count').textContent = `(${this.directions.length})`;
+
+        const waypoints = this.currentRoute.waypoints;
+        const legLabel = this.directionsLanguage === 'en' ? 'To' : 'Hacia';
+
+        list.innerHTML = this.directions.map((direction, index) => {
+            const isNewLeg = index === 0 || direction.legIndex !== this.directions[index - 1].legIndex;
+            const legHeader = isNewLeg && this.currentRoute.legs.length > 1
+                ? `<li class="directions-leg">${legLabel} ${escapeHtml(waypoints[direction.legIndex + 1]?.name || `Punto ${direction.legIndex + 2}`)}</li>`
+                : '';
+
+            return `${legHeader}
+                <li class="direction-step" data-index="${index}">
+                    ${this.getDirectionIcon(direction)}
+                    <span class="direction-text">${escapeHtml(direction.text)}</span>
+                    <span class="direction-distance">${direction.distance > 0 ? formatDistance(direction.distance) : ''}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Arrow icon for a maneuver
+     */
+    getDirectionIcon(direction) {
+        if (direction.type === 'arrive') {
+            return `<svg class="direction-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path>
+                <circle cx="12" cy="10" r="3"></circle>
+            </svg>`;
+        }
+
+        if (['roundabout', 'rotary', 'roundabout turn', 'exit roundabout', 'exit rotary'].includes(direction.type)) {
+            return `<svg class="direction-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <circle cx="12" cy="12" r="5"></circle>
+                <path d="M12 17v5M12 7V2l-3 3M12 2l3 3"></path>
+            </svg>`;
+        }
+
+        if (direction.modifier === 'uturn') {
+            return `<svg class="direction-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M9 20V9a5 5 0 0 1 10 0v7"></path>
+                <polyline points="15 13 19 17 23 13"></polyline>
+            </svg>`;
+        }
+
+        const angles = {
+            'sharp left': -135, 'left': -90, 'slight left': -45,
+            'straight': 0,
+            'slight right': 45, 'right': 90, 'sharp right': 135
+        };
+        const angle = angles[direction.modifier] || 0;
+
+        return `<svg class="direction-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <g transform="rotate(${angle} 12 12)">
+                <line x1="12" y1="20" x2="12" y2="4"></line>
+                <polyline points="6 10 12 4 18 10"></polyline>
+            </g>
+        </svg>`;
+    }
+
+    /**
+     * Show or hide the directions list
+     */
+    toggleDirections() {
+        const list = document.getElementById('directions-list');
+        const toggle = document.getElementById('btn-toggle-directions');
+        if (!list || !toggle) return;
+
+        const expanded = list.classList.toggle('hidden') === false;
+        toggle.setAttribute('aria-expanded', String(expanded));
+
+        if (!expanded) {
+            this.map.clearRouteHighlight();
+            list.querySelectorAll('.direction-step.active').forEach(el => el.classList.remove('active'));
+        }
+    }
+
+    /**
+     * Highlight a directions step on the route line
+     */
+    selectDirection(index) {
+        const direction = this.directions[index];
+        const coordinates = this.currentRoute.geometry?.coordinates;
+        if (!direction || !coordinates) return;
+
+        document.querySelectorAll('.direction-step').forEach(el => {
+            el.classList.toggle('active', parseInt(el.dataset.index) === index);
+        });
+
+        if (!direction.interval) {
+            this.map.clearRouteHighlight();
+            return;
+        }
+
+        const [start, end] = direction.interval;
+        const segment = coordinates
+            .slice(start, end + 1)
+            .map(coord => [coord[1], coord[0]]);
+
+        this.map.highlightRouteSegment(segment);
+    }
+
+    /**
+     * Change the directions language
+     */
+    async setDirectionsLanguage(language) {
+        if (language === this.directionsLanguage) return;
+
+        this.directionsLanguage = language;
+        this.renderDirections();
+
+        try {
+            await SettingsService.set('directionsLanguage', language);
+        } catch (error) {
+            console.error('Error saving directions language:', error);
+        }
+    }
+
+    /**
+     * Set transport mode
+     */
+    setTransportMode(mode) {
+        this.currentRoute.transportMode = mode;
+
         // Update UI
         document.querySelectorAll('.transport-btn').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.mode === mode);
@@ -583,6 +1485,96 @@ class GeoportalApp {
         }
     }
 
+    /**
+     * Reorder waypoints to minimize travel time
+     */
+    async optimizeRouteOrder() {
+        const type = document.getElementById('optimize-type')?.value || 'fixed-start';
+        const tourType = TourTypes[type];
+        let waypoints = this.currentRoute.waypoints.slice();
+
+        // A previous round trip ends with a return to the start; optimize without it
+        // (routes saved before return stops had their own id repeat the start's)
+        const first = waypoints[0];
+        const last = waypoints[waypoints.length - 1];
+        if (waypoints.length > 1 && (last.returnTo === first.id || last.id === first.id)) {
+            waypoints = waypoints.slice(0, -1);
+        }
+
+        if (waypoints.length < 3) {
+            showToast('Añade al menos 3 puntos para optimizar el orden', 'info');
+            return;
+        }
+
+        document.getElementById('map-loading')?.classList.remove('hidden');
+
+        try {
+            const coordinates = waypoints.map(wp => wp.coordinates);
+            const signature = this.getWaypointSignature();
+            const transportMode = this.currentRoute.transportMode;
+            const matrix = await calculateDurationMatrix(coordinates, transportMode);
+
+            // The waypoints changed while the matrix was loading; the order no longer applies
+            if (signature !== this.getWaypointSignature() || transportMode !== this.currentRoute.transportMode) {
+                showToast('La ruta cambió durante la optimización; vuelve a intentarlo', 'info');
+                return;
+            }
+
+            const result = optimizeTour(matrix.durations, tourType.id);
+
+            const optimized = result.order.map(i => waypoints[i]);
+            if (tourType.roundTrip) {
+                optimized.push(this.createReturnWaypoint(optimized[0]));
+            }
+
+            this.currentRoute.waypoints = optimized;
+            this.lastOptimization = {
+                signature: this.getWaypointSignature(),
+                saved: result.saved,
+                isEstimate: matrix.isFallback
+            };
+
+            this.renderWaypoints();
+            this.updateRouteOnMap();
+
+            if (result.saved < 60) {
+                showToast('El orden actual ya es el más rápido', 'info');
+            } else {
+                showToast(`Orden optimizado: ${formatDuration(result.saved)} menos de viaje`, 'success');
+            }
+        } catch (error) {
+            console.error('Error optimizing route:', error);
+            showToast('Error al optimizar la ruta', 'error');
+        } finally {
+            document.getElementById('map-loading')?.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Show the time saved by the last optimization while the order is unchanged
+     */
+    renderOptimizationResult() {
+        const element = document.getElementById('route-optimize-result');
+        if (!element) return;
+
+        const result = this.lastOptimization;
+        if (!result || result.signature !== this.getWaypointSignature() || result.saved < 60) {
+            element.classList.add('hidden');
+            return;
+        }
+
+        const label = result.isEstimate ? 'Ahorro estimado' : 'Ahorro';
+        element.textContent = `${label} al optimizar: ${formatDuration(result.saved)}`;
+        element.classList.remove('hidden');
+    }
+
+    /**
+     * Identify the current waypoint order
+     */
+    getWaypointSignature() {
+        return this.currentRoute.waypoints.map(wp => wp.id).join('|');
+    }
+
     /**
      * Clear current route
      */
@@ -592,12 +1584,24 @@ class GeoportalApp {
             distance: 0,
             duration: 0,
             geometry: null,
-            transportMode: this.currentRoute.transportMode
+            legs: [],
+            elevation: null,
+            transportMode: this.currentRoute.transportMode,
+            dayPlan: this.currentRoute.dayPlan
         };
 
+        this.editingRouteId = null;
+        this.renderEditingState();
+
+        // Drop pending and running route calculations for the old waypoints
+        this.scheduleReroute.cancel();
+        this.routeRequestId++;
+        document.getElementById('map-loading')?.classList.add('hidden');
+
         this.map.clearRouteElements();
         this.renderWaypoints();
         this.updateRouteStats();
+        this.renderElevationProfile();
 
         showToast('Ruta limpiada', 'info');
     }
@@ -607,7 +1611,7 @@ class GeoportalApp {
     /**
      * Open save route modal
      */
-    openSaveRouteModal() {
+    async openSaveRouteModal() {
         const modal = document.getElementById('modal-save-route');
         if (!modal) return;
 
@@ -616,9 +1620,17 @@ class GeoportalApp {
         document.getElementById('summary-distance').textContent = formatDistance(this.currentRoute.distance);
         document.getElementById('summary-duration').textContent = formatDuration(this.currentRoute.duration);
 
-        // Clear form
-        document.getElementById('route-name').value = '';
-        document.getElementById('route-description').value = '';
+        // Editing a saved route: offer to overwrite it, prefilled
+        const editedRoute = this.editingRouteId ? await RouteService.getById(this.editingRouteId) : null;
+        document.getElementById('save-route-title').textContent = editedRoute ? 'Guardar Cambios' : 'Guardar Ruta';
+        document.getElementById('route-save-as-new-group')?.classList.toggle('hidden', !editedRoute);
+        document.getElementById('route-save-as-new').checked = false;
+        document.getElementById('route-name').value = editedRoute?.name || '';
+        document.getElementById('route-description').value = editedRoute?.description || '';
+        document.getElementById('route-tags').value = (editedRoute?.tags || []).join(', ');
+        // New routes go to the trip being browsed
+        this.renderTripOptions(document.getElementById('route-trip'),
+            editedRoute ? editedRoute.tripId || 0 : this.routeFilters.tripId || 0);
 
         modal.classList.remove('hidden');
         document.getElementById('route-name')?.focus();
@@ -644,18 +1656,33 @@ class GeoportalApp {
                 distance: this.currentRoute.distance,
                 duration: this.currentRoute.duration,
                 transportMode: this.currentRoute.transportMode,
-                routeGeometry: this.currentRoute.geometry
+                routeGeometry: this.currentRoute.geometry,
+                legs: this.getLegSummaries(),
+                dayPlan: this.currentRoute.dayPlan,
+                days: this.getCurrentDays(),
+                elevation: this.currentRoute.elevation,
+                tripId: parseInt(document.getElementById('route-trip')?.value) || 0,
+                tags: (document.getElementById('route-tags')?.value || '').split(',')
             };
 
-            await RouteService.create(routeData);
+            const saveAsNew = document.getElementById('route-save-as-new')?.checked;
+            const updated = this.editingRouteId && !saveAsNew
+                ? await RouteService.update(this.editingRouteId, routeData)
+                : 0;
+
+            // The saved route is the one being edited from now on
+            if (!updated) {
+                this.editingRouteId = await RouteService.create(routeData);
+            }
 
             // Close modal
             document.getElementById('modal-save-route')?.classList.add('hidden');
 
             // Reload saved routes
             await this.loadSavedRoutes();
+            this.renderEditingState();
 
-            showToast('Ruta guardada correctamente', 'success');
+            showToast(updated ? 'Cambios guardados' : 'Ruta guardada correctamente', 'success');
         } catch (error) {
             console.error('Error saving route:', error);
             showToast('Error al guardar la ruta', 'error');
@@ -663,12 +1690,26 @@ class GeoportalApp {
     }
 
     /**
-     * Load saved routes from database
+     * Leg distances and durations without turn-by-turn steps
+     */
+    getLegSummaries() {
+        return (this.currentRoute.legs || []).map(leg => ({
+            distance: leg.distance,
+            duration: leg.duration
+        }));
+    }
+
+    /**
+     * Load the route count, trips and tags, and refresh the saved routes list
+     * Routes themselves are read when shown (RouteService.query and getById).
      */
     async loadSavedRoutes() {
         try {
-            this.savedRoutes = await RouteService.getAll();
-            document.getElementById('routes-count').textContent = this.savedRoutes.length;
+            this.routeCount = await RouteService.count();
+            this.trips = await TripService.getAll();
+            this.routeTags = await RouteService.getTags();
+            document.getElementById('routes-count').textContent = this.routeCount;
+            this.renderRouteFilters();
 
             if (this.currentView === 'routes') {
                 this.renderSavedRoutes();
@@ -680,12 +1721,15 @@ class GeoportalApp {
 
     /**
      * Render saved routes list
+     * Routes are read through RouteService.query with the current filters and sort.
      */
-    renderSavedRoutes() {
+    async renderSavedRoutes() {
         const container = document.getElementById('saved-routes-list');
         if (!container) return;
 
-        if (this.savedRoutes.length === 0) {
+        document.getElementById('btn-clear-route-filters')?.classList.toggle('hidden', !this.hasRouteFilters());
+
+        if (this.routeCount === 0) {
             container.innerHTML = `
                 <div class="empty-state">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -699,21 +1743,48 @@ class GeoportalApp {
             return;
         }
 
-        container.innerHTML = this.savedRoutes.map(route => `
-            <div class="saved-route-card" data-route-id="${route.id}">
-                <div class="saved-route-header">
-                    <h4 class="saved-route-name">${route.name}</h4>
-                    <span class="saved-route-date">${formatRelativeTime(route.createdAt)}</span>
-                </div>
-                ${route.description ? `<p class="saved-route-description">${route.description}</p>` : ''}
-                <div class="saved-route-stats">
-                    <div class="saved-route-stat">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path>
-                            <circle cx="12" cy="10" r="3"></circle>
-                        </svg>
-                        <strong>${route.waypoints?.length || 0}</strong> puntos
-                    </div>
+        const queryId = ++this.routeQueryId;
+        let routes;
+        try {
+            routes = await RouteService.query(this.routeFilters);
+        } catch (error) {
+            console.error('Error filtering routes:', error);
+            showToast('Error al filtrar las rutas', 'error');
+            return;
+        }
+
+        // Typing again while a query runs starts a newer one
+        if (queryId !== this.routeQueryId) return;
+
+        if (routes.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <circle cx="11" cy="11" r="8"></circle>
+                        <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+                    </svg>
+                    <p>Ninguna ruta coincide con los filtros</p>
+                    <span>Prueba con otra búsqueda o limpia los filtros</span>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = routes.map(route => `
+            <div class="saved-route-card" data-route-id="${route.id}">
+                <div class="saved-route-header">
+                    <h4 class="saved-route-name">${escapeHtml(route.name)}</h4>
+                    <span class="saved-route-date">${formatRelativeTime(route.createdAt)}</span>
+                </div>
+                ${route.description ? `<p class="saved-route-description">${escapeHtml(route.description)}</p>` : ''}
+                <div class="saved-route-stats">
+                    <div class="saved-route-stat">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path>
+                            <circle cx="12" cy="10" r="3"></circle>
+                        </svg>
+                        <strong>${route.waypoints?.length || 0}</strong> puntos
+                    </div>
                     <div class="saved-route-stat">
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <circle cx="12" cy="12" r="10"></circle>
@@ -727,7 +1798,16 @@ class GeoportalApp {
                         </svg>
                         <strong>${formatDistance(route.distance || 0)}</strong>
                     </div>
+                    ${route.days?.length > 1 ? `
+                    <div class="saved-route-stat">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path>
+                        </svg>
+                        <strong>${route.days.length}</strong> días
+                    </div>
+                    ` : ''}
                 </div>
+                ${this.getRouteLabelsHtml(route)}
             </div>
         `).join('');
 
@@ -739,11 +1819,27 @@ class GeoportalApp {
         });
     }
 
+    /**
+     * Trip and tag chips of a saved route card
+     */
+    getRouteLabelsHtml(route) {
+        const tripPath = this.getTripPath(route.tripId);
+        const tags = route.tags || [];
+        if (!tripPath && tags.length === 0) return '';
+
+        return `
+            <div class="saved-route-tags">
+                ${tripPath ? `<span class="saved-route-trip">${escapeHtml(tripPath)}</span>` : ''}
+                ${tags.map(tag => `<span class="saved-route-tag">${escapeHtml(tag)}</span>`).join('')}
+            </div>
+        `;
+    }
+
     /**
      * Open route detail modal
      */
-    openRouteDetail(routeId) {
-        const route = this.savedRoutes.find(r => r.id === routeId);
+    async openRouteDetail(routeId) {
+        const route = await RouteService.getById(routeId);
         if (!route) return;
 
         this.selectedRouteId = routeId;
@@ -758,13 +1854,32 @@ class GeoportalApp {
         document.getElementById('detail-duration').textContent = formatDuration(route.duration || 0);
         document.getElementById('detail-date').textContent = formatDate(route.createdAt);
         document.getElementById('detail-description').textContent = route.description || 'Sin descripción';
+        document.getElementById('detail-tags').value = (route.tags || []).join(', ');
+        this.renderTripOptions(document.getElementById('detail-trip'), route.tripId || 0);
+
+        const elevationInfo = document.getElementById('detail-elevation');
+        if (elevationInfo) {
+            elevationInfo.textContent = route.elevation
+                ? `Desnivel: ↑ ${route.elevation.ascent} m · ↓ ${route.elevation.descent} m · Pendiente máx. ${route.elevation.maxGrade} % · Altitud ${route.elevation.minElevation}–${route.elevation.maxElevation} m`
+                : '';
+            elevationInfo.classList.toggle('hidden', !route.elevation);
+        }
 
         // Render waypoints
         const waypointsList = document.getElementById('detail-waypoints-list');
         if (waypointsList && route.waypoints) {
-            waypointsList.innerHTML = route.waypoints.map(wp =>
-                `<li>${wp.name}</li>`
-            ).join('');
+            waypointsList.innerHTML = route.waypoints.map((wp, index) => {
+                const day = route.days?.length > 1 && route.days.find(d =>
+                    d.number === 1 ? index === d.startIndex : index === d.startIndex + 1
+                );
+                const dayHeader = day ? `
+                    <li class="detail-day-header">
+                        <strong>Día ${day.number}</strong>
+                        <span>${formatDistance(day.distance)} · ${formatDuration(day.drivingTime)} conducción · ${formatDuration(day.visitTime)} visitas</span>
+                    </li>
+                ` : '';
+                return `${dayHeader}<li>${escapeHtml(wp.name)}</li>`;
+            }).join('');
         }
 
         modal.classList.remove('hidden');
@@ -772,34 +1887,68 @@ class GeoportalApp {
 
     /**
      * Load selected route onto map
+     * @param {boolean} edit - Save changes back to this route instead of a new one
      */
-    loadSelectedRoute() {
-        const route = this.savedRoutes.find(r => r.id === this.selectedRouteId);
+    async loadSelectedRoute(edit = false) {
+        const route = this.selectedRouteId && await RouteService.getById(this.selectedRouteId);
         if (!route) return;
 
-        // Set current route data
+        this.editingRouteId = edit ? route.id : null;
+        this.renderEditingState();
+
+        // Close modal and switch to explore view
+        document.getElementById('modal-route-detail')?.classList.add('hidden');
+        this.switchView('explore');
+
+        this.showRouteInBuilder(route);
+
+        showToast(edit ? `Editando "${route.name}"` : `Ruta "${route.name}" cargada`, 'success');
+    }
+
+    /**
+     * Put a saved route in the route builder and draw it
+     */
+    showRouteInBuilder(route) {
         this.currentRoute = {
             waypoints: route.waypoints || [],
             distance: route.distance || 0,
             duration: route.duration || 0,
             geometry: route.routeGeometry,
-            transportMode: route.transportMode || 'driving'
+            legs: route.legs || [],
+            elevation: route.elevation || null,
+            transportMode: route.transportMode || 'driving',
+            dayPlan: { ...DEFAULT_DAY_PLAN, ...route.dayPlan }
         };
 
         // Update transport mode UI
         document.querySelectorAll('.transport-btn').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.mode === this.currentRoute.transportMode);
         });
-
-        // Close modal and switch to explore view
-        document.getElementById('modal-route-detail')?.classList.add('hidden');
-        this.switchView('explore');
+        this.renderDayPlanControls();
 
         // Render and draw route
         this.renderWaypoints();
         this.updateRouteOnMap();
+    }
 
-        showToast(`Ruta "${route.name}" cargada`, 'success');
+    /**
+     * Show which saved route the builder is editing
+     */
+    async renderEditingState() {
+        const route = this.editingRouteId ? await RouteService.getById(this.editingRouteId) : null;
+        if (!route) this.editingRouteId = null;
+
+        document.getElementById('route-editing')?.classList.toggle('hidden', !route);
+        const name = document.getElementById('route-editing-name');
+        if (name) name.textContent = route?.name || '';
+    }
+
+    /**
+     * Keep the route in the builder but save it as a new route from now on
+     */
+    stopEditingRoute() {
+        this.editingRouteId = null;
+        this.renderEditingState();
     }
 
     /**
@@ -819,7 +1968,7 @@ class GeoportalApp {
 
             // Reload routes
             await this.loadSavedRoutes();
-            this.renderSavedRoutes();
+            this.renderEditingState();
 
             showToast('Ruta eliminada', 'success');
         } catch (error) {
@@ -828,58 +1977,501 @@ class GeoportalApp {
         }
     }
 
-    // ==================== EXPORT ====================
+    // ==================== ROUTE FILTERS ====================
 
     /**
-     * Open export modal
+     * Fill the saved route filters with the current trips, tags and sort
      */
-    openExportModal() {
-        if (this.currentRoute.waypoints.length < 2 && !this.selectedRouteId) {
-            showToast('No hay ruta para exportar', 'error');
+    renderRouteFilters() {
+        // Forget filters on trips or tags that no longer exist
+        if (this.routeFilters.tripId && !this.trips.some(trip => trip.id === this.routeFilters.tripId)) {
+            this.routeFilters.tripId = null;
+        }
+        if (this.routeFilters.tag && !this.routeTags.includes(this.routeFilters.tag)) {
+            this.routeFilters.tag = null;
+        }
+
+        this.renderTripOptions(document.getElementById('routes-filter-trip'), this.routeFilters.tripId ?? '',
+            [['', 'Todos los viajes'], [0, 'Sin viaje']]);
+
+        const tagSelect = document.getElementById('routes-filter-tag');
+        if (tagSelect) {
+            tagSelect.innerHTML = '<option value="">Todas las etiquetas</option>' + this.routeTags.map(tag =>
+                `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`
+            ).join('');
+            tagSelect.value = this.routeFilters.tag || '';
+        }
+
+        const modeSelect = document.getElementById('routes-filter-mode');
+        if (modeSelect) {
+            modeSelect.innerHTML = '<option value="">Todos los modos</option>' + Object.values(TransportModes).map(mode =>
+                `<option value="${mode.id}">${mode.name}</option>`
+            ).join('');
+            modeSelect.value = this.routeFilters.transportMode || '';
+        }
+
+        const sortSelect = document.getElementById('routes-sort');
+        if (sortSelect) {
+            sortSelect.innerHTML = Object.entries(RouteSortFields).map(([id, label]) =>
+                `<option value="${id}">Ordenar por ${label.toLowerCase()}</option>`
+            ).join('');
+            sortSelect.value = this.routeFilters.sortBy;
+        }
+        document.getElementById('routes-order').value = this.routeFilters.descending ? 'desc' : 'asc';
+
+        const suggestions = document.getElementById('tag-suggestions');
+        if (suggestions) {
+            suggestions.innerHTML = this.routeTags.map(tag => `<option value="${escapeHtml(tag)}">`).join('');
+        }
+    }
+
+    /**
+     * Read the filter selects and show the matching routes
+     */
+    updateRouteFilters() {
+        const value = id => document.getElementById(id)?.value || '';
+        const tripId = value('routes-filter-trip');
+
+        Object.assign(this.routeFilters, {
+            tripId: tripId === '' ? null : parseInt(tripId),
+            tag: value('routes-filter-tag') || null,
+            transportMode: value('routes-filter-mode') || null,
+            sortBy: value('routes-sort') || DEFAULT_ROUTE_QUERY.sortBy,
+            descending: value('routes-order') !== 'asc'
+        });
+        this.renderSavedRoutes();
+    }
+
+    /**
+     * Whether the saved routes are filtered (sorting doesn't count)
+     */
+    hasRouteFilters() {
+        const { text, tag, tripId, transportMode } = this.routeFilters;
+        return Boolean(text.trim() || tag || tripId != null || transportMode);
+    }
+
+    /**
+     * Show every saved route, keeping the sort
+     */
+    clearRouteFilters() {
+        Object.assign(this.routeFilters, { text: '', tag: null, tripId: null, transportMode: null });
+        document.getElementById('routes-search').value = '';
+        this.renderRouteFilters();
+        this.renderSavedRoutes();
+    }
+
+    // ==================== TRIPS ====================
+
+    /**
+     * Fill a select with the trips, nested by depth
+     * @param {HTMLSelectElement} select - Select to fill
+     * @param {number|string} selected - Selected value
+     * @param {Array} firstOptions - [value, label] pairs listed before the trips
+     */
+    renderTripOptions(select, selected, firstOptions = [[0, 'Sin viaje']]) {
+        if (!select) return;
+
+        const options = [
+            ...firstOptions,
+            ...TripService.flatten(this.trips).map(({ trip, depth }) =>
+                [trip.id, `${'\u00a0\u00a0\u00a0'.repeat(depth)}${trip.name}`]
+            )
+        ];
+        select.innerHTML = options.map(([value, label]) =>
+            `<option value="${value}">${escapeHtml(label)}</option>`
+        ).join('');
+        select.value = selected;
+    }
+
+    /**
+     * Name of a trip with the trips containing it ("Islandia 2026 › Norte")
+     */
+    getTripPath(tripId) {
+        const path = [];
+        let trip = this.trips.find(t => t.id === tripId);
+        while (trip && !path.includes(trip)) {
+            path.unshift(trip);
+            trip = this.trips.find(t => t.id === trip.parentId);
+        }
+        return path.map(t => t.name).join(' › ');
+    }
+
+    /**
+     * Open the trip manager
+     */
+    openTripsModal() {
+        document.getElementById('trip-name').value = '';
+        this.renderTripList();
+        document.getElementById('modal-trips')?.classList.remove('hidden');
+        document.getElementById('trip-name')?.focus();
+    }
+
+    /**
+     * Render the trip tree of the trip manager
+     */
+    async renderTripList() {
+        this.renderTripOptions(document.getElementById('trip-parent'), 0, [[0, 'Ninguno (nivel superior)']]);
+
+        const list = document.getElementById('trip-list');
+        if (!list) return;
+
+        const tree = TripService.flatten(this.trips);
+        if (tree.length === 0) {
+            list.innerHTML = '<li class="trip-empty">Todavía no hay viajes ni carpetas</li>';
             return;
         }
 
-        document.getElementById('modal-export')?.classList.remove('hidden');
+        const routeCounts = new Map(await Promise.all(
+            tree.map(async ({ trip }) => [trip.id, await RouteService.countByTrip(trip.id)])
+        ));
+
+        list.innerHTML = tree.map(({ trip, depth }) => `
+            <li class="trip-item" style="--depth: ${depth}">
+                <span>${escapeHtml(trip.name)}</span>
+                <small>${routeCounts.get(trip.id) || 0} rutas</small>
+                <button class="btn btn-secondary" data-rename-trip="${trip.id}">Renombrar</button>
+                <button class="btn btn-danger" data-delete-trip="${trip.id}">Eliminar</button>
+            </li>
+        `).join('');
     }
 
     /**
-     * Export current route
+     * Create a trip from the trip manager form
      */
-    async exportRoute() {
-        const format = document.querySelector('input[name="export-format"]:checked')?.value || 'pdf';
-        const includeMap = document.getElementById('export-include-map')?.checked;
+    async createTrip() {
+        const name = document.getElementById('trip-name')?.value.trim();
+        if (!name) {
+            showToast('Por favor, introduce un nombre para el viaje', 'error');
+            return;
+        }
+
+        try {
+            await TripService.create({
+                name,
+                parentId: parseInt(document.getElementById('trip-parent')?.value) || 0
+            });
+            document.getElementById('trip-name').value = '';
+            await this.loadSavedRoutes();
+            this.renderTripList();
+            showToast(`Viaje "${name}" creado`, 'success');
+        } catch (error) {
+            console.error('Error creating trip:', error);
+            showToast('Error al crear el viaje', 'error');
+        }
+    }
+
+    /**
+     * Rename a trip
+     */
+    async renameTrip(tripId) {
+        const trip = this.trips.find(t => t.id === tripId);
+        const name = trip && prompt('Nuevo nombre del viaje', trip.name)?.trim();
+        if (!name || name === trip.name) return;
+
+        try {
+            await TripService.update(tripId, { name });
+            await this.loadSavedRoutes();
+            this.renderTripList();
+        } catch (error) {
+            console.error('Error renaming trip:', error);
+            showToast('Error al renombrar el viaje', 'error');
+        }
+    }
+
+    /**
+     * Delete a trip; its routes and sub-trips move to the trip containing it
+     */
+    async deleteTrip(tripId) {
+        const trip = this.trips.find(t => t.id === tripId);
+        if (!trip || !confirm(`¿Eliminar "${trip.name}"? Sus rutas no se borrarán.`)) return;
+
+        try {
+            await TripService.delete(tripId);
+            await this.loadSavedRoutes();
+            this.renderTripList();
+            showToast(`Viaje "${trip.name}" eliminado`, 'success');
+        } catch (error) {
+            console.error('Error deleting trip:', error);
+            showToast('Error al eliminar el viaje', 'error');
+        }
+    }
+
+    /**
+     * Change the trip or tags of the selected route from its detail view
+     * @param {Object} changes - { tripId } or { tags }
+     */
+    async organizeSelectedRoute(changes) {
+        if (!this.selectedRouteId) return;
+
+        try {
+            // Organizing a route doesn't create a revision
+            await RouteService.update(this.selectedRouteId, changes, { revision: false });
+            await this.loadSavedRoutes();
+
+            const route = await RouteService.getById(this.selectedRouteId);
+            document.getElementById('detail-tags').value = (route?.tags || []).join(', ');
+            showToast('Ruta actualizada', 'success');
+        } catch (error) {
+            console.error('Error organizing route:', error);
+            showToast('Error al actualizar la ruta', 'error');
+        }
+    }
+
+    // ==================== REVISIONS ====================
+
+    /**
+     * Open the revision history of the selected route
+     */
+    async openRouteHistory() {
+        const route = this.selectedRouteId && await RouteService.getById(this.selectedRouteId);
+        if (!route) return;
+
+        try {
+            this.revisions = await RevisionService.getByRoute(route.id);
+        } catch (error) {
+            console.error('Error loading revisions:', error);
+            showToast('Error al cargar el historial', 'error');
+            return;
+        }
+
+        document.getElementById('revision-route-name').textContent = route.name;
+        this.renderRevisionList();
+
+        document.getElementById('modal-route-detail')?.classList.add('hidden');
+        document.getElementById('modal-route-history')?.classList.remove('hidden');
+    }
+
+    /**
+     * List the revisions, newest first, and fill the compare selects
+     */
+    renderRevisionList() {
+        const list = document.getElementById('revision-list');
+        const compare = document.getElementById('revision-compare');
+        if (!list) return;
+
+        if (this.revisions.length === 0) {
+            list.innerHTML = '<li class="revision-item">Esta ruta aún no tiene versiones guardadas. Se guardará una cada vez que la edites.</li>';
+            compare?.classList.add('hidden');
+            return;
+        }
 
-        // Get route data
-        const routeData = {
+        const label = (revision, index) => `Versión ${this.revisions.length - index} · ${formatDate(revision.createdAt, { hour: '2-digit', minute: '2-digit' })}`;
+
+        list.innerHTML = this.revisions.map((revision, index) => `
+            <li class="revision-item">
+                <div>
+                    <strong>${label(revision, index)}</strong>
+                    <small>${escapeHtml(revision.note || '')} · ${revision.route.waypoints?.length || 0} puntos · ${formatDistance(revision.route.distance || 0)}</small>
+                </div>
+                ${index === 0
+                    ? '<span class="badge">Actual</span>'
+                    : `<button class="btn btn-secondary" data-restore="${revision.id}">Restaurar</button>`}
+            </li>
+        `).join('');
+
+        const options = this.revisions.map((revision, index) =>
+            `<option value="${revision.id}">${label(revision, index)}</option>`
+        ).join('');
+        const from = document.getElementById('revision-from');
+        const to = document.getElementById('revision-to');
+        from.innerHTML = options;
+        to.innerHTML = options;
+        from.value = this.revisions[Math.min(1, this.revisions.length - 1)].id;
+        to.value = this.revisions[0].id;
+
+        compare?.classList.toggle('hidden', this.revisions.length < 2);
+        this.renderRevisionDiff();
+    }
+
+    /**
+     * Show the changes between the two revisions picked in the compare selects
+     */
+    renderRevisionDiff() {
+        const container = document.getElementById('revision-diff');
+        const from = this.revisions.find(r => r.id === parseInt(document.getElementById('revision-from')?.value));
+        const to = this.revisions.find(r => r.id === parseInt(document.getElementById('revision-to')?.value));
+        if (!container || !from || !to) return;
+
+        const diff = diffRoutes(from.route, to.route);
+        const fieldNames = { name: 'Nombre', description: 'Descripción', transportMode: 'Modo de transporte' };
+        const fieldValue = (field, value) => field === 'transportMode'
+            ? TransportModes[value]?.name || value
+            : value || '(vacío)';
+        const waypointName = waypoint => escapeHtml(waypoint.name || formatCoordinates(waypoint.coordinates));
+
+        const items = [
+            ...diff.fields.map(({ field, from: before, to: after }) => `
+                <li class="diff-changed">${fieldNames[field]}: ${escapeHtml(fieldValue(field, before))} → ${escapeHtml(fieldValue(field, after))}</li>`),
+            ...diff.waypoints.added.map(({ waypoint, index }) => `
+                <li class="diff-added">+ ${waypointName(waypoint)} <small>(parada ${index + 1})</small></li>`),
+            ...diff.waypoints.removed.map(({ waypoint, index }) => `
+                <li class="diff-removed">− ${waypointName(waypoint)} <small>(era la parada ${index + 1})</small></li>`),
+            ...diff.waypoints.moved.map(({ waypoint, from: before, to: after }) => `
+                <li class="diff-moved">↕ ${waypointName(waypoint)} <small>(parada ${before + 1} → ${after + 1})</small></li>`),
+            ...diff.waypoints.renamed.map(({ from: before, to: after }) => `
+                <li class="diff-changed">${escapeHtml(before)} → ${escapeHtml(after)}</li>`)
+        ];
+
+        if (diff.distance.from !== diff.distance.to || diff.duration.from !== diff.duration.to) {
+            items.push(`
+                <li>Distancia: ${formatDistance(diff.distance.from)} → ${formatDistance(diff.distance.to)} · Duración: ${formatDuration(diff.duration.from)} → ${formatDuration(diff.duration.to)}</li>`);
+        }
+
+        container.innerHTML = items.length > 0 ? items.join('') : '<li>Sin cambios entre estas versiones</li>';
+    }
+
+    /**
+     * Restore the selected route to an older revision
+     */
+    async restoreRevision(revisionId) {
+        if (!confirm('¿Restaurar esta versión? La versión actual se conserva en el historial.')) return;
+
+        try {
+            const routeId = await RevisionService.restore(revisionId);
+
+            // The builder would otherwise save its stale copy over the restored version
+            if (routeId === this.editingRouteId) {
+                this.showRouteInBuilder(await RouteService.getById(routeId));
+            }
+
+            await this.loadSavedRoutes();
+            this.revisions = await RevisionService.getByRoute(routeId);
+            this.renderRevisionList();
+            this.renderEditingState();
+
+            showToast('Versión restaurada', 'success');
+        } catch (error) {
+            console.error('Error restoring revision:', error);
+            showToast(error.message || 'Error al restaurar la versión', 'error');
+        }
+    }
+
+    // ==================== EXPORT ====================
+
+    /**
+     * Build the export modal's format cards and option fields from the registry
+     * Options of every format are rendered once so their values are kept
+     * between exports; only the selected format's are shown.
+     */
+    renderExportFormats() {
+        const formatsContainer = document.getElementById('export-formats');
+        const optionsContainer = document.getElementById('export-format-options');
+        if (!formatsContainer || !optionsContainer) return;
+
+        const formats = Object.values(ExportFormats);
+
+        formatsContainer.innerHTML = formats.map((format, i) => `
+            <label class="export-option">
+                <input type="radio" name="export-format" value="${format.id}"${i === 0 ? ' checked' : ''}>
+                <div class="export-card">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${format.icon}</svg>
+                    <span>${format.label}</span>
+                    <small>${format.description}</small>
+                </div>
+            </label>
+        `).join('');
+
+        optionsContainer.innerHTML = formats.filter(format => format.options.length > 0).map(format => {
+            const defaults = getDefaultExportOptions(format.id);
+
+            return `
+                <div class="export-format-options hidden" data-format="${format.id}">
+                    ${format.options.map(option => option.type === 'checkbox' ? `
+                    <div class="form-group">
+                        <label>
+                            <input type="checkbox" id="export-${format.id}-${option.id}"${defaults[option.id] ? ' checked' : ''}>
+                            ${escapeHtml(option.label)}
+                        </label>
+                    </div>
+                    ` : `
+                    <div class="form-group">
+                        <label for="export-${format.id}-${option.id}">${escapeHtml(option.label)}</label>
+                        <input type="${option.type}" id="export-${format.id}-${option.id}" value="${defaults[option.id] ?? ''}">
+                    </div>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+
+        formatsContainer.querySelectorAll('input[name="export-format"]').forEach(input => {
+            input.addEventListener('change', () => this.showExportFormatOptions(input.value));
+        });
+
+        this.showExportFormatOptions(formats[0]?.id);
+    }
+
+    /**
+     * Show the option fields of one format
+     */
+    showExportFormatOptions(formatId) {
+        document.querySelectorAll('.export-format-options').forEach(group => {
+            group.classList.toggle('hidden', group.dataset.format !== formatId);
+        });
+    }
+
+    /**
+     * Option values of a format as set in the export modal
+     */
+    getExportOptions(formatId) {
+        const format = ExportFormats[formatId];
+        if (!format) return {};
+
+        return Object.fromEntries(format.options.map(option => {
+            const input = document.getElementById(`export-${format.id}-${option.id}`);
+            if (!input) return [option.id, undefined];
+            return [option.id, option.type === 'checkbox' ? input.checked : input.value];
+        }).filter(([, value]) => value !== undefined));
+    }
+
+    /**
+     * Current route in the shape of a saved route, for export
+     */
+    getCurrentRouteData() {
+        return {
             name: 'Ruta actual',
             description: '',
             waypoints: this.currentRoute.waypoints,
             distance: this.currentRoute.distance,
             duration: this.currentRoute.duration,
             transportMode: this.currentRoute.transportMode,
+            routeGeometry: this.currentRoute.geometry,
+            legs: this.getLegSummaries(),
+            dayPlan: this.currentRoute.dayPlan,
+            days: this.getCurrentDays(),
+            elevation: this.currentRoute.elevation,
             createdAt: new Date().toISOString()
         };
+    }
 
-        try {
-            let filename;
+    /**
+     * Open the export modal for a route
+     * @param {Object} route - Route to export (defaults to the current route)
+     */
+    openExportModal(route = null) {
+        if (!route && this.currentRoute.waypoints.length < 2) {
+            showToast('No hay ruta para exportar', 'error');
+            return;
+        }
 
-            switch (format) {
-                case 'pdf':
-                    filename = await exportToPDF(routeData, {
-                        includeMap,
-                        mapElement: document.getElementById('map')
-                    });
-                    break;
-                case 'html':
-                    filename = exportToHTML(routeData);
-                    break;
-                case 'json':
-                    filename = exportToJSON(routeData);
-                    break;
-            }
+        this.exportTarget = route || this.getCurrentRouteData();
+        document.getElementById('modal-export')?.classList.remove('hidden');
+    }
+
+    /**
+     * Export a route in the format selected in the export modal
+     * @param {Object} route - Route to export
+     */
+    async exportRoute(route) {
+        if (!route) return;
+
+        const formatId = document.querySelector('input[name="export-format"]:checked')?.value || 'pdf';
+        const format = ExportFormats[formatId];
+
+        try {
+            await exportRoute(route, formatId, this.getExportOptions(formatId));
 
             document.getElementById('modal-export')?.classList.add('hidden');
-            showToast(`Ruta exportada como ${format.toUpperCase()}`, 'success');
+            showToast(`Ruta exportada como ${format.label}`, 'success');
         } catch (error) {
             console.error('Error exporting route:', error);
             showToast('Error al exportar la ruta', 'error');
@@ -890,47 +2482,578 @@ class GeoportalApp {
      * Export selected saved route
      */
     async exportSelectedRoute() {
-        const route = this.savedRoutes.find(r => r.id === this.selectedRouteId);
+        const route = this.selectedRouteId && await RouteService.getById(this.selectedRouteId);
         if (!route) return;
 
         document.getElementById('modal-route-detail')?.classList.add('hidden');
-        this.openExportModal();
+        this.openExportModal(route);
+    }
+
+    /**
+     * Open the booklet modal with every saved route selected
+     */
+    async openBookletModal() {
+        if (this.routeCount === 0) {
+            showToast('No hay rutas guardadas para el cuaderno', 'error');
+            return;
+        }
+
+        const list = document.getElementById('booklet-routes');
+        if (list) {
+            const routes = await RouteService.query({ sortBy: 'name', descending: false });
+            list.innerHTML = routes.map(route => `
+                <label class="booklet-route">
+                    <input type="checkbox" value="${route.id}" checked>
+                    <span>${escapeHtml(route.name)}</span>
+                    <small>${route.waypoints?.length || 0} puntos · ${formatDistance(route.distance || 0)}</small>
+                </label>
+            `).join('');
+        }
+
+        document.getElementById('modal-booklet')?.classList.remove('hidden');
+    }
+
+    /**
+     * Export the routes checked in the booklet modal as a PDF booklet
+     */
+    async exportBookletFromModal() {
+        const ids = Array.from(document.querySelectorAll('#booklet-routes input:checked'))
+            .map(input => parseInt(input.value));
+        if (ids.length === 0) {
+            showToast('Selecciona al menos una ruta', 'error');
+            return;
+        }
+
+        try {
+            const routes = await RouteService.getByIds(ids);
+            await exportBooklet(routes, { title: document.getElementById('booklet-title')?.value });
+            document.getElementById('modal-booklet')?.classList.add('hidden');
+            showToast(`Cuaderno generado con ${routes.length} ${routes.length === 1 ? 'ruta' : 'rutas'}`, 'success');
+        } catch (error) {
+            console.error('Error exporting booklet:', error);
+            showToast('Error al generar el cuaderno', 'error');
+        }
+    }
+
+    /**
+     * Open the export-all modal with the batch export formats
+     */
+    openExportAllModal() {
+        if (this.routeCount === 0) {
+            showToast('No hay rutas guardadas para exportar', 'error');
+            return;
+        }
+
+        const list = document.getElementById('export-all-formats');
+        if (list && !list.children.length) {
+            list.innerHTML = getBatchExportFormats().map(format => `
+                <label class="export-all-format">
+                    <input type="checkbox" value="${format.id}"${['gpx', 'geojson'].includes(format.id) ? ' checked' : ''}>
+                    <span>${escapeHtml(format.label)}</span>
+                    <small>${escapeHtml(format.description)}</small>
+                </label>
+            `).join('');
+        }
+
+        document.getElementById('modal-export-all')?.classList.remove('hidden');
+    }
+
+    /**
+     * Export every saved route in the formats checked in the export-all modal
+     */
+    async exportAllRoutes() {
+        const formatIds = Array.from(document.querySelectorAll('#export-all-formats input:checked'))
+            .map(input => input.value);
+
+        if (formatIds.length === 0) {
+            showToast('Selecciona al menos un formato', 'error');
+            return;
+        }
+
+        try {
+            const options = Object.fromEntries(formatIds.map(id => [id, this.getExportOptions(id)]));
+            const routes = await RouteService.getAll();
+            const { files, errors } = await exportRoutesAsZip(routes, formatIds, options);
+
+            document.getElementById('modal-export-all')?.classList.add('hidden');
+            if (errors.length > 0) {
+                showToast(`ZIP generado con ${files} archivos; ${errors.length} no se pudieron exportar (ver manifest.json)`, 'info');
+            } else {
+                showToast(`${routes.length} rutas exportadas en ZIP`, 'success');
+            }
+        } catch (error) {
+            console.error('Error exporting all routes:', error);
+            showToast('Error al exportar las rutas', 'error');
+        }
+    }
 
-        // Override export to use saved route data
-        const originalExport = this.exportRoute.bind(this);
-        this.exportRoute = async () => {
-            const format = document.querySelector('input[name="export-format"]:checked')?.value || 'pdf';
-            const includeMap = document.getElementById('export-include-map')?.checked;
+    // ==================== IMPORT ====================
+
+    /**
+     * Open the import modal with an empty file list
+     */
+    openImportModal() {
+        this.importFiles = [];
+        this.renderImportPreview();
+        document.getElementById('modal-import')?.classList.remove('hidden');
+    }
 
+    /**
+     * Accept route files dropped on an element
+     * Files dropped outside the import modal open it.
+     */
+    setupImportDropTarget(element) {
+        if (!element) return;
+
+        element.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer?.types.includes('Files')) return;
+            e.preventDefault();
+            element.classList.add('dragover');
+        });
+        element.addEventListener('dragleave', (e) => {
+            if (!element.contains(e.relatedTarget)) {
+                element.classList.remove('dragover');
+            }
+        });
+        element.addEventListener('drop', (e) => {
+            if (!e.dataTransfer?.files.length) return;
+            e.preventDefault();
+            e.stopPropagation();
+            element.classList.remove('dragover');
+
+            const modal = document.getElementById('modal-import');
+            if (modal?.classList.contains('hidden')) {
+                this.importFiles = [];
+                modal.classList.remove('hidden');
+            }
+            this.addImportFiles(Array.from(e.dataTransfer.files));
+        });
+    }
+
+    /**
+     * Read files and add them to the import preview
+     * Each file is parsed and validated on its own so one bad file doesn't
+     * stop the others.
+     */
+    async addImportFiles(files) {
+        for (const file of files) {
+            const entry = { name: file.name, preview: null, error: null };
             try {
-                let filename;
-
-                switch (format) {
-                    case 'pdf':
-                        filename = await exportToPDF(route, {
-                            includeMap,
-                            mapElement: document.getElementById('map')
-                        });
-                        break;
-                    case 'html':
-                        filename = exportToHTML(route);
-                        break;
-                    case 'json':
-                        filename = exportToJSON(route);
-                        break;
-                }
+                const text = await file.text();
+                entry.preview = readImportFile(text, {
+                    fallbackName: file.name.replace(/\.(gpx|geojson|json)$/i, '')
+                });
+            } catch (error) {
+                console.error(`Error reading ${file.name}:`, error);
+                entry.error = error.message || 'No se pudo leer el archivo';
+            }
+            this.importFiles.push(entry);
+        }
 
-                document.getElementById('modal-export')?.classList.add('hidden');
-                showToast(`Ruta exportada como ${format.toUpperCase()}`, 'success');
+        this.renderImportPreview();
+    }
+
+    /**
+     * List the files to import with their routes and errors
+     */
+    renderImportPreview() {
+        const container = document.getElementById('import-preview');
+        const button = document.getElementById('btn-confirm-import');
+        if (!container) return;
+
+        container.innerHTML = this.importFiles.map((file, index) => {
+            const header = `
+                <div class="import-file-header">
+                    <strong>${escapeHtml(file.name)}</strong>
+                    <small>${file.error ? 'Error' : ImportFormats[file.preview.format]}</small>
+                    <button class="import-file-remove" data-index="${index}" title="Quitar">&times;</button>
+                </div>`;
+
+            if (file.error) {
+                return `
+                <div class="import-file error">${header}
+                    <ul><li class="import-error">${escapeHtml(file.error)}</li></ul>
+                </div>`;
+            }
 
-                // Restore original function
-                this.exportRoute = originalExport;
+            const routes = file.preview.routes.map(({ route, matched }) => `
+                        <li>
+                            <span>${escapeHtml(route.name)}</span>
+                            <small>${route.waypoints.length} puntos (${matched} lugares) · ${formatDistance(route.distance)}</small>
+                        </li>`).join('');
+            const skipped = file.preview.skipped.map(({ name, errors }) => `
+                        <li class="import-error">
+                            <span>${escapeHtml(name)}: no se importará</span>
+                            <small>${escapeHtml(errors.join('; '))}</small>
+                        </li>`).join('');
+
+            return `
+                <div class="import-file">${header}
+                    <ul>${routes}${skipped}
+                    </ul>
+                </div>`;
+        }).join('');
+
+        const count = this.getImportRouteCount();
+        if (button) {
+            button.disabled = count === 0;
+            button.textContent = count > 0 ? `Importar ${count} ${count === 1 ? 'ruta' : 'rutas'}` : 'Importar';
+        }
+    }
+
+    /**
+     * Number of valid routes in the import preview
+     */
+    getImportRouteCount() {
+        return this.importFiles.reduce((sum, file) => sum + (file.preview?.routes.length || 0), 0);
+    }
+
+    /**
+     * Save every valid route in the import preview
+     * Files that fail to save stay in the list with their error.
+     */
+    async confirmImport() {
+        let imported = 0;
+
+        for (const file of this.importFiles) {
+            if (!file.preview) continue;
+            try {
+                imported += (await saveImport(file.preview)).length;
+                file.saved = true;
             } catch (error) {
-                console.error('Error exporting route:', error);
-                showToast('Error al exportar la ruta', 'error');
-                this.exportRoute = originalExport;
+                console.error(`Error importing ${file.name}:`, error);
+                file.preview = null;
+                file.error = 'Error al guardar las rutas';
+            }
+        }
+
+        this.importFiles = this.importFiles.filter(file => !file.saved);
+        await this.loadSavedRoutes();
+
+        if (imported === 0) {
+            this.renderImportPreview();
+            showToast('No se importó ninguna ruta', 'error');
+            return;
+        }
+
+        if (this.importFiles.some(file => file.error)) {
+            this.renderImportPreview();
+        } else {
+            document.getElementById('modal-import')?.classList.add('hidden');
+        }
+        showToast(`${imported} ${imported === 1 ? 'ruta importada' : 'rutas importadas'}`, 'success');
+    }
+
+    // ==================== BACKUP ====================
+
+    /**
+     * Open the backup modal
+     */
+    openBackupModal() {
+        this.backupData = null;
+
+        const select = document.getElementById('backup-mode');
+        if (select) {
+            select.innerHTML = Object.entries(RestoreModes).map(([id, label]) =>
+                `<option value="${id}">${label}</option>`
+            ).join('');
+        }
+
+        document.getElementById('backup-file-name').textContent = 'Ningún archivo seleccionado';
+        document.getElementById('backup-summary')?.classList.add('hidden');
+        document.getElementById('btn-confirm-restore').disabled = true;
+        document.getElementById('modal-backup')?.classList.remove('hidden');
+    }
+
+    /**
+     * Download a backup of the whole database
+     */
+    async createBackup() {
+        try {
+            await downloadBackup();
+            showToast('Copia de seguridad descargada', 'success');
+        } catch (error) {
+            console.error('Error creating backup:', error);
+            showToast('Error al crear la copia de seguridad', 'error');
+        }
+    }
+
+    /**
+     * Read a backup file and preview its restore
+     */
+    async loadBackupFile(file) {
+        document.getElementById('backup-file-name').textContent = file.name;
+
+        try {
+            this.backupData = parseBackup(await file.text());
+        } catch (error) {
+            this.backupData = null;
+            this.renderRestoreSummary(null, error.message);
+            return;
+        }
+
+        await this.previewRestore();
+    }
+
+    /**
+     * Dry-run the restore in the selected mode and show what it would do
+     */
+    async previewRestore() {
+        if (!this.backupData) return;
+
+        const mode = document.getElementById('backup-mode')?.value || 'merge';
+        try {
+            const summary = await restoreBackup(this.backupData, { mode, dryRun: true });
+            this.renderRestoreSummary(summary);
+        } catch (error) {
+            console.error('Error checking backup:', error);
+            this.renderRestoreSummary(null, error.message);
+        }
+    }
+
+    /**
+     * Show a restore summary, or why the backup can't be restored
+     */
+    renderRestoreSummary(summary, errorMessage = null) {
+        const container = document.getElementById('backup-summary');
+        const button = document.getElementById('btn-confirm-restore');
+        if (!container) return;
+
+        container.classList.remove('hidden');
+
+        if (!summary) {
+            container.innerHTML = `<p class="backup-warning">${escapeHtml(errorMessage)}</p>`;
+            button.disabled = true;
+            return;
+        }
+
+        const names = list => list.length > 0 ? `<small>${escapeHtml(list.join(', '))}</small>` : '';
+        const blocked = summary.mode === 'replace' && summary.invalid.length > 0;
+        const changes = summary.added.length + summary.updated.length + summary.removed + summary.trips.added + summary.settings.added;
+
+        container.innerHTML = `
+            <ul>
+                ${summary.removed > 0 ? `<li class="backup-warning">Se eliminarán las ${summary.removed} rutas actuales</li>` : ''}
+                <li>Se añadirán ${summary.added.length} rutas${names(summary.added)}</li>
+                ${summary.mode === 'merge' ? `<li>Se actualizarán ${summary.updated.length} rutas${names(summary.updated)}</li>` : ''}
+                ${summary.skipped.length > 0 ? `<li>Se omitirán ${summary.skipped.length} rutas${names(summary.skipped.map(route => `${route.name} (${route.reason})`))}</li>` : ''}
+                ${summary.trips.added + summary.trips.skipped > 0 ? `<li>Viajes: ${summary.trips.added} nuevos${summary.trips.skipped > 0 ? `, ${summary.trips.skipped} se conservan` : ''}</li>` : ''}
+                <li>Ajustes: ${summary.settings.added} nuevos${summary.settings.skipped > 0 ? `, ${summary.settings.skipped} se conservan` : ''}</li>
+                ${summary.invalid.map(item => `
+                <li class="backup-warning">${escapeHtml(item.name)}: no válido<small>${escapeHtml(item.errors.join('; '))}</small></li>
+                `).join('')}
+                ${blocked ? '<li class="backup-warning">El modo reemplazar no admite copias con elementos no válidos</li>' : ''}
+            </ul>
+        `;
+
+        button.disabled = blocked || changes === 0;
+    }
+
+    /**
+     * Restore the loaded backup in the selected mode
+     */
+    async confirmRestore() {
+        if (!this.backupData) return;
+
+        const mode = document.getElementById('backup-mode')?.value || 'merge';
+        if (mode === 'replace' && !confirm('Se borrarán todas las rutas y la configuración actuales. ¿Continuar?')) {
+            return;
+        }
+
+        try {
+            const summary = await restoreBackup(this.backupData, { mode });
+
+            document.getElementById('modal-backup')?.classList.add('hidden');
+            await this.loadSavedRoutes();
+
+            // Restored settings only take effect once they are loaded again
+            if (mode === 'replace' || summary.settings.added > 0) {
+                await this.loadSettings();
+                this.renderDirections();
+                if (this.currentRoute.waypoints.length >= 2) {
+                    this.updateRouteOnMap({ fit: false });
+                }
             }
+
+            showToast(`Copia restaurada: ${summary.added.length} rutas añadidas, ${summary.updated.length} actualizadas`, 'success');
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            showToast(error.message || 'Error al restaurar la copia de seguridad', 'error');
+        }
+    }
+
+    // ==================== SETTINGS ====================
+
+    /**
+     * Load routing provider, elevation, geocoding and directions settings into memory
+     */
+    async loadSettings() {
+        try {
+            await loadRoutingConfig();
+            await loadElevationConfig();
+            await loadGeocodingConfig();
+        } catch (error) {
+            console.error('Error loading settings:', error);
+        }
+        this.directionsLanguage = await SettingsService.get('directionsLanguage', 'es');
+    }
+
+    /**
+     * Open settings modal
+     */
+    openSettingsModal() {
+        const modal = document.getElementById('modal-settings');
+        if (!modal) return;
+
+        const config = getRoutingConfig();
+        const select = document.getElementById('settings-routing-provider');
+
+        select.innerHTML = Object.values(RoutingProviders).map(provider =>
+            `<option value="${provider.id}">${provider.name}</option>`
+        ).join('');
+        select.value = config.provider;
+
+        this.renderRoutingProviderFields(config.provider);
+
+        // The public server shows as the placeholder, not as a custom URL
+        const isDefaultUrl = config.baseUrl === RoutingProviders[config.provider]?.defaultBaseUrl;
+        document.getElementById('settings-routing-url').value = isDefaultUrl ? '' : config.baseUrl;
+        document.getElementById('settings-routing-key').value = config.apiKey;
+
+        const elevationConfig = getElevationConfig();
+        const elevationSelect = document.getElementById('settings-elevation-source');
+        elevationSelect.innerHTML = Object.values(ElevationSources).map(source =>
+            `<option value="${source.id}">${source.name}</option>`
+        ).join('');
+        elevationSelect.value = elevationConfig.source;
+        this.renderElevationSourceFields(elevationConfig.source);
+        document.getElementById('settings-elevation-url').value = elevationConfig.url;
+
+        const geocodingConfig = getGeocodingConfig();
+        const geocodingSelect = document.getElementById('settings-geocoding-provider');
+        geocodingSelect.innerHTML = Object.values(GeocodingProviders).map(provider =>
+            `<option value="${provider.id}">${provider.name}</option>`
+        ).join('');
+        geocodingSelect.value = geocodingConfig.provider;
+        this.renderGeocodingProviderFields(geocodingConfig.provider);
+        document.getElementById('settings-geocoding-url').value = geocodingConfig.baseUrl;
+
+        modal.classList.remove('hidden');
+    }
+
+    /**
+     * Update routing fields for the selected provider
+     */
+    renderRoutingProviderFields(providerId) {
+        const provider = RoutingProviders[providerId];
+        if (!provider) return;
+
+        const urlInput = document.getElementById('settings-routing-url');
+        const keyInput = document.getElementById('settings-routing-key');
+
+        urlInput.placeholder = provider.defaultBaseUrl;
+        urlInput.value = '';
+        keyInput.placeholder = provider.requiresApiKey ? 'Obligatoria en el servidor público' : 'Opcional';
+    }
+
+    /**
+     * Update the elevation URL placeholder for the selected source
+     */
+    renderElevationSourceFields(sourceId) {
+        const source = ElevationSources[sourceId];
+        if (!source) return;
+
+        const urlInput = document.getElementById('settings-elevation-url');
+        urlInput.placeholder = source.defaultUrl;
+        urlInput.value = '';
+    }
+
+    /**
+     * Update the geocoding URL field for the selected provider
+     */
+    renderGeocodingProviderFields(providerId) {
+        const provider = GeocodingProviders[providerId];
+        if (!provider) return;
+
+        const urlInput = document.getElementById('settings-geocoding-url');
+        urlInput.placeholder = provider.defaultBaseUrl || 'No necesita servidor';
+        urlInput.value = '';
+        urlInput.disabled = !provider.defaultBaseUrl;
+    }
+
+    /**
+     * Save settings
+     */
+    async saveSettings() {
+        const config = {
+            provider: document.getElementById('settings-routing-provider')?.value,
+            baseUrl: document.getElementById('settings-routing-url')?.value,
+            apiKey: document.getElementById('settings-routing-key')?.value
+        };
+
+        // Hosted endpoints need a key; self-hosted servers usually don't
+        const provider = RoutingProviders[config.provider];
+        const baseUrl = config.baseUrl?.trim().replace(/\/+$/, '');
+        const usesPublicServer = !baseUrl || baseUrl === provider?.defaultBaseUrl;
+        if (provider?.requiresApiKey && usesPublicServer && !config.apiKey?.trim()) {
+            showToast('El servidor público de este proveedor necesita una clave de API', 'error');
+            return;
+        }
+
+        const elevationConfig = {
+            source: document.getElementById('settings-elevation-source')?.value,
+            url: document.getElementById('settings-elevation-url')?.value
+        };
+
+        const geocodingConfig = {
+            provider: document.getElementById('settings-geocoding-provider')?.value,
+            baseUrl: document.getElementById('settings-geocoding-url')?.value
         };
+
+        const previousRouting = JSON.stringify(getRoutingConfig());
+        const previousElevation = JSON.stringify(getElevationConfig());
+
+        try {
+            const routingChanged = JSON.stringify(await saveRoutingConfig(config)) !== previousRouting;
+            const elevationChanged = JSON.stringify(await saveElevationConfig(elevationConfig)) !== previousElevation;
+            await saveGeocodingConfig(geocodingConfig);
+            document.getElementById('modal-settings')?.classList.add('hidden');
+            showToast('Configuración guardada', 'success');
+
+            // Recalculate route with the new provider (this also samples the new DEM)
+            if (this.currentRoute.waypoints.length >= 2 && routingChanged) {
+                this.updateRouteOnMap();
+            } else if (elevationChanged) {
+                this.updateElevationProfile();
+            }
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            showToast('Error al guardar la configuración', 'error');
+        }
+    }
+
+    /**
+     * Reset settings form to the default provider
+     */
+    resetSettings() {
+        const select = document.getElementById('settings-routing-provider');
+        if (!select) return;
+
+        select.value = 'osrm';
+        this.renderRoutingProviderFields('osrm');
+        document.getElementById('settings-routing-key').value = '';
+
+        const elevationSelect = document.getElementById('settings-elevation-source');
+        if (elevationSelect) {
+            elevationSelect.value = 'terrain-rgb';
+            this.renderElevationSourceFields('terrain-rgb');
+        }
+
+        const geocodingSelect = document.getElementById('settings-geocoding-provider');
+        if (geocodingSelect) {
+            geocodingSelect.value = 'local';
+            this.renderGeocodingProviderFields('local');
+        }
     }
 
     /**
@@ -3,7 +3,7 @@
  * Handles Leaflet map initialization, markers, and route visualization
  */
 
-import { categories, getCategoryById } from '../data/pois.js';
+import { categories, getCategoryById, matchesSearch } from '../data/pois.js';
 
 // Iceland center coordinates and bounds
 const ICELAND_CENTER = [64.9631, -19.0208];
@@ -13,6 +13,22 @@ const ICELAND_BOUNDS = [
 ];
 const DEFAULT_ZOOM = 7;
 
+// Markers closer than this (pixels) are grouped into a cluster
+const CLUSTER_RADIUS = 60;
+
+// Distance (pixels) from the route line at which the via-point handle disappears
+const VIA_HANDLE_RADIUS = 20;
+
+// From this zoom level on every marker is shown on its own
+const CLUSTER_MAX_ZOOM = 12;
+
+// Minimum zoom at which POIs of each priority appear (1 = must-see)
+const PRIORITY_MIN_ZOOM = {
+    1: 0,
+    2: 9,
+    3: 11
+};
+
 // Base layer definitions
 const baseLayers = {
     osm: {
@@ -40,8 +56,15 @@ export class MapManager {
         this.containerId = containerId;
         this.map = null;
         this.markers = new Map();
+        this.displayedMarkers = new Set();
+        this.clusterLayer = null;
+        this.searchActive = false;
+        this.visibilityUpdateFrame = null;
         this.waypointMarkers = [];
         this.routeLine = null;
+        this.viaMarker = null;
+        this.routeHighlight = null;
+        this.hoverMarker = null;
         this.currentBaseLayer = null;
         this.selectedMarkerId = null;
 
@@ -49,6 +72,10 @@ export class MapManager {
         this.onMarkerClick = null;
         this.onMapClick = null;
         this.onWaypointAdd = null;
+        this.onWaypointMove = null;
+        this.onRouteDrag = null;
+        this.onRouteDragStart = null;
+        this.onViewChange = null;
     }
 
     /**
@@ -74,6 +101,9 @@ export class MapManager {
         // Add default base layer
         this.setBaseLayer('osm');
 
+        // Cluster markers are rebuilt on every visibility update
+        this.clusterLayer = L.layerGroup().addTo(this.map);
+
         // Add scale control
         L.control.scale({
             metric: true,
@@ -111,15 +141,33 @@ export class MapManager {
      */
     _setupEventListeners() {
         // Map click for adding waypoints
+        // A click that only closes an open popup (closed on preclick) is not passed on
+        let popupClosedAt = 0;
+        this.map.on('popupclose', () => { popupClosedAt = Date.now(); });
+
         this.map.on('click', (e) => {
-            if (this.onMapClick) {
+            if (this.onMapClick && Date.now() - popupClosedAt > 100) {
                 this.onMapClick(e.latlng);
             }
         });
 
-        // Zoom events
-        this.map.on('zoomend', () => {
+        // Hide the via-point handle once the pointer leaves the route line
+        this.map.on('mousemove', (e) => {
+            if (!this.viaMarker || this.viaMarker.dragging?.moving()) return;
+
+            const pointer = this.map.latLngToContainerPoint(e.latlng);
+            const handle = this.map.latLngToContainerPoint(this.viaMarker.getLatLng());
+            if (pointer.distanceTo(handle) > VIA_HANDLE_RADIUS) {
+                this._removeViaMarker();
+            }
+        });
+
+        // Zoom and pan events (moveend also fires after zooming)
+        this.map.on('moveend', () => {
             this._updateMarkerVisibility();
+            if (this.onViewChange) {
+                this.onViewChange();
+            }
         });
     }
 
@@ -130,6 +178,7 @@ export class MapManager {
         pois.forEach(poi => {
             this.addPOIMarker(poi, options);
         });
+        this._updateMarkerVisibility();
     }
 
     /**
@@ -160,14 +209,14 @@ export class MapManager {
             }
         });
 
-        // Store marker reference
+        // Store marker reference; markers are put on the map by _updateMarkerVisibility
         this.markers.set(poi.id, {
             marker: marker,
             poi: poi,
             visible: true
         });
 
-        marker.addTo(this.map);
+        this._requestVisibilityUpdate();
     }
 
     /**
@@ -229,8 +278,9 @@ export class MapManager {
             prevMarker.marker.getElement()?.querySelector('.custom-marker')?.classList.remove('selected');
         }
 
-        // Select new marker
+        // Select new marker (always shown, even when it would be clustered)
         this.selectedMarkerId = poiId;
+        this._updateMarkerVisibility();
         if (this.markers.has(poiId)) {
             const markerData = this.markers.get(poiId);
             markerData.marker.getElement()?.querySelector('.custom-marker')?.classList.add('selected');
@@ -243,6 +293,7 @@ export class MapManager {
     zoomToPoi(poiId) {
         const markerData = this.markers.get(poiId);
         if (markerData) {
+            this.selectMarker(poiId);
             this.map.flyTo(markerData.poi.coordinates, 14, {
                 duration: 1
             });
@@ -250,82 +301,266 @@ export class MapManager {
         }
     }
 
+    /**
+     * Show only the markers whose POI passes a filter
+     * @param {Function} predicate - (poi) => boolean
+     * @param {Object} options - { ignorePriority } shows low-priority matches at any zoom (e.g. search results)
+     */
+    setFilter(predicate, options = {}) {
+        this.searchActive = Boolean(options.ignorePriority);
+        this.markers.forEach((data) => {
+            data.visible = predicate(data.poi);
+        });
+        this._updateMarkerVisibility();
+    }
+
+    /**
+     * Show only the markers of the given POIs
+     * @param {Array} poiList - POIs to show
+     * @param {Object} options - See setFilter
+     */
+    showPois(poiList, options = {}) {
+        const ids = new Set(poiList.map(poi => poi.id));
+        this.setFilter(poi => ids.has(poi.id), options);
+    }
+
     /**
      * Filter markers by category
      */
     filterByCategory(categoryId) {
-        this.markers.forEach((data, id) => {
-            const shouldShow = !categoryId || categoryId === 'all' || data.poi.category === categoryId;
-
-            if (shouldShow && !data.visible) {
-                data.marker.addTo(this.map);
-                data.visible = true;
-            } else if (!shouldShow && data.visible) {
-                data.marker.remove();
-                data.visible = false;
-            }
-        });
+        this.setFilter(poi => !categoryId || categoryId === 'all' || poi.category === categoryId);
     }
 
     /**
      * Filter markers by search query
      */
     filterBySearch(query) {
-        const normalizedQuery = query.toLowerCase().trim();
+        this.setFilter(poi => matchesSearch(poi, query), { ignorePriority: query.trim() !== '' });
+    }
+
+    /**
+     * Show all markers
+     */
+    showAllMarkers() {
+        this.setFilter(() => true);
+    }
+
+    /**
+     * Current view bounds as [[south, west], [north, east]]
+     */
+    getBoundsArray() {
+        const bounds = this.map.getBounds();
+        return [
+            [bounds.getSouth(), bounds.getWest()],
+            [bounds.getNorth(), bounds.getEast()]
+        ];
+    }
+
+    /**
+     * Batch visibility updates triggered by many single marker changes
+     */
+    _requestVisibilityUpdate() {
+        if (this.visibilityUpdateFrame || !this.map) return;
+
+        this.visibilityUpdateFrame = requestAnimationFrame(() => {
+            this.visibilityUpdateFrame = null;
+            this._updateMarkerVisibility();
+        });
+    }
+
+    /**
+     * Update marker visibility based on zoom level
+     * Filtered-out markers, markers outside the view and low-priority POIs below
+     * their zoom level are hidden; the rest are shown individually or grouped
+     * into clusters until CLUSTER_MAX_ZOOM.
+     */
+    _updateMarkerVisibility() {
+        if (!this.map || !this.clusterLayer) return;
+
+        const zoom = this.map.getZoom();
+        const bounds = this.map.getBounds().pad(0.2);
+        const candidates = [];
 
         this.markers.forEach((data, id) => {
-            const matchesSearch = !normalizedQuery ||
-                data.poi.name.toLowerCase().includes(normalizedQuery) ||
-                data.poi.description.toLowerCase().includes(normalizedQuery);
-
-            if (matchesSearch && !data.visible) {
-                data.marker.addTo(this.map);
-                data.visible = true;
-            } else if (!matchesSearch && data.visible) {
-                data.marker.remove();
-                data.visible = false;
+            if (!data.visible) return;
+
+            const isSelected = id === this.selectedMarkerId;
+            const minZoom = PRIORITY_MIN_ZOOM[data.poi.priority] ?? 0;
+            if (!isSelected && !this.searchActive && zoom < minZoom) return;
+            if (!isSelected && !bounds.contains(data.poi.coordinates)) return;
+
+            candidates.push({ id, data, isSelected });
+        });
+
+        // The selected marker is never swallowed by a cluster
+        const groups = zoom >= CLUSTER_MAX_ZOOM
+            ? candidates.map(item => [item])
+            : this._clusterCandidates(candidates.filter(item => !item.isSelected), zoom)
+                .concat(candidates.filter(item => item.isSelected).map(item => [item]));
+
+        const shown = new Set();
+        this.clusterLayer.clearLayers();
+
+        groups.forEach(group => {
+            if (group.length === 1) {
+                shown.add(group[0].id);
+            } else {
+                this.clusterLayer.addLayer(this._createClusterMarker(group));
             }
         });
+
+        // Only touch markers whose state changed so open popups survive panning
+        this.displayedMarkers.forEach(id => {
+            if (!shown.has(id)) {
+                this.markers.get(id)?.marker.remove();
+            }
+        });
+        shown.forEach(id => {
+            if (!this.displayedMarkers.has(id)) {
+                const { marker } = this.markers.get(id);
+                marker.addTo(this.map);
+                if (id === this.selectedMarkerId) {
+                    marker.getElement()?.querySelector('.custom-marker')?.classList.add('selected');
+                }
+            }
+        });
+
+        this.displayedMarkers = shown;
     }
 
     /**
-     * Show all markers
+     * Greedy distance clustering in screen space
+     * Higher-priority POIs seed clusters first; a spatial grid keeps it linear.
+     * @returns {Array} - Groups of candidates
      */
-    showAllMarkers() {
-        this.markers.forEach((data) => {
-            if (!data.visible) {
-                data.marker.addTo(this.map);
-                data.visible = true;
+    _clusterCandidates(candidates, zoom) {
+        const cells = new Map();
+        const items = candidates.map(item => {
+            const point = this.map.project(item.data.poi.coordinates, zoom);
+            const cell = `${Math.floor(point.x / CLUSTER_RADIUS)},${Math.floor(point.y / CLUSTER_RADIUS)}`;
+            const entry = { ...item, point, assigned: false };
+
+            if (!cells.has(cell)) cells.set(cell, []);
+            cells.get(cell).push(entry);
+            return entry;
+        });
+
+        items.sort((a, b) => (a.data.poi.priority || 1) - (b.data.poi.priority || 1));
+
+        const groups = [];
+        items.forEach(seed => {
+            if (seed.assigned) return;
+
+            const group = [seed];
+            seed.assigned = true;
+            const cx = Math.floor(seed.point.x / CLUSTER_RADIUS);
+            const cy = Math.floor(seed.point.y / CLUSTER_RADIUS);
+
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    (cells.get(`${cx + dx},${cy + dy}`) || []).forEach(other => {
+                        if (!other.assigned && seed.point.distanceTo(other.point) <= CLUSTER_RADIUS) {
+                            other.assigned = true;
+                            group.push(other);
+                        }
+                    });
+                }
             }
+
+            groups.push(group);
         });
+
+        return groups;
     }
 
     /**
-     * Update marker visibility based on zoom level
+     * Create a cluster marker with a count badge coloured by its dominant category
      */
-    _updateMarkerVisibility() {
-        // Can implement clustering or visibility rules here
+    _createClusterMarker(group) {
+        const counts = {};
+        let lat = 0;
+        let lng = 0;
+
+        group.forEach(({ data }) => {
+            counts[data.poi.category] = (counts[data.poi.category] || 0) + 1;
+            lat += data.poi.coordinates[0];
+            lng += data.poi.coordinates[1];
+        });
+
+        const breakdown = Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([categoryId, count]) => ({ category: getCategoryById(categoryId), count }));
+        const dominant = breakdown[0].category;
+
+        // Outer ring shows the share of each category
+        let angle = 0;
+        const ring = breakdown.map(({ category, count }) => {
+            const start = angle;
+            angle += (count / group.length) * 360;
+            return `${category?.color || '#0066cc'} ${start}deg ${angle}deg`;
+        }).join(', ');
+
+        const size = group.length < 10 ? 36 : group.length < 100 ? 42 : 50;
+        const title = breakdown.map(({ category, count }) => `${category?.name || 'Otros'}: ${count}`).join(', ');
+
+        const marker = L.marker([lat / group.length, lng / group.length], {
+            icon: L.divIcon({
+                className: 'marker-cluster-icon',
+                html: `
+                    <div class="marker-cluster" style="width: ${size}px; height: ${size}px; background: conic-gradient(${ring});">
+                        <span style="background: ${dominant?.color || '#0066cc'};">${group.length}</span>
+                    </div>
+                `,
+                iconSize: [size, size],
+                iconAnchor: [size / 2, size / 2]
+            }),
+            title,
+            riseOnHover: true
+        });
+
+        // Zoom in far enough to split the cluster apart
+        marker.on('click', () => {
+            const clusterBounds = L.latLngBounds(group.map(({ data }) => data.poi.coordinates));
+            const targetZoom = this.map.getBoundsZoom(clusterBounds, false, L.point(60, 60));
+
+            if (targetZoom > this.map.getZoom()) {
+                this.map.fitBounds(clusterBounds, { padding: [60, 60] });
+            } else {
+                this.map.setView(marker.getLatLng(), Math.min(this.map.getZoom() + 2, CLUSTER_MAX_ZOOM));
+            }
+        });
+
+        return marker;
     }
 
     // ==================== ROUTE METHODS ====================
 
     /**
      * Add waypoint marker
+     * Markers can be dragged; the new position is reported through onWaypointMove.
      */
-    addWaypointMarker(coordinates, index, poiName = null) {
+    addWaypointMarker(coordinates, index, poiName = null, custom = false) {
         const icon = L.divIcon({
             className: 'waypoint-div-icon',
-            html: `<div class="waypoint-marker">${index + 1}</div>`,
+            html: `<div class="waypoint-marker ${custom ? 'custom' : ''}">${index + 1}</div>`,
             iconSize: [28, 28],
             iconAnchor: [14, 14]
         });
 
         const marker = L.marker(coordinates, {
             icon: icon,
-            draggable: false,
+            draggable: true,
+            autoPan: true,
             title: poiName || `Punto ${index + 1}`
         });
 
+        marker.on('dragend', () => {
+            if (this.onWaypointMove) {
+                const { lat, lng } = marker.getLatLng();
+                this.onWaypointMove(index, [lat, lng]);
+            }
+        });
+
         marker.addTo(this.map);
         this.waypointMarkers.push(marker);
 
@@ -341,10 +576,20 @@ export class MapManager {
 
         // Add new markers
         waypoints.forEach((wp, index) => {
-            this.addWaypointMarker(wp.coordinates, index, wp.name);
+            this.addWaypointMarker(wp.coordinates, index, wp.name, wp.custom);
         });
     }
 
+    /**
+     * Open a popup at an arbitrary location (e.g. a clicked point)
+     */
+    openLocationPopup(latlng, content) {
+        return L.popup({ maxWidth: 300, className: 'custom-popup' })
+            .setLatLng(latlng)
+            .setContent(content)
+            .openOn(this.map);
+    }
+
     /**
      * Clear all waypoint markers
      */
@@ -355,8 +600,9 @@ export class MapManager {
 
     /**
      * Draw route line on map
+     * Pass `fit: false` to keep the current view (e.g. after dragging a waypoint).
      */
-    drawRoute(geometry, options = {}) {
+    drawRoute(geometry, { fit = true, ...options } = {}) {
         // Remove existing route line
         this.clearRoute();
 
@@ -387,10 +633,12 @@ export class MapManager {
         }).addTo(this.map);
 
         this.routeLine = L.layerGroup([outline, line]).addTo(this.map);
+        this._enableRouteDragging(line);
+        this._enableRouteDragging(outline);
 
         // Fit map to route bounds
         const bounds = line.getBounds();
-        if (bounds.isValid()) {
+        if (fit && bounds.isValid()) {
             this.map.fitBounds(bounds, { padding: [50, 50] });
         }
     }
@@ -398,7 +646,7 @@ export class MapManager {
     /**
      * Draw simple polyline between points
      */
-    drawPolyline(coordinates, options = {}) {
+    drawPolyline(coordinates, { fit = true, ...options } = {}) {
         this.clearRoute();
 
         const defaultOptions = {
@@ -414,18 +662,145 @@ export class MapManager {
         const line = L.polyline(coordinates, lineOptions).addTo(this.map);
 
         this.routeLine = line;
+        this._enableRouteDragging(line);
 
         // Fit map to line bounds
         const bounds = line.getBounds();
-        if (bounds.isValid()) {
+        if (fit && bounds.isValid()) {
             this.map.fitBounds(bounds, { padding: [50, 50] });
         }
     }
 
+    /**
+     * Show a draggable via-point handle under the pointer while it is over the route
+     * Picking the handle up reports the point of the line through onRouteDragStart;
+     * dropping it reports the new position through onRouteDrag.
+     */
+    _enableRouteDragging(layer) {
+        layer.on('mousemove', (e) => {
+            if (!this.onRouteDrag) return;
+
+            if (!this.viaMarker) {
+                this.viaMarker = L.marker(e.latlng, {
+                    icon: L.divIcon({
+                        className: 'via-div-icon',
+                        html: '<div class="via-marker"></div>',
+                        iconSize: [14, 14],
+                        iconAnchor: [7, 7]
+                    }),
+                    draggable: true,
+                    autoPan: true,
+                    title: 'Arrastra para añadir un punto de paso',
+                    zIndexOffset: 1000
+                }).addTo(this.map);
+
+                this.viaMarker.on('dragstart', () => {
+                    const { lat, lng } = this.viaMarker.getLatLng();
+                    this.onRouteDragStart?.([lat, lng]);
+                });
+
+                this.viaMarker.on('dragend', () => {
+                    const { lat, lng } = this.viaMarker.getLatLng();
+                    this._removeViaMarker();
+                    this.onRouteDrag([lat, lng]);
+                });
+            } else if (!this.viaMarker.dragging?.moving()) {
+                this.viaMarker.setLatLng(e.latlng);
+            }
+        });
+    }
+
+    /**
+     * Remove the via-point handle
+     */
+    _removeViaMarker() {
+        if (this.viaMarker) {
+            this.viaMarker.remove();
+            this.viaMarker = null;
+        }
+    }
+
+    /**
+     * Highlight part of the route line, e.g. a directions step
+     * @param {Array} coordinates - Array of [lat, lng]
+     */
+    highlightRouteSegment(coordinates) {
+        this.clearRouteHighlight();
+        if (!coordinates || coordinates.length === 0) return;
+
+        if (coordinates.length === 1) {
+            this.routeHighlight = L.circleMarker(coordinates[0], {
+                radius: 9,
+                color: '#ffffff',
+                weight: 3,
+                fillColor: '#f59e0b',
+                fillOpacity: 1
+            }).addTo(this.map);
+            this.map.panTo(coordinates[0]);
+            return;
+        }
+
+        this.routeHighlight = L.polyline(coordinates, {
+            color: '#f59e0b',
+            weight: 7,
+            opacity: 0.95,
+            lineJoin: 'round',
+            lineCap: 'round'
+        }).addTo(this.map);
+
+        const bounds = this.routeHighlight.getBounds();
+        if (bounds.isValid()) {
+            this.map.fitBounds(bounds, { padding: [80, 80], maxZoom: 14 });
+        }
+    }
+
+    /**
+     * Remove the route segment highlight
+     */
+    clearRouteHighlight() {
+        if (this.routeHighlight) {
+            this.routeHighlight.remove();
+            this.routeHighlight = null;
+        }
+    }
+
+    /**
+     * Show a position marker on the route, e.g. while hovering the elevation chart
+     * @param {Array} coordinates - [lat, lng]
+     */
+    showHoverMarker(coordinates) {
+        if (!this.hoverMarker) {
+            this.hoverMarker = L.circleMarker(coordinates, {
+                radius: 7,
+                color: '#ffffff',
+                weight: 2,
+                fillColor: '#0066cc',
+                fillOpacity: 1,
+                interactive: false
+            }).addTo(this.map);
+        } else {
+            this.hoverMarker.setLatLng(coordinates);
+        }
+    }
+
+    /**
+     * Remove the hover position marker
+     */
+    hideHoverMarker() {
+        if (this.hoverMarker) {
+            this.hoverMarker.remove();
+            this.hoverMarker = null;
+        }
+    }
+
     /**
      * Clear route line from map
      */
     clearRoute() {
+        this.clearRouteHighlight();
+        this.hideHoverMarker();
+        this._removeViaMarker();
+
         if (this.routeLine) {
             this.routeLine.remove();
             this.routeLine = null;
@@ -525,11 +900,16 @@ export class MapManager {
      * Destroy map instance
      */
     destroy() {
+        if (this.visibilityUpdateFrame) {
+            cancelAnimationFrame(this.visibilityUpdateFrame);
+            this.visibilityUpdateFrame = null;
+        }
         if (this.map) {
             this.map.remove();
             this.map = null;
         }
         this.markers.clear();
+        this.displayedMarkers.clear();
         this.waypointMarkers = [];
     }
 }
@@ -0,0 +1,36 @@
+/**
+ * Simplified Iceland coastline
+ * Coarse outline of the main island (88 points, segments of about 25 km and
+ * up to 75 km, so fjords are cut across; small islands left out) used to
+ * draw offline overview maps in exports. Points run clockwise from
+ * Reykjanestá as [lat, lng].
+ */
+
+export const icelandCoastline = [
+    [63.810, -22.700], [63.870, -22.740], [64.000, -22.700], [64.080, -22.690],
+    [64.040, -22.520], [64.080, -22.250], [64.150, -21.950], [64.180, -21.800],
+    [64.300, -21.850], [64.320, -22.080], [64.420, -21.950], [64.530, -21.920],
+    [64.600, -22.400], [64.720, -22.800], [64.800, -23.200], [64.750, -23.700],
+    [64.890, -24.050], [64.930, -23.700], [64.930, -23.300], [65.070, -22.730],
+    [65.110, -21.770], [65.250, -22.100], [65.380, -22.400], [65.450, -22.900],
+    [65.500, -24.530], [65.600, -24.100], [65.750, -24.000], [65.900, -23.900],
+    [66.050, -23.600], [66.150, -23.300], [66.300, -23.250], [66.430, -23.100],
+    [66.460, -22.400], [66.300, -22.000], [66.000, -21.600], [65.700, -21.680],
+    [65.400, -21.050], [65.550, -20.900], [65.850, -20.600], [65.700, -20.300],
+    [66.120, -20.100], [65.900, -19.700], [65.750, -19.650], [66.080, -19.350],
+    [66.180, -18.900], [66.070, -18.550], [65.850, -18.300], [65.680, -18.090],
+    [65.900, -18.180], [66.100, -18.100], [66.050, -17.600], [66.050, -17.350],
+    [66.200, -17.100], [66.100, -16.700], [66.300, -16.500], [66.540, -16.190],
+    [66.450, -15.950], [66.300, -15.500], [66.250, -15.000], [66.380, -14.530],
+    [66.150, -14.700], [66.030, -14.800], [65.760, -14.830], [65.600, -14.200],
+    [65.450, -13.700], [65.270, -13.570], [65.100, -13.600], [65.030, -13.700],
+    [64.830, -13.850], [64.650, -14.280], [64.400, -14.550], [64.300, -14.800],
+    [64.245, -14.960], [64.250, -15.200], [64.100, -15.800], [63.950, -16.200],
+    [63.800, -16.640], [63.750, -17.300], [63.550, -18.000], [63.430, -18.600],
+    [63.410, -18.950], [63.395, -19.130], [63.450, -19.500], [63.530, -20.200],
+    [63.700, -20.800], [63.850, -21.370], [63.830, -22.000], [63.810, -22.700]
+];
+
+export default {
+    icelandCoastline
+};
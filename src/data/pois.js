@@ -3,6 +3,8 @@
  * Mock data for the Iceland Geoportal
  */
 
+import { createSearchIndex } from '../services/search.js';
+
 export const categories = [
     { id: 'nature', name: 'Naturaleza', icon: '🌲', color: '#22c55e' },
     { id: 'waterfall', name: 'Cascadas', icon: '💧', color: '#3b82f6' },
@@ -358,7 +360,8 @@ export const pois = [
         description: 'Espectacular sala de conciertos con fachada de cristal diseñada por Olafur Eliasson. Premio de Arquitectura de la UE 2013.',
         highlights: ['Arquitectura premiada', 'Fachada de cristal', 'Conciertos'],
         visitDuration: 60,
-        bestSeason: 'Todo el año'
+        bestSeason: 'Todo el año',
+        priority: 2
     },
     {
         id: 'sun-voyager',
@@ -368,7 +371,8 @@ export const pois = [
         description: 'Icónica escultura de acero en forma de barco vikingo junto al mar. Obra de Jón Gunnar Árnason, representa sueños y esperanza.',
         highlights: ['Escultura icónica', 'Atardecer', 'Paseo marítimo'],
         visitDuration: 20,
-        bestSeason: 'Todo el año'
+        bestSeason: 'Todo el año',
+        priority: 2
     },
     {
         id: 'perlan',
@@ -378,7 +382,8 @@ export const pois = [
         description: 'Edificio futurista con cúpula de cristal que alberga museo, planetario y cueva de hielo artificial. Plataforma de observación con vistas 360°.',
         highlights: ['Cueva de hielo interior', 'Planetario', 'Vistas panorámicas'],
         visitDuration: 150,
-        bestSeason: 'Todo el año'
+        bestSeason: 'Todo el año',
+        priority: 2
     },
     {
         id: 'dyrholaey',
@@ -398,7 +403,8 @@ export const pois = [
         description: 'Roca basáltica de 15 metros en el mar que parece un dragón o dinosaurio bebiendo agua. Mejor al amanecer o atardecer.',
         highlights: ['Formación única', 'Fotografía', 'Leyenda del troll'],
         visitDuration: 60,
-        bestSeason: 'Todo el año'
+        bestSeason: 'Todo el año',
+        priority: 2
     }
 ];
 
@@ -426,17 +432,29 @@ export function getPoiById(poiId) {
     return pois.find(poi => poi.id === poiId);
 }
 
+let searchIndex = null;
+
 /**
- * Search POIs by name or description
+ * Search index over all POIs, built on first use
  */
-export function searchPois(query) {
-    const normalizedQuery = query.toLowerCase().trim();
-    if (!normalizedQuery) return pois;
+function getSearchIndex() {
+    if (!searchIndex) searchIndex = createSearchIndex(pois);
+    return searchIndex;
+}
 
-    return pois.filter(poi =>
-        poi.name.toLowerCase().includes(normalizedQuery) ||
-        poi.description.toLowerCase().includes(normalizedQuery)
-    );
+/**
+ * Check if a POI matches a search query by name, highlights or description
+ * Accent-insensitive (Þ→th, ð→d, æ→ae...) and tolerant to small typos
+ */
+export function matchesSearch(poi, query) {
+    return getSearchIndex().matches(poi, query);
+}
+
+/**
+ * Search POIs ranked by relevance (name, then highlights, then description)
+ */
+export function searchPois(query) {
+    return getSearchIndex().search(query).map(result => result.poi);
 }
 
 /**
@@ -457,6 +475,7 @@ export default {
     getCategoryById,
     getPoisByCategory,
     getPoiById,
+    matchesSearch,
     searchPois,
     getPoiCountByCategory
 };
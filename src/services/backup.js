@@ -0,0 +1,306 @@
+/**
+ * Backup Service for Iceland Geoportal
+ * Creates full database backups and restores them safely: the backup is
+ * validated first, a dry run tells what would change, and the restore runs
+ * in a single transaction so a failure leaves the database as it was.
+ */
+
+import { db, DatabaseUtils, RevisionService, ROUTE_SCHEMA_VERSION, migrateRoute, replaceRevisions } from './database.js';
+import { validateRoute } from './import.js';
+import { downloadFile } from '../utils/helpers.js';
+
+// How a backup is restored
+export const RestoreModes = {
+    merge: 'Combinar con las rutas actuales',
+    replace: 'Reemplazar todos los datos'
+};
+
+/**
+ * Download a backup of every route and setting
+ * @returns {Promise<string>} - File name
+ */
+export async function downloadBackup() {
+    const data = await DatabaseUtils.exportDatabase();
+    const fileName = `iceland-geoportal-backup-${data.exportDate.slice(0, 10)}.json`;
+
+    downloadFile(JSON.stringify(data, null, 2), fileName, 'application/json');
+
+    return fileName;
+}
+
+/**
+ * Parse a backup file
+ * @param {string} text - File contents
+ * @returns {Object} - Backup data
+ */
+export function parseBackup(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error('El archivo no es un JSON válido');
+    }
+}
+
+/**
+ * Validate a backup against the route schema
+ * Accepts DatabaseUtils.exportDatabase() backups and the route array of
+ * RouteService.exportAllAsJson(). Valid routes are migrated to the current
+ * schema; invalid routes and settings are listed instead.
+ * @param {Object|Array} data - Backup data
+ * @returns {Object} - { routes, revisions: null when the backup has no history, trips,
+ *   settings, invalid: [{ name, errors }] }
+ */
+export function validateBackup(data) {
+    const routes = Array.isArray(data) ? data : data?.routes;
+    const revisions = Array.isArray(data) ? null : data?.revisions ?? null;
+    const trips = Array.isArray(data) ? [] : data?.trips ?? [];
+    const settings = Array.isArray(data) ? [] : data?.settings ?? [];
+
+    if (!Array.isArray(routes)) {
+        throw new Error('El archivo no es una copia de seguridad de Iceland Geoportal');
+    }
+    if (revisions && !Array.isArray(revisions)) {
+        throw new Error('El historial de versiones de la copia no es válido');
+    }
+    if (!Array.isArray(trips)) {
+        throw new Error('La lista de viajes de la copia no es válida');
+    }
+    if (!Array.isArray(settings)) {
+        throw new Error('La lista de ajustes de la copia no es válida');
+    }
+    if (data.schemaVersion > ROUTE_SCHEMA_VERSION) {
+        throw new Error('La copia es de una versión más reciente de la aplicación');
+    }
+
+    const result = { routes: [], revisions: revisions && [], trips: [], settings: [], invalid: [] };
+    const ids = new Set();
+
+    routes.forEach((route, i) => {
+        const errors = validateRoute(route);
+        if (route?.id != null) {
+            if (!Number.isInteger(route.id)) {
+                errors.push('El id no es un número entero');
+            } else if (ids.has(route.id)) {
+                errors.push(`El id ${route.id} está repetido`);
+            }
+            ids.add(route.id);
+        }
+
+        if (errors.length > 0) {
+            result.invalid.push({ name: route?.name || `Ruta ${i + 1}`, errors });
+        } else {
+            result.routes.push(migrateRoute(route));
+        }
+    });
+
+    // Versions of routes left out of the backup are dropped with them
+    const routeIds = new Set(result.routes.map(route => route.id));
+    (revisions || []).forEach((revision, i) => {
+        if (Number.isInteger(revision?.routeId) && typeof revision.createdAt === 'string' &&
+            Array.isArray(revision.route?.waypoints)) {
+            if (routeIds.has(revision.routeId)) result.revisions.push(revision);
+        } else {
+            result.invalid.push({ name: `Versión ${i + 1}`, errors: ['La versión no tiene ruta, fecha o id de ruta válidos'] });
+        }
+    });
+
+    const tripIds = new Set();
+    trips.forEach((trip, i) => {
+        if (Number.isInteger(trip?.id) && !tripIds.has(trip.id) && typeof trip.name === 'string' && trip.name) {
+            tripIds.add(trip.id);
+            result.trips.push({ ...trip, parentId: Number.isInteger(trip.parentId) ? trip.parentId : 0 });
+        } else {
+            result.invalid.push({ name: trip?.name || `Viaje ${i + 1}`, errors: ['El viaje necesita un id único y un nombre'] });
+        }
+    });
+
+    settings.forEach((setting, i) => {
+        if (typeof setting?.key === 'string' && setting.key) {
+            result.settings.push({ key: setting.key, value: setting.value });
+        } else {
+            result.invalid.push({ name: `Ajuste ${i + 1}`, errors: ['Falta la clave del ajuste'] });
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Restore a backup
+ * In "replace" mode the database is emptied and filled with the backup; it
+ * refuses backups with invalid entries, which would otherwise be lost. The
+ * version history comes from the backup too (older backups without one keep
+ * the history of the route ids still in use). In "merge" mode a route whose
+ * id is already stored replaces it only when the backup copy was updated
+ * later, and the replaced version stays in its history; when the id is held
+ * by a different route (another creation date) the backup route is matched
+ * by creation date or added as a new one. Trips are matched by name and parent and the routes
+ * are filed under the matching local trip. Settings already set are kept.
+ * @param {Object|Array} data - Backup data
+ * @param {Object} options - { mode: key of RestoreModes, dryRun: only report what would change }
+ * @returns {Promise<Object>} - Summary: { mode, added, updated, skipped: [{ name, reason }],
+ *   removed, invalid, trips: { added, skipped }, settings: { added, skipped } }
+ */
+export async function restoreBackup(data, options = {}) {
+    const { mode = 'merge', dryRun = false } = options;
+    if (!RestoreModes[mode]) {
+        throw new Error(`Modo de restauración desconocido: ${mode}`);
+    }
+
+    const backup = validateBackup(data);
+    if (!dryRun && mode === 'replace' && backup.invalid.length > 0) {
+        throw new Error(`La copia contiene ${backup.invalid.length} elementos no válidos; usa el modo combinar o corrige el archivo`);
+    }
+
+    // Planning and writing share one transaction: any error rolls it all back
+    return db.transaction(dryRun ? 'r' : 'rw', db.routes, db.revisions, db.trips, db.settings, async () => {
+        const plan = await planRestore(backup, mode);
+        if (dryRun) return plan.summary;
+
+        if (mode === 'replace') {
+            await db.routes.clear();
+            await db.trips.clear();
+            await db.settings.clear();
+        }
+        await db.routes.bulkPut(plan.routes);
+        await db.trips.bulkPut(plan.trips);
+        await db.settings.bulkPut(plan.settings);
+
+        if (mode === 'replace') {
+            await replaceRevisions(plan.routes, backup.revisions);
+        }
+        // Overwritten routes keep their previous version in the history
+        for (const { previous, route } of plan.updates) {
+            await RevisionService.record(previous.id, previous, route, 'Restaurada de una copia de seguridad');
+        }
+
+        console.log(`Backup restored (${mode})`);
+        return plan.summary;
+    });
+}
+
+/**
+ * Work out which records a restore writes
+ */
+async function planRestore(backup, mode) {
+    const summary = {
+        mode,
+        added: [],
+        updated: [],
+        skipped: [],
+        removed: 0,
+        invalid: backup.invalid,
+        trips: { added: 0, skipped: 0 },
+        settings: { added: 0, skipped: 0 }
+    };
+
+    if (mode === 'replace') {
+        // Routes filed under a trip missing from the backup go to "no trip"
+        const tripIds = new Set(backup.trips.map(trip => trip.id));
+        const routes = backup.routes.map(route => tripIds.has(route.tripId) ? route : { ...route, tripId: 0 });
+
+        summary.removed = await db.routes.count();
+        summary.added = routes.map(route => route.name);
+        summary.trips.added = backup.trips.length;
+        summary.settings.added = backup.settings.length;
+        return { summary, routes, updates: [], trips: backup.trips, settings: backup.settings };
+    }
+
+    const { trips, tripIdMap } = await planTrips(backup.trips, summary);
+
+    const routes = [];
+    const updates = [];
+    const stored = await db.routes.toArray();
+    const storedById = new Map(stored.map(route => [route.id, route]));
+    const storedByCreation = new Map(stored.map(route => [route.createdAt, route]));
+
+    backup.routes.forEach(backupRoute => {
+        let route = { ...backupRoute, tripId: tripIdMap.get(backupRoute.tripId) ?? 0 };
+        // Routes without id are matched by creation date, so restoring the
+        // same backup twice doesn't duplicate them
+        let existing = route.id != null ? storedById.get(route.id)
+            : route.createdAt ? storedByCreation.get(route.createdAt) : null;
+        if (route.id == null && existing) {
+            route = { ...route, id: existing.id };
+        }
+
+        if (existing && existing.createdAt !== route.createdAt) {
+            // The id belongs to another route (e.g. a backup from another
+            // device): match a copy restored earlier, or add it as new
+            existing = route.createdAt ? storedByCreation.get(route.createdAt) : null;
+            const { id, ...copy } = route;
+            route = existing ? { ...copy, id: existing.id } : copy;
+        }
+
+        if (!existing) {
+            routes.push(route);
+            summary.added.push(route.name);
+        } else if (getTimestamp(route) > getTimestamp(existing)) {
+            routes.push(route);
+            updates.push({ previous: existing, route });
+            summary.updated.push(route.name);
+        } else {
+            summary.skipped.push({
+                name: route.name,
+                reason: getTimestamp(route) === getTimestamp(existing) ? 'Sin cambios' : 'La versión guardada es más reciente'
+            });
+        }
+    });
+
+    const existingKeys = new Set(await db.settings.toCollection().primaryKeys());
+    const settings = backup.settings.filter(setting => !existingKeys.has(setting.key));
+    summary.settings.added = settings.length;
+    summary.settings.skipped = backup.settings.length - settings.length;
+
+    return { summary, routes, updates, trips, settings };
+}
+
+/**
+ * Match the trips of a backup with the stored ones for a merge
+ * Ids are local to each database, so a backup trip is the stored trip with
+ * the same name in the same (matched) parent; other trips are added with new
+ * ids. Parents are planned before their sub-trips.
+ * @returns {Object} - { trips: trips to write, tripIdMap: backup id -> local id }
+ */
+async function planTrips(backupTrips, summary) {
+    const stored = await db.trips.toArray();
+    const backupIds = new Set(backupTrips.map(trip => trip.id));
+    const tripIdMap = new Map([[0, 0]]);
+    let nextId = Math.max(0, ...stored.map(trip => trip.id)) + 1;
+
+    const trips = [];
+    const pending = [...backupTrips];
+    while (pending.length > 0) {
+        // A parent cycle in the backup is broken by taking the first trip left
+        const index = Math.max(0, pending.findIndex(trip => tripIdMap.has(trip.parentId) || !backupIds.has(trip.parentId)));
+        const [trip] = pending.splice(index, 1);
+        const parentId = tripIdMap.get(trip.parentId) ?? 0;
+
+        const existing = stored.find(t => t.name === trip.name && t.parentId === parentId);
+        if (existing) {
+            tripIdMap.set(trip.id, existing.id);
+            summary.trips.skipped++;
+        } else {
+            trips.push({ ...trip, id: nextId, parentId });
+            tripIdMap.set(trip.id, nextId++);
+            summary.trips.added++;
+        }
+    }
+
+    return { trips, tripIdMap };
+}
+
+/**
+ * Last modification time of a route, for conflict resolution
+ */
+function getTimestamp(route) {
+    return Date.parse(route.updatedAt || route.createdAt) || 0;
+}
+
+export default {
+    RestoreModes,
+    downloadBackup,
+    parseBackup,
+    validateBackup,
+    restoreBackup
+};
@@ -6,12 +6,195 @@
 // Initialize Dexie database
 const db = new Dexie('IcelandGeoportalDB');
 
-// Database schema definition
-db.version(1).stores({
-    routes: '++id, name, createdAt, updatedAt',
-    settings: 'key'
+// Version of the stored route objects (route.schemaVersion)
+export const ROUTE_SCHEMA_VERSION = 3;
+
+// Revisions kept per route; older ones are pruned
+export const MAX_REVISIONS = 20;
+
+/**
+ * Route migrations, by the route schema version they upgrade to
+ * Each takes a route of the previous version and returns the new shape.
+ */
+const routeMigrations = {
+    // Indexed query fields: tags and the ids of the POIs on the route
+    2: route => ({
+        ...route,
+        transportMode: route.transportMode || 'driving',
+        distance: route.distance || 0,
+        tags: normalizeTags(route.tags),
+        poiIds: getPoiIds(route.waypoints)
+    }),
+    // Trips (folders) and sorting by duration; tripId 0 is "no trip" so it is indexed too
+    3: route => ({
+        ...route,
+        duration: route.duration || 0,
+        tripId: route.tripId || 0
+    })
+};
+
+// Route fields a revision restores
+const REVISION_CONTENT_FIELDS = [
+    'name', 'description', 'waypoints', 'routeGeometry', 'legs', 'distance', 'duration',
+    'transportMode', 'dayPlan', 'days', 'elevation'
+];
+
+// Fields saved routes can be sorted by (all indexed)
+export const RouteSortFields = {
+    createdAt: 'Fecha',
+    distance: 'Distancia',
+    duration: 'Duración',
+    transportMode: 'Modo de transporte',
+    tags: 'Etiqueta',
+    name: 'Nombre'
+};
+
+// Saved route query with no filters, newest first
+export const DEFAULT_ROUTE_QUERY = {
+    text: '',
+    tag: null,
+    tripId: null,
+    transportMode: null,
+    sortBy: 'createdAt',
+    descending: true
+};
+
+/**
+ * Database schema versions, oldest first
+ * `stores` are the tables and indexes of that version (*field is a
+ * multi-entry index over an array); `upgrade` migrates the stored records.
+ * Dexie runs the upgrades newer than the user's database in order, in one
+ * transaction, so a failed upgrade leaves the data untouched. Released
+ * versions must not change: add a new one instead.
+ */
+export const SchemaVersions = [
+    {
+        version: 1,
+        stores: {
+            routes: '++id, name, createdAt, updatedAt',
+            settings: 'key'
+        }
+    },
+    {
+        version: 2,
+        stores: {
+            routes: '++id, name, createdAt, updatedAt, transportMode, distance, *tags, *poiIds'
+        },
+        upgrade: migrateStoredRoutes
+    },
+    {
+        version: 3,
+        stores: {
+            // Snapshots of a route each time it is saved
+            revisions: '++id, routeId, createdAt'
+        }
+    },
+    {
+        version: 4,
+        stores: {
+            routes: '++id, name, createdAt, updatedAt, transportMode, distance, duration, tripId, *tags, *poiIds',
+            // Trips and folders; parentId 0 is the top level
+            trips: '++id, name, parentId'
+        },
+        upgrade: migrateStoredRoutes
+    }
+];
+
+SchemaVersions.forEach(({ version, stores, upgrade }) => {
+    const dbVersion = db.version(version).stores(stores);
+    if (upgrade) dbVersion.upgrade(upgrade);
 });
 
+/**
+ * Bring a route object up to the current schema version
+ * Used by the database upgrade and for routes read from old backups.
+ * Routes without a name (e.g. from an edited backup) get the one
+ * RouteService.create gives.
+ * @param {Object} route - Stored route of any schema version
+ * @returns {Object} - Route at ROUTE_SCHEMA_VERSION
+ */
+export function migrateRoute(route) {
+    let migrated = route;
+    for (let version = (route.schemaVersion || 1) + 1; version <= ROUTE_SCHEMA_VERSION; version++) {
+        migrated = { ...routeMigrations[version](migrated), schemaVersion: version };
+    }
+    return migrated.name ? migrated : { ...migrated, name: 'Ruta sin nombre' };
+}
+
+/**
+ * Ids of the known POIs on a route, for the poiIds index
+ * @param {Array} waypoints - Route waypoints
+ * @returns {Array} - Unique POI ids (custom points left out)
+ */
+export function getPoiIds(waypoints = []) {
+    return [...new Set(waypoints.filter(wp => !wp.custom && wp.id != null).map(wp => wp.id))];
+}
+
+/**
+ * Clean a list of tags: trimmed, without empty values or duplicates
+ * @param {Array} tags - Tags as entered
+ * @returns {Array} - Tags to store
+ */
+export function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    return [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+}
+
+/**
+ * Upgrade every stored route to the current schema version
+ */
+function migrateStoredRoutes(tx) {
+    return tx.table('routes').toCollection().modify((route, ref) => {
+        ref.value = migrateRoute(route);
+    });
+}
+
+/**
+ * Replace the revision history when the routes are replaced
+ * Backups with a history bring it along; older backups keep the stored
+ * history of the routes whose id is still in use.
+ * @param {Array} routes - Routes now stored
+ * @param {Array} revisions - Revisions of the backup, if it has them
+ */
+export async function replaceRevisions(routes, revisions) {
+    const routeIds = routes.map(route => route.id).filter(id => id != null);
+    if (Array.isArray(revisions)) {
+        await db.revisions.clear();
+        await db.revisions.bulkAdd(revisions.filter(revision => routeIds.includes(revision.routeId)));
+    } else {
+        await db.revisions.where('routeId').noneOf(routeIds).delete();
+    }
+}
+
+/**
+ * Order of two index values (direction 1 or -1): missing values always last, text by locale
+ */
+function compareValues(a, b, direction = 1) {
+    if (a == null || b == null) return (a == null) - (b == null);
+    return direction * (typeof a === 'string' ? a.localeCompare(b, 'es') : a - b);
+}
+
+/**
+ * Alphabetically first tag of a route, used to sort by tag
+ */
+function getFirstTag(route) {
+    return [...(route.tags || [])].sort((a, b) => a.localeCompare(b, 'es'))[0];
+}
+
+/**
+ * Store a snapshot of a route and prune its oldest revisions
+ * Must run inside a transaction that includes db.revisions.
+ */
+async function addRevision(routeId, route, note, createdAt = new Date().toISOString()) {
+    const { id, createdAt: routeCreatedAt, updatedAt, ...snapshot } = route;
+    await db.revisions.add({ routeId, createdAt, note, route: snapshot });
+
+    const ids = await db.revisions.where('routeId').equals(routeId).primaryKeys();
+    if (ids.length > MAX_REVISIONS) {
+        await db.revisions.bulkDelete(ids.slice(0, ids.length - MAX_REVISIONS));
+    }
+}
+
 /**
  * Route Service - CRUD operations for saved routes
  */
@@ -30,12 +213,24 @@ export const RouteService = {
             duration: routeData.duration || 0,
             transportMode: routeData.transportMode || 'driving',
             routeGeometry: routeData.routeGeometry || null,
+            legs: routeData.legs || [],
+            dayPlan: routeData.dayPlan || null,
+            days: routeData.days || [],
+            elevation: routeData.elevation || null,
+            tags: normalizeTags(routeData.tags),
+            tripId: routeData.tripId || 0,
+            poiIds: getPoiIds(routeData.waypoints),
+            schemaVersion: ROUTE_SCHEMA_VERSION,
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
         };
 
         try {
-            const id = await db.routes.add(route);
+            const id = await db.transaction('rw', db.routes, db.revisions, async () => {
+                const routeId = await db.routes.add(route);
+                await addRevision(routeId, route, 'Creación', route.createdAt);
+                return routeId;
+            });
             console.log(`Route created with ID: ${id}`);
             return id;
         } catch (error) {
@@ -78,17 +273,35 @@ export const RouteService = {
 
     /**
      * Update a route
+     * Unless disabled, the saved state is stored as a revision. Routes saved
+     * before revisions existed get their previous state stored first.
      * @param {number} id - Route ID
      * @param {Object} updates - Fields to update
+     * @param {Object} options - { revision: note of the revision, or false for none }
      * @returns {Promise<number>} - Number of updated records
      */
-    async update(id, updates) {
+    async update(id, updates, options = {}) {
+        const { revision = 'Edición' } = options;
+
         try {
             const updateData = {
                 ...updates,
                 updatedAt: new Date().toISOString()
             };
-            const count = await db.routes.update(id, updateData);
+            // Keep the indexed fields in step with the route
+            if (updates.waypoints) updateData.poiIds = getPoiIds(updates.waypoints);
+            if (updates.tags) updateData.tags = normalizeTags(updates.tags);
+
+            const count = await db.transaction('rw', db.routes, db.revisions, async () => {
+                const current = await db.routes.get(id);
+                if (!current) return 0;
+
+                const updated = await db.routes.update(id, updateData);
+                if (revision) {
+                    await RevisionService.record(id, current, { ...current, ...updateData }, revision, updateData.updatedAt);
+                }
+                return updated;
+            });
             console.log(`Route ${id} updated`);
             return count;
         } catch (error) {
@@ -104,7 +317,10 @@ export const RouteService = {
      */
     async delete(id) {
         try {
-            await db.routes.delete(id);
+            await db.transaction('rw', db.routes, db.revisions, async () => {
+                await db.routes.delete(id);
+                await db.revisions.where('routeId').equals(id).delete();
+            });
             console.log(`Route ${id} deleted`);
         } catch (error) {
             console.error(`Error deleting route ${id}:`, error);
@@ -118,7 +334,10 @@ export const RouteService = {
      */
     async deleteAll() {
         try {
-            await db.routes.clear();
+            await db.transaction('rw', db.routes, db.revisions, async () => {
+                await db.routes.clear();
+                await db.revisions.clear();
+            });
             console.log('All routes deleted');
         } catch (error) {
             console.error('Error deleting all routes:', error);
@@ -140,20 +359,165 @@ export const RouteService = {
     },
 
     /**
-     * Search routes by name
+     * Count the routes filed directly in a trip
+     * @param {number} tripId - Trip ID (0 for routes without trip)
+     * @returns {Promise<number>} - Number of routes
+     */
+    async countByTrip(tripId) {
+        try {
+            return await db.routes.where('tripId').equals(tripId).count();
+        } catch (error) {
+            console.error(`Error counting routes of trip ${tripId}:`, error);
+            return 0;
+        }
+    },
+
+    /**
+     * Get several routes by ID
+     * @param {Array} ids - Route IDs
+     * @returns {Promise<Array>} - Routes found, in the order of ids
+     */
+    async getByIds(ids) {
+        try {
+            return (await db.routes.bulkGet(ids)).filter(Boolean);
+        } catch (error) {
+            console.error('Error getting routes:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get routes by transport mode
+     * @param {string} mode - Transport mode id
+     * @returns {Promise<Array>} - Matching routes
+     */
+    async getByTransportMode(mode) {
+        try {
+            return await db.routes.where('transportMode').equals(mode).toArray();
+        } catch (error) {
+            console.error(`Error getting routes by mode ${mode}:`, error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get routes with a tag
+     * @param {string} tag - Tag
+     * @returns {Promise<Array>} - Matching routes
+     */
+    async getByTag(tag) {
+        try {
+            return await db.routes.where('tags').equals(tag).toArray();
+        } catch (error) {
+            console.error(`Error getting routes by tag ${tag}:`, error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get routes that visit a POI
+     * @param {string} poiId - POI id
+     * @returns {Promise<Array>} - Matching routes
+     */
+    async getByPoi(poiId) {
+        try {
+            return await db.routes.where('poiIds').equals(poiId).toArray();
+        } catch (error) {
+            console.error(`Error getting routes by POI ${poiId}:`, error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get routes within a distance range
+     * @param {number} min - Minimum distance in meters
+     * @param {number} max - Maximum distance in meters
+     * @returns {Promise<Array>} - Matching routes, shortest first
+     */
+    async getByDistance(min = 0, max = Infinity) {
+        try {
+            return await db.routes.where('distance').between(min, max, true, true).toArray();
+        } catch (error) {
+            console.error('Error getting routes by distance:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get every tag in use
+     * @returns {Promise<Array>} - Unique tags, sorted
+     */
+    async getTags() {
+        try {
+            return await db.routes.orderBy('tags').uniqueKeys();
+        } catch (error) {
+            console.error('Error getting tags:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Search routes by name, description or tag
      * @param {string} query - Search query
      * @returns {Promise<Array>} - Matching routes
      */
     async search(query) {
+        return this.query({ text: query });
+    },
+
+    /**
+     * Filter and sort routes using the IndexedDB indexes
+     * The most selective filter (tag, then trip, then mode) is read from its
+     * index; the other filters are applied while iterating those records,
+     * so routes that don't match are never collected.
+     * @param {Object} filters - Fields of DEFAULT_ROUTE_QUERY: { text, tag, tripId: includes its
+     *   sub-trips (0 for routes without trip), transportMode, sortBy: key of RouteSortFields, descending }
+     * @returns {Promise<Array>} - Matching routes, sorted
+     */
+    async query(filters = {}) {
+        const { text, tag, tripId, transportMode, sortBy, descending } = { ...DEFAULT_ROUTE_QUERY, ...filters };
+        if (!RouteSortFields[sortBy]) {
+            throw new Error(`Campo de ordenación desconocido: ${sortBy}`);
+        }
+
         try {
-            const normalizedQuery = query.toLowerCase().trim();
-            const routes = await db.routes.toArray();
-            return routes.filter(route =>
-                route.name.toLowerCase().includes(normalizedQuery) ||
-                (route.description && route.description.toLowerCase().includes(normalizedQuery))
-            );
+            const tripIds = tripId == null ? null
+                : tripId === 0 ? [0]
+                    : TripService.getDescendantIds(await db.trips.toArray(), tripId);
+
+            const conditions = [
+                tag && { index: 'tags', values: [tag], test: route => route.tags?.includes(tag) },
+                tripIds && { index: 'tripId', values: tripIds, test: route => tripIds.includes(route.tripId || 0) },
+                transportMode && { index: 'transportMode', values: [transportMode], test: route => route.transportMode === transportMode }
+            ].filter(Boolean);
+
+            const normalizedText = (text || '').toLowerCase().trim();
+            const matchesText = route => !normalizedText ||
+                (route.name || '').toLowerCase().includes(normalizedText) ||
+                (route.description && route.description.toLowerCase().includes(normalizedText)) ||
+                (route.tags || []).some(t => t.toLowerCase().includes(normalizedText));
+
+            if (conditions.length === 0 && sortBy !== 'tags') {
+                // No index filter: read in the order of the sort index
+                const collection = db.routes.orderBy(sortBy);
+                return await (descending ? collection.reverse() : collection).filter(matchesText).toArray();
+            }
+
+            // Sorting by tag reads every matching route and sorts them here: the
+            // multi-entry tags index lists a route once per tag and leaves out
+            // untagged routes, so it can't give one position per route
+            const [first, ...rest] = conditions;
+            const collection = first
+                ? db.routes.where(first.index).anyOf(first.values)
+                : db.routes.toCollection();
+            const routes = await collection.filter(route => rest.every(c => c.test(route)) && matchesText(route)).toArray();
+
+            const direction = descending ? -1 : 1;
+            return routes.sort(sortBy === 'tags'
+                ? (a, b) => compareValues(getFirstTag(a), getFirstTag(b), direction)
+                : (a, b) => compareValues(a[sortBy], b[sortBy], direction));
         } catch (error) {
-            console.error('Error searching routes:', error);
+            console.error('Error querying routes:', error);
             throw error;
         }
     },
@@ -190,12 +554,15 @@ export const RouteService = {
 
     /**
      * Import route from JSON
+     * Accepts a raw route or the { exportDate, source, route } envelope
+     * written by the JSON exporter.
      * @param {string} jsonString - JSON string
      * @returns {Promise<number>} - ID of imported route
      */
     async importFromJson(jsonString) {
         try {
-            const routeData = JSON.parse(jsonString);
+            const parsed = JSON.parse(jsonString);
+            const routeData = parsed?.route && typeof parsed.route === 'object' ? { ...parsed.route } : parsed;
             // Remove ID to create a new entry
             delete routeData.id;
             return await this.create(routeData);
@@ -206,6 +573,210 @@ export const RouteService = {
     }
 };
 
+/**
+ * Trip Service - Trips and folders grouping saved routes
+ * Trips nest through parentId (0 is the top level); each route belongs to
+ * at most one trip through its tripId.
+ */
+export const TripService = {
+    /**
+     * Create a trip
+     * @param {Object} tripData - { name, parentId }
+     * @returns {Promise<number>} - ID of the created trip
+     */
+    async create(tripData) {
+        const name = tripData.name?.trim();
+        if (!name) {
+            throw new Error('El viaje necesita un nombre');
+        }
+
+        try {
+            return await db.trips.add({
+                name,
+                parentId: tripData.parentId || 0,
+                createdAt: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error creating trip:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get all trips
+     * @returns {Promise<Array>} - Trips sorted by name
+     */
+    async getAll() {
+        try {
+            return await db.trips.orderBy('name').toArray();
+        } catch (error) {
+            console.error('Error getting trips:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Rename or move a trip
+     * @param {number} id - Trip ID
+     * @param {Object} updates - { name, parentId }
+     * @returns {Promise<number>} - Number of updated records
+     */
+    async update(id, updates) {
+        if (updates.parentId) {
+            const trips = await db.trips.toArray();
+            if (this.getDescendantIds(trips, id).includes(updates.parentId)) {
+                throw new Error('Un viaje no puede estar dentro de sí mismo');
+            }
+        }
+
+        try {
+            return await db.trips.update(id, updates);
+        } catch (error) {
+            console.error(`Error updating trip ${id}:`, error);
+            throw error;
+        }
+    },
+
+    /**
+     * Delete a trip
+     * Its routes and sub-trips move up to its parent.
+     * @param {number} id - Trip ID
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        try {
+            await db.transaction('rw', db.trips, db.routes, async () => {
+                const trip = await db.trips.get(id);
+                if (!trip) return;
+
+                await db.routes.where('tripId').equals(id).modify({ tripId: trip.parentId });
+                await db.trips.where('parentId').equals(id).modify({ parentId: trip.parentId });
+                await db.trips.delete(id);
+            });
+            console.log(`Trip ${id} deleted`);
+        } catch (error) {
+            console.error(`Error deleting trip ${id}:`, error);
+            throw error;
+        }
+    },
+
+    /**
+     * Ids of a trip and every trip nested in it
+     * @param {Array} trips - All trips
+     * @param {number} id - Trip ID
+     * @returns {Array} - Trip ids
+     */
+    getDescendantIds(trips, id) {
+        const ids = [id];
+        for (let i = 0; i < ids.length; i++) {
+            trips.filter(trip => trip.parentId === ids[i]).forEach(trip => ids.push(trip.id));
+        }
+        return ids;
+    },
+
+    /**
+     * Trips in tree order with their depth, for nested lists
+     * @param {Array} trips - All trips
+     * @returns {Array} - [{ trip, depth }]
+     */
+    flatten(trips) {
+        // Trips whose parent is missing are shown at the top level
+        const ids = new Set(trips.map(trip => trip.id));
+        const getParentId = trip => (ids.has(trip.parentId) ? trip.parentId : 0);
+        const result = [];
+        const visit = (parentId, depth) => {
+            trips.filter(trip => getParentId(trip) === parentId).forEach(trip => {
+                result.push({ trip, depth });
+                visit(trip.id, depth + 1);
+            });
+        };
+        visit(0, 0);
+        return result;
+    }
+};
+
+/**
+ * Revision Service - Saved versions of each route
+ */
+export const RevisionService = {
+    /**
+     * Get the revisions of a route
+     * @param {number} routeId - Route ID
+     * @returns {Promise<Array>} - Revisions, newest first: { id, routeId, createdAt, note, route }
+     */
+    async getByRoute(routeId) {
+        try {
+            const revisions = await db.revisions.where('routeId').equals(routeId).toArray();
+            return revisions.reverse();
+        } catch (error) {
+            console.error(`Error getting revisions of route ${routeId}:`, error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get a revision by ID
+     * @param {number} id - Revision ID
+     * @returns {Promise<Object|undefined>} - Revision or undefined
+     */
+    async getById(id) {
+        try {
+            return await db.revisions.get(id);
+        } catch (error) {
+            console.error(`Error getting revision ${id}:`, error);
+            throw error;
+        }
+    },
+
+    /**
+     * Save a new version of a route in its history
+     * Routes saved before revisions existed have no history yet: their
+     * previous state is kept first as "Versión original".
+     * @param {number} routeId - Route ID
+     * @param {Object} previous - Route before the change
+     * @param {Object} route - Route after the change
+     * @param {string} note - What changed
+     * @param {string} createdAt - Date of the change
+     * @returns {Promise<void>}
+     */
+    async record(routeId, previous, route, note, createdAt = new Date().toISOString()) {
+        if (await db.revisions.where('routeId').equals(routeId).count() === 0) {
+            await addRevision(routeId, previous, 'Versión original', previous.updatedAt);
+        }
+        await addRevision(routeId, route, note, createdAt);
+    },
+
+    /**
+     * Restore a route to one of its revisions
+     * Only the route content is restored: tags and trip are organized outside
+     * the history and stay as they are. The restored state is saved as a new
+     * revision, so it can be undone.
+     * @param {number} id - Revision ID
+     * @returns {Promise<number>} - ID of the restored route
+     */
+    async restore(id) {
+        const revision = await this.getById(id);
+        if (!revision) {
+            throw new Error('Versión no encontrada');
+        }
+
+        const date = new Date(revision.createdAt).toLocaleString('es-ES', { dateStyle: 'medium', timeStyle: 'short' });
+        const snapshot = migrateRoute(revision.route);
+        const content = Object.fromEntries(REVISION_CONTENT_FIELDS
+            .filter(field => field in snapshot)
+            .map(field => [field, snapshot[field]]));
+
+        const count = await RouteService.update(revision.routeId, content, {
+            revision: `Restaurada la versión del ${date}`
+        });
+        if (count === 0) {
+            throw new Error('La ruta de esta versión ya no existe');
+        }
+
+        return revision.routeId;
+    }
+};
+
 /**
  * Settings Service - User preferences storage
  */
@@ -300,6 +871,7 @@ export const DatabaseUtils = {
         return {
             name: db.name,
             version: db.verno,
+            schemaVersion: ROUTE_SCHEMA_VERSION,
             tables: db.tables.map(t => t.name),
             routeCount
         };
@@ -312,6 +884,8 @@ export const DatabaseUtils = {
     async clearAll() {
         try {
             await db.routes.clear();
+            await db.revisions.clear();
+            await db.trips.clear();
             await db.settings.clear();
             console.log('All database data cleared');
         } catch (error) {
@@ -326,30 +900,48 @@ export const DatabaseUtils = {
      */
     async exportDatabase() {
         const routes = await db.routes.toArray();
+        const revisions = await db.revisions.toArray();
+        const trips = await db.trips.toArray();
         const settings = await db.settings.toArray();
         return {
             exportDate: new Date().toISOString(),
             version: db.verno,
+            schemaVersion: ROUTE_SCHEMA_VERSION,
             routes,
+            revisions,
+            trips,
             settings
         };
     },
 
     /**
-     * Import database from backup
+     * Import database from backup, replacing the tables it contains
+     * Runs in one transaction, so a failed write keeps the previous data.
+     * For validation, merging and dry runs use restoreBackup() (backup.js).
      * @param {Object} data - Backup data
      * @returns {Promise<void>}
      */
     async importDatabase(data) {
+        if (['routes', 'revisions', 'trips', 'settings'].some(table => data?.[table] && !Array.isArray(data[table]))) {
+            throw new Error('La copia de seguridad no es válida');
+        }
+
         try {
-            if (data.routes) {
-                await db.routes.clear();
-                await db.routes.bulkAdd(data.routes);
-            }
-            if (data.settings) {
-                await db.settings.clear();
-                await db.settings.bulkAdd(data.settings);
-            }
+            await db.transaction('rw', db.routes, db.revisions, db.trips, db.settings, async () => {
+                if (data.routes) {
+                    await db.routes.clear();
+                    await db.routes.bulkAdd(data.routes.map(migrateRoute));
+                    await replaceRevisions(data.routes, data.revisions);
+                }
+                if (data.trips) {
+                    await db.trips.clear();
+                    await db.trips.bulkAdd(data.trips);
+                }
+                if (data.settings) {
+                    await db.settings.clear();
+                    await db.settings.bulkAdd(data.settings);
+                }
+            });
             console.log('Database imported successfully');
         } catch (error) {
             console.error('Error importing database:', error);
@@ -362,7 +954,18 @@ export const DatabaseUtils = {
 export { db };
 
 export default {
+    ROUTE_SCHEMA_VERSION,
+    SchemaVersions,
+    migrateRoute,
+    getPoiIds,
+    normalizeTags,
+    replaceRevisions,
+    MAX_REVISIONS,
+    RouteSortFields,
+    DEFAULT_ROUTE_QUERY,
     RouteService,
+    TripService,
+    RevisionService,
     SettingsService,
     DatabaseUtils,
     db
@@ -0,0 +1,224 @@
+/**
+ * Directions Service for Iceland Geoportal
+ * Turns normalized route steps (maneuver type, modifier, road name) into
+ * human-readable turn-by-turn instructions in Spanish or English.
+ */
+
+// Placeholder road name used by the routing adapters
+const UNNAMED_ROAD = 'Sin nombre';
+
+/**
+ * Phrase tables per language
+ * `{road}` is replaced by the road name, `{exit}` by the ordinal exit number
+ * and `{destination}` by the waypoint name. Keys ending in `Named` are used
+ * when the step has a road name.
+ */
+export const DirectionLanguages = {
+    es: {
+        id: 'es',
+        name: 'Español',
+        modifiers: {
+            'left': 'a la izquierda',
+            'right': 'a la derecha',
+            'slight left': 'ligeramente a la izquierda',
+            'slight right': 'ligeramente a la derecha',
+            'sharp left': 'bruscamente a la izquierda',
+            'sharp right': 'bruscamente a la derecha',
+            'straight': 'recto'
+        },
+        depart: 'Salga',
+        departNamed: 'Salga por {road}',
+        turn: 'Gire {modifier}',
+        turnNamed: 'Gire {modifier} en {road}',
+        straight: 'Continúe recto',
+        straightNamed: 'Continúe recto por {road}',
+        uturn: 'Cambie de sentido',
+        uturnNamed: 'Cambie de sentido en {road}',
+        continue: 'Continúe',
+        continueNamed: 'Continúe por {road}',
+        merge: 'Incorpórese',
+        mergeNamed: 'Incorpórese a {road}',
+        onRamp: 'Tome el acceso',
+        onRampNamed: 'Tome el acceso a {road}',
+        offRamp: 'Tome la salida',
+        offRampNamed: 'Tome la salida hacia {road}',
+        fork: 'Manténgase {modifier} en la bifurcación',
+        forkNamed: 'Manténgase {modifier} hacia {road}',
+        endOfRoad: 'Al final de la vía, gire {modifier}',
+        endOfRoadNamed: 'Al final de la vía, gire {modifier} en {road}',
+        roundabout: 'En la rotonda, tome la salida',
+        roundaboutNamed: 'En la rotonda, tome la salida hacia {road}',
+        roundaboutExit: 'En la rotonda, tome la {exit} salida',
+        roundaboutExitNamed: 'En la rotonda, tome la {exit} salida hacia {road}',
+        exitRoundabout: 'Salga de la rotonda',
+        exitRoundaboutNamed: 'Salga de la rotonda hacia {road}',
+        ferry: 'Tome el ferry',
+        ferryNamed: 'Tome el ferry {road}',
+        arrive: 'Ha llegado a su destino',
+        arriveNamed: 'Llegada a {destination}',
+        ordinal: n => `${n}.ª`
+    },
+    en: {
+        id: 'en',
+        name: 'English',
+        modifiers: {
+            'left': 'left',
+            'right': 'right',
+            'slight left': 'slightly left',
+            'slight right': 'slightly right',
+            'sharp left': 'sharp left',
+            'sharp right': 'sharp right',
+            'straight': 'straight'
+        },
+        depart: 'Head out',
+        departNamed: 'Head out on {road}',
+        turn: 'Turn {modifier}',
+        turnNamed: 'Turn {modifier} onto {road}',
+        straight: 'Go straight',
+        straightNamed: 'Go straight onto {road}',
+        uturn: 'Make a U-turn',
+        uturnNamed: 'Make a U-turn onto {road}',
+        continue: 'Continue',
+        continueNamed: 'Continue on {road}',
+        merge: 'Merge',
+        mergeNamed: 'Merge onto {road}',
+        onRamp: 'Take the ramp',
+        onRampNamed: 'Take the ramp onto {road}',
+        offRamp: 'Take the exit',
+        offRampNamed: 'Take the exit towards {road}',
+        fork: 'Keep {modifier} at the fork',
+        forkNamed: 'Keep {modifier} towards {road}',
+        endOfRoad: 'At the end of the road, turn {modifier}',
+        endOfRoadNamed: 'At the end of the road, turn {modifier} onto {road}',
+        roundabout: 'At the roundabout, take the exit',
+        roundaboutNamed: 'At the roundabout, take the exit onto {road}',
+        roundaboutExit: 'At the roundabout, take the {exit} exit',
+        roundaboutExitNamed: 'At the roundabout, take the {exit} exit onto {road}',
+        exitRoundabout: 'Exit the roundabout',
+        exitRoundaboutNamed: 'Exit the roundabout onto {road}',
+        ferry: 'Take the ferry',
+        ferryNamed: 'Take the ferry {road}',
+        arrive: 'You have arrived',
+        arriveNamed: 'Arrive at {destination}',
+        ordinal: n => {
+            const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+            return `${n}${suffix}`;
+        }
+    }
+};
+
+/**
+ * Build the instruction text for a single step
+ * @param {Object} step - Normalized step { instruction, modifier, exit, name }
+ * @param {string} language - Language ID ('es' or 'en')
+ * @param {string} destination - Waypoint name, used for arrival steps
+ * @returns {string} - Plain text with road and waypoint names as given (escape before using as HTML)
+ */
+export function buildInstruction(step, language = 'es', destination = '') {
+    const phrases = DirectionLanguages[language] || DirectionLanguages.es;
+    const road = step.name && step.name !== UNNAMED_ROAD ? step.name : '';
+    const modifier = step.modifier || 'straight';
+
+    let key;
+    switch (step.instruction) {
+        case 'depart':
+            key = 'depart';
+            break;
+        case 'arrive':
+            return fill(destination ? phrases.arriveNamed : phrases.arrive, { destination });
+        case 'turn':
+        case 'end of road':
+            if (modifier === 'uturn') {
+                key = 'uturn';
+            } else if (modifier === 'straight') {
+                key = 'straight';
+            } else {
+                key = step.instruction === 'turn' ? 'turn' : 'endOfRoad';
+            }
+            break;
+        case 'continue':
+        case 'new name':
+        case 'notification':
+            key = modifier === 'uturn' ? 'uturn' : 'continue';
+            break;
+        case 'merge':
+            key = 'merge';
+            break;
+        case 'on ramp':
+            key = 'onRamp';
+            break;
+        case 'off ramp':
+            key = 'offRamp';
+            break;
+        case 'fork':
+            key = 'fork';
+            break;
+        case 'roundabout':
+        case 'rotary':
+        case 'roundabout turn':
+            key = step.exit ? 'roundaboutExit' : 'roundabout';
+            break;
+        case 'exit roundabout':
+        case 'exit rotary':
+            key = 'exitRoundabout';
+            break;
+        case 'ferry':
+            key = 'ferry';
+            break;
+        default:
+            key = 'continue';
+    }
+
+    const template = road ? phrases[`${key}Named`] : phrases[key];
+
+    // "Keep left" reads better than "keep slightly left" at a fork
+    const side = key === 'fork' ? modifier.replace(/^(slight|sharp) /, '') : modifier;
+
+    return fill(template, {
+        road,
+        modifier: phrases.modifiers[side] || phrases.modifiers.straight,
+        exit: step.exit ? phrases.ordinal(step.exit) : ''
+    });
+}
+
+/**
+ * Flatten the legs of a route into a list of directions
+ * @param {Object} route - { waypoints, legs }
+ * @param {string} language - Language ID ('es' or 'en')
+ * @returns {Array} - { legIndex, type, modifier, text, distance, duration, interval }
+ */
+export function getDirections(route, language = 'es') {
+    const waypoints = route.waypoints || [];
+    const directions = [];
+
+    (route.legs || []).forEach((leg, legIndex) => {
+        const destination = waypoints[legIndex + 1]?.name || '';
+
+        (leg.steps || []).forEach(step => {
+            directions.push({
+                legIndex,
+                type: step.instruction,
+                modifier: step.modifier || null,
+                text: buildInstruction(step, language, destination),
+                distance: step.distance,
+                duration: step.duration,
+                interval: step.interval || null
+            });
+        });
+    });
+
+    return directions;
+}
+
+/**
+ * Replace {placeholders} in a phrase template
+ */
+function fill(template, values) {
+    return template.replace(/\{(\w+)\}/g, (_, key) => values[key] ?? '');
+}
+
+export default {
+    DirectionLanguages,
+    buildInstruction,
+    getDirections
+};
@@ -0,0 +1,390 @@
+/**
+ * Elevation Service for Iceland Geoportal
+ * Samples route geometry against a DEM and computes climb statistics.
+ *
+ * Two DEM sources are supported:
+ *   terrain-rgb - raster tiles ({z}/{x}/{y}.png) encoding
+ *                 height = -10000 + (R * 65536 + G * 256 + B) * 0.1
+ *   grid        - a single JSON file that is easy to stub offline:
+ *                 { bounds: [south, west, north, east], width, height,
+ *                   data: [...] } with rows from north to south, in meters
+ */
+
+import { SettingsService } from './database.js';
+import { haversineDistance } from './routing.js';
+
+// Settings key under which the elevation configuration is persisted
+const ELEVATION_SETTINGS_KEY = 'elevation';
+
+// Zoom level used to sample terrain-RGB tiles (~70 m/pixel at Iceland's latitude)
+const TERRAIN_ZOOM = 10;
+
+// Profile resolution: at most this many samples, never closer than this (meters)
+const MAX_SAMPLES = 200;
+const MIN_SAMPLE_SPACING = 30;
+
+// Height changes below this are treated as DEM noise when summing climbs (meters)
+const CLIMB_THRESHOLD = 3;
+
+// Grades are measured over at least this distance (meters)
+const GRADE_WINDOW = 100;
+
+/**
+ * Available DEM sources
+ */
+export const ElevationSources = {
+    'terrain-rgb': {
+        id: 'terrain-rgb',
+        name: 'Teselas terrain-RGB',
+        defaultUrl: './assets/terrain/{z}/{x}/{y}.png'
+    },
+    grid: {
+        id: 'grid',
+        name: 'Rejilla JSON',
+        defaultUrl: './assets/data/iceland-elevation.json'
+    }
+};
+
+const DEFAULT_ELEVATION_CONFIG = {
+    source: 'terrain-rgb',
+    url: ElevationSources['terrain-rgb'].defaultUrl
+};
+
+let elevationConfig = { ...DEFAULT_ELEVATION_CONFIG };
+const tileCache = new Map();
+let gridPromise = null;
+
+/**
+ * Get the active elevation configuration
+ * @returns {Object} - { source, url }
+ */
+export function getElevationConfig() {
+    return { ...elevationConfig };
+}
+
+/**
+ * Set the active elevation configuration (not persisted)
+ * Missing or unknown values fall back to the source defaults.
+ * @param {Object} config - { source, url }
+ * @returns {Object} - The active configuration
+ */
+export function setElevationConfig(config = {}) {
+    const source = ElevationSources[config.source] ? config.source : DEFAULT_ELEVATION_CONFIG.source;
+
+    elevationConfig = {
+        source,
+        url: config.url?.trim() || ElevationSources[source].defaultUrl
+    };
+
+    // Cached DEM data belongs to the previous source
+    tileCache.clear();
+    gridPromise = null;
+
+    return getElevationConfig();
+}
+
+/**
+ * Load the saved elevation configuration from IndexedDB
+ * @returns {Promise<Object>} - The active configuration
+ */
+export async function loadElevationConfig() {
+    const stored = await SettingsService.get(ELEVATION_SETTINGS_KEY, DEFAULT_ELEVATION_CONFIG);
+    return setElevationConfig(stored);
+}
+
+/**
+ * Persist and activate an elevation configuration
+ * @param {Object} config - { source, url }
+ * @returns {Promise<Object>} - The active configuration
+ */
+export async function saveElevationConfig(config) {
+    const active = setElevationConfig(config);
+    await SettingsService.set(ELEVATION_SETTINGS_KEY, active);
+    return active;
+}
+
+/**
+ * Sample the elevation along a route
+ * @param {Object} geometry - GeoJSON LineString ([lng, lat] coordinates)
+ * @returns {Promise<Object>} - { points: [{ distance, elevation, coordinates: [lat, lng] }], stats }
+ */
+export async function getElevationProfile(geometry) {
+    const coordinates = geometry?.coordinates || [];
+    if (coordinates.length < 2) {
+        throw new Error('Se necesita una línea de ruta para calcular el perfil');
+    }
+
+    const samples = resampleLine(coordinates.map(c => [c[1], c[0]]));
+    const elevations = await Promise.all(samples.map(sample => getElevationAt(sample.coordinates)));
+
+    const points = samples
+        .map((sample, i) => ({ ...sample, elevation: elevations[i] }))
+        .filter(point => Number.isFinite(point.elevation));
+
+    if (points.length < 2) {
+        throw new Error('Sin datos de elevación para esta ruta');
+    }
+
+    return {
+        points,
+        stats: calculateClimbStats(points)
+    };
+}
+
+/**
+ * Climb statistics for an elevation profile
+ * @param {Array} points - Profile points { distance, elevation }
+ * @returns {Object} - { ascent, descent, maxGrade, minElevation, maxElevation } (meters, %)
+ */
+export function calculateClimbStats(points) {
+    let ascent = 0;
+    let descent = 0;
+    let maxGrade = 0;
+    let reference = points[0].elevation;
+
+    points.forEach((point, i) => {
+        // Hysteresis: only count changes larger than the DEM noise
+        const diff = point.elevation - reference;
+        if (diff >= CLIMB_THRESHOLD) {
+            ascent += diff;
+            reference = point.elevation;
+        } else if (diff <= -CLIMB_THRESHOLD) {
+            descent -= diff;
+            reference = point.elevation;
+        }
+
+        // Steepest uphill grade over a window of at least GRADE_WINDOW meters
+        let j = i + 1;
+        while (j < points.length && points[j].distance - point.distance < GRADE_WINDOW) j++;
+        if (j < points.length) {
+            const grade = (points[j].elevation - point.elevation) / (points[j].distance - point.distance) * 100;
+            maxGrade = Math.max(maxGrade, grade);
+        }
+    });
+
+    const heights = points.map(p => p.elevation);
+
+    return {
+        ascent: Math.round(ascent),
+        descent: Math.round(descent),
+        maxGrade: Math.round(maxGrade * 10) / 10,
+        minElevation: Math.round(Math.min(...heights)),
+        maxElevation: Math.round(Math.max(...heights))
+    };
+}
+
+/**
+ * Compact profile for storage and reports
+ * @param {Array} points - Profile points { distance, elevation }
+ * @returns {Array} - [[distance, elevation], ...] rounded to meters
+ */
+export function compactProfile(points) {
+    return points.map(p => [Math.round(p.distance), Math.round(p.elevation)]);
+}
+
+/**
+ * Render an elevation profile as SVG markup
+ * Used by the sidebar chart and the HTML report.
+ * @param {Array} profile - [[distance, elevation], ...]
+ * @param {Object} options - { width, height, color }
+ * @returns {string} - SVG element markup
+ */
+export function renderElevationSvg(profile, options = {}) {
+    const { width = 300, height = 100, color = '#0066cc' } = options;
+    if (!profile || profile.length < 2) return '';
+
+    const padding = { top: 8, right: 4, bottom: 16, left: 34 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+
+    const totalDistance = profile[profile.length - 1][0] || 1;
+    const heights = profile.map(p => p[1]);
+    const min = Math.min(...heights);
+    const max = Math.max(...heights);
+    const range = Math.max(max - min, 10);
+
+    const x = d => padding.left + (d / totalDistance) * chartWidth;
+    const y = e => padding.top + chartHeight - ((e - min) / range) * chartHeight;
+
+    const line = profile.map(([d, e], i) => `${i === 0 ? 'M' : 'L'}${x(d).toFixed(1)},${y(e).toFixed(1)}`).join(' ');
+    const baseline = (padding.top + chartHeight).toFixed(1);
+    const area = `${line} L${x(totalDistance).toFixed(1)},${baseline} L${x(0).toFixed(1)},${baseline} Z`;
+    const km = totalDistance / 1000;
+
+    return `<svg class="elevation-svg" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg"
+        data-chart-left="${padding.left}" data-chart-right="${width - padding.right}"
+        data-chart-top="${padding.top}" data-chart-bottom="${baseline}">
+        <path d="${area}" fill="${color}" fill-opacity="0.15" stroke="none"></path>
+        <path d="${line}" fill="none" stroke="${color}" stroke-width="1.5"></path>
+        <text x="${padding.left - 4}" y="${padding.top + 4}" text-anchor="end" font-size="9" fill="#64748b">${Math.round(max)} m</text>
+        <text x="${padding.left - 4}" y="${baseline}" text-anchor="end" font-size="9" fill="#64748b">${Math.round(min)} m</text>
+        <text x="${padding.left}" y="${height - 3}" font-size="9" fill="#64748b">0</text>
+        <text x="${width - padding.right}" y="${height - 3}" text-anchor="end" font-size="9" fill="#64748b">${km < 10 ? km.toFixed(1) : Math.round(km)} km</text>
+    </svg>`;
+}
+
+// ==================== SAMPLING ====================
+
+/**
+ * Points along a line at a regular spacing
+ * @param {Array} line - Array of [lat, lng]
+ */
+function resampleLine(line) {
+    const segments = [];
+    let total = 0;
+
+    for (let i = 0; i < line.length - 1; i++) {
+        const length = haversineDistance(line[i], line[i + 1]) * 1000;
+        segments.push({ from: line[i], to: line[i + 1], start: total, length });
+        total += length;
+    }
+
+    const spacing = Math.max(total / (MAX_SAMPLES - 1), MIN_SAMPLE_SPACING);
+    const samples = [];
+    let segment = 0;
+
+    for (let distance = 0; distance < total; distance += spacing) {
+        while (segment < segments.length - 1 && segments[segment].start + segments[segment].length < distance) {
+            segment++;
+        }
+        const { from, to, start, length } = segments[segment];
+        const t = length > 0 ? (distance - start) / length : 0;
+        samples.push({
+            distance,
+            coordinates: [from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t]
+        });
+    }
+
+    samples.push({ distance: total, coordinates: line[line.length - 1] });
+    return samples;
+}
+
+/**
+ * Elevation at a point from the active DEM source
+ * @returns {Promise<number|null>} - Meters, or null without data
+ */
+function getElevationAt(point) {
+    return elevationConfig.source === 'grid'
+        ? getGridElevation(point)
+        : getTerrainElevation(point);
+}
+
+// ==================== TERRAIN-RGB ====================
+
+async function getTerrainElevation([lat, lng]) {
+    const scale = Math.pow(2, TERRAIN_ZOOM);
+    const latRad = lat * Math.PI / 180;
+    const tileX = (lng + 180) / 360 * scale;
+    const tileY = (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale;
+
+    const tile = await loadTile(Math.floor(tileX), Math.floor(tileY));
+    if (!tile) return null;
+
+    const px = Math.min(tile.width - 1, Math.floor((tileX % 1) * tile.width));
+    const py = Math.min(tile.height - 1, Math.floor((tileY % 1) * tile.height));
+    const offset = (py * tile.width + px) * 4;
+    const [r, g, b] = tile.data.slice(offset, offset + 3);
+
+    return -10000 + (r * 65536 + g * 256 + b) * 0.1;
+}
+
+/**
+ * Fetch and decode a terrain-RGB tile (missing tiles resolve to null)
+ * Only decoded tiles stay cached so a failed fetch is retried on the next profile.
+ */
+function loadTile(x, y) {
+    const key = `${x}/${y}`;
+
+    if (!tileCache.has(key)) {
+        const url = elevationConfig.url
+            .replace('{z}', TERRAIN_ZOOM)
+            .replace('{x}', x)
+            .replace('{y}', y);
+
+        const request = fetch(url)
+            .then(response => {
+                if (!response.ok) return null;
+                return response.blob()
+                    .then(blob => createImageBitmap(blob))
+                    .then(decodePixels);
+            })
+            .catch(() => null)
+            .then(tile => {
+                if (!tile && tileCache.get(key) === request) tileCache.delete(key);
+                return tile;
+            });
+
+        tileCache.set(key, request);
+    }
+
+    return tileCache.get(key);
+}
+
+/**
+ * Raw RGBA pixels of an image
+ */
+function decodePixels(bitmap) {
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(bitmap.width, bitmap.height)
+        : Object.assign(document.createElement('canvas'), { width: bitmap.width, height: bitmap.height });
+    const ctx = canvas.getContext('2d');
+
+    ctx.drawImage(bitmap, 0, 0);
+    return ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+}
+
+// ==================== JSON GRID ====================
+
+async function getGridElevation([lat, lng]) {
+    const grid = await loadGrid();
+    const [south, west, north, east] = grid.bounds;
+    if (lat < south || lat > north || lng < west || lng > east) return null;
+
+    // Bilinear interpolation between the four surrounding cells
+    const fx = (lng - west) / (east - west) * (grid.width - 1);
+    const fy = (north - lat) / (north - south) * (grid.height - 1);
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const x1 = Math.min(x0 + 1, grid.width - 1);
+    const y1 = Math.min(y0 + 1, grid.height - 1);
+    const cell = (x, y) => grid.data[y * grid.width + x];
+
+    const values = [cell(x0, y0), cell(x1, y0), cell(x0, y1), cell(x1, y1)];
+    if (values.some(v => v === null || v === grid.nodata)) return null;
+
+    const tx = fx - x0;
+    const ty = fy - y0;
+    const top = values[0] + (values[1] - values[0]) * tx;
+    const bottom = values[2] + (values[3] - values[2]) * tx;
+
+    return top + (bottom - top) * ty;
+}
+
+function loadGrid() {
+    if (!gridPromise) {
+        gridPromise = fetch(elevationConfig.url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`No se pudo cargar el modelo de elevación: ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                gridPromise = null;
+                throw error;
+            });
+    }
+    return gridPromise;
+}
+
+export default {
+    ElevationSources,
+    getElevationConfig,
+    setElevationConfig,
+    loadElevationConfig,
+    saveElevationConfig,
+    getElevationProfile,
+    calculateClimbStats,
+    compactProfile,
+    renderElevationSvg
+};
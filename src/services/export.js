@@ -1,14 +1,294 @@
 /**
  * Export Service for Iceland Geoportal
- * Handles PDF, HTML, and JSON export of routes
+ * Handles PDF, HTML, JSON, GPX, KML/KMZ, GeoJSON and iCalendar export of
+ * routes, and PDF trip booklets of several routes
  */
 
 import { formatDistance, formatDuration } from './routing.js';
+import { renderElevationSvg } from './elevation.js';
+import { scheduleRoute, planDays, getVisitDuration } from './itinerary.js';
+import { formatCoordinates } from './geocoding.js';
+import { categories, getPoiById } from '../data/pois.js';
+import { icelandCoastline } from '../data/coastline.js';
+import { downloadFile, escapeHtml } from '../utils/helpers.js';
+import { createZip } from '../utils/zip.js';
+import { getOfflineMapScript } from '../utils/offlineMap.js';
+
+// Route line colour used across the app
+const ROUTE_COLOR = '#0066cc';
+
+// Style for waypoints that are not POIs (custom points, via-points)
+const CUSTOM_POINT_STYLE = { id: 'custom', name: 'Punto personalizado', icon: '📍', color: '#f59e0b' };
+
+// Line colours for the routes of a booklet, in order
+const BOOKLET_ROUTE_COLORS = ['#0066cc', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#db2777', '#65a30d'];
+
+// Optional base tiles of the offline HTML map
+const OFFLINE_MAP_TILES = {
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+};
+
+// Tintable pin used by plain KML files (KMZ files embed their own icons)
+const KML_PIN_ICON = 'https://maps.google.com/mapfiles/kml/paddle/wht-blank.png';
+
+// ==================== FORMAT REGISTRY ====================
+
+/**
+ * Export formats, in the order the export modal lists them
+ * A format is { id, label, description, icon, mime, extension, options, export(route, options),
+ * build(route, options) }: `icon` is the inner markup of a 24x24 stroke SVG,
+ * `options` the schema of its settings ({ id, type: 'checkbox' | 'datetime-local',
+ * label, default }), `export` downloads the file and resolves to its name and
+ * the optional `build` resolves to { fileName, data } without downloading,
+ * which batch exports need.
+ * Add entries with registerExportFormat() to offer other formats.
+ */
+export const ExportFormats = {
+    pdf: {
+        id: 'pdf',
+        label: 'PDF',
+        description: 'Informe profesional',
+        icon: '<path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path><polyline points="14 2 14 8 20 8"></polyline><line x1="16" y1="13" x2="8" y2="13"></line><line x1="16" y1="17" x2="8" y2="17"></line><polyline points="10 9 9 9 8 9"></polyline>',
+        mime: 'application/pdf',
+        extension: 'pdf',
+        options: [
+            { id: 'includeMap', type: 'checkbox', label: 'Incluir mapa de la ruta', default: true }
+        ],
+        export: (route, options) => exportToPDF(route, options),
+        build: async (route, options) => ({
+            fileName: `${getFileBaseName(route)}.pdf`,
+            data: (await createPdfReport(route, options)).output('blob')
+        })
+    },
+    html: {
+        id: 'html',
+        label: 'HTML',
+        description: 'Página web imprimible',
+        icon: '<polyline points="16 18 22 12 16 6"></polyline><polyline points="8 6 2 12 8 18"></polyline>',
+        mime: 'text/html',
+        extension: 'html',
+        options: [
+            { id: 'interactiveMap', type: 'checkbox', label: 'Mapa interactivo que funciona sin conexión', default: true },
+            { id: 'tiles', type: 'checkbox', label: 'Cargar el mapa base de OpenStreetMap cuando haya conexión', default: false }
+        ],
+        export: (route, options) => exportToHTML(route, options),
+        build: (route, options) => ({ fileName: `${getFileBaseName(route)}.html`, data: routeToHTML(route, options) })
+    },
+    json: {
+        id: 'json',
+        label: 'JSON',
+        description: 'Datos estructurados',
+        icon: '<path d="M4 22h14a2 2 0 0 0 2-2V7.5L14.5 2H6a2 2 0 0 0-2 2v4"></path><polyline points="14 2 14 8 20 8"></polyline><path d="M2 15h2a1 1 0 0 1 1 1v1a1 1 0 0 1-1 1 1 1 0 0 1 1 1v1a1 1 0 0 1-1 1H2"></path><path d="M9 15v6"></path>',
+        mime: 'application/json',
+        extension: 'json',
+        options: [],
+        export: (route) => exportToJSON(route),
+        build: (route) => ({ fileName: `${getFileBaseName(route)}.json`, data: routeToJSON(route) })
+    },
+    gpx: {
+        id: 'gpx',
+        label: 'GPX',
+        description: 'GPS y apps de senderismo',
+        icon: '<polygon points="3 11 22 2 13 21 11 13 3 11"></polygon>',
+        mime: 'application/gpx+xml',
+        extension: 'gpx',
+        options: [
+            { id: 'includeRoutePoints', type: 'checkbox', label: 'Incluir las paradas como ruta navegable (<rte>)', default: false }
+        ],
+        export: (route, options) => exportToGPX(route, options),
+        build: (route, options) => ({ fileName: `${getFileBaseName(route)}.gpx`, data: routeToGPX(route, options) })
+    },
+    kml: {
+        id: 'kml',
+        label: 'KML',
+        description: 'Google Earth y My Maps',
+        icon: '<circle cx="12" cy="12" r="10"></circle><line x1="2" y1="12" x2="22" y2="12"></line><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path>',
+        mime: 'application/vnd.google-earth.kml+xml',
+        extension: 'kml',
+        options: [
+            { id: 'kmz', type: 'checkbox', label: 'Empaquetar como KMZ con los iconos incluidos', default: false }
+        ],
+        export: (route, options) => exportToKML(route, options),
+        build: (route, options) => buildKML(route, options)
+    },
+    geojson: {
+        id: 'geojson',
+        label: 'GeoJSON',
+        description: 'QGIS y herramientas GIS',
+        icon: '<polygon points="1 6 1 22 8 18 16 22 23 18 23 2 16 6 8 2 1 6"></polygon><line x1="8" y1="2" x2="8" y2="18"></line><line x1="16" y1="6" x2="16" y2="22"></line>',
+        mime: 'application/geo+json',
+        extension: 'geojson',
+        options: [],
+        export: (route) => exportToGeoJSON(route),
+        build: (route) => ({
+            fileName: `${getFileBaseName(route)}.geojson`,
+            data: JSON.stringify(routeToGeoJSON(route), null, 2)
+        })
+    },
+    ics: {
+        id: 'ics',
+        label: 'Calendario',
+        description: 'Itinerario en .ics',
+        icon: '<rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect><line x1="16" y1="2" x2="16" y2="6"></line><line x1="8" y1="2" x2="8" y2="6"></line><line x1="3" y1="10" x2="21" y2="10"></line>',
+        mime: 'text/calendar',
+        extension: 'ics',
+        options: [
+            { id: 'start', type: 'datetime-local', label: 'Salida desde la primera parada', default: getDefaultStart }
+        ],
+        export: (route, options) => exportToICS(route, options),
+        build: (route, options) => ({ fileName: `${getFileBaseName(route)}.ics`, data: routeToICS(route, options) })
+    }
+};
+
+/**
+ * Register an export format
+ * @param {Object} format - { id, label, description, icon, mime, extension, options, export(route, options), build? }
+ */
+export function registerExportFormat(format) {
+    if (!format?.id || typeof format.export !== 'function') {
+        throw new Error('Un formato de exportación necesita id y export()');
+    }
+    ExportFormats[format.id] = { label: format.id, description: '', icon: '', options: [], ...format };
+}
+
+/**
+ * Formats that can be bundled into a batch export
+ * @returns {Array} - Formats with a build() function
+ */
+export function getBatchExportFormats() {
+    return Object.values(ExportFormats).filter(format => typeof format.build === 'function');
+}
+
+/**
+ * Default values of a format's options
+ * @param {string} formatId - Format id
+ * @returns {Object} - { optionId: value }
+ */
+export function getDefaultExportOptions(formatId) {
+    const format = ExportFormats[formatId];
+    if (!format) return {};
+
+    return Object.fromEntries(format.options.map(option => [
+        option.id,
+        typeof option.default === 'function' ? option.default() : option.default
+    ]));
+}
+
+/**
+ * Export a route in a registered format
+ * Options not given take their default from the format's schema.
+ * @param {Object} route - Route to export
+ * @param {string} formatId - Format id
+ * @param {Object} options - Format options
+ * @returns {Promise<string>} - File name
+ */
+export async function exportRoute(route, formatId, options = {}) {
+    const format = ExportFormats[formatId];
+    if (!format) {
+        throw new Error(`Formato de exportación desconocido: ${formatId}`);
+    }
+
+    return format.export(route, { ...getDefaultExportOptions(formatId), ...options });
+}
+
+/**
+ * Export several routes as one ZIP archive
+ * Each format gets a folder with one file per route, numbered in list order
+ * so routes with the same name don't collide. manifest.json describes every
+ * route and its files and index.html links to them. A route that fails in
+ * one format is recorded in the manifest instead of stopping the export.
+ * @param {Array} routes - Routes to export
+ * @param {Array} formatIds - Ids of formats with build()
+ * @param {Object} options - Options per format: { gpx: { includeRoutePoints }, ... }
+ * @returns {Promise<Object>} - { fileName, files: number of route files, errors }
+ */
+export async function exportRoutesAsZip(routes, formatIds, options = {}) {
+    const formats = formatIds.map(id => ExportFormats[id]).filter(format => format?.build);
+    if (!routes?.length) {
+        throw new Error('No hay rutas para exportar');
+    }
+    if (formats.length === 0) {
+        throw new Error('Selecciona al menos un formato');
+    }
+
+    const files = [];
+    const errors = [];
+    const manifestRoutes = [];
+    const digits = Math.max(2, String(routes.length).length);
+
+    for (const [index, route] of routes.entries()) {
+        const prefix = String(index + 1).padStart(digits, '0');
+        const entry = {
+            id: route.id ?? null,
+            name: route.name || 'Ruta sin nombre',
+            description: route.description || '',
+            waypoints: route.waypoints?.length || 0,
+            distance: route.distance || 0,
+            duration: route.duration || 0,
+            transportMode: route.transportMode || 'driving',
+            createdAt: route.createdAt || null,
+            files: {}
+        };
+
+        for (const format of formats) {
+            try {
+                const formatOptions = { ...getDefaultExportOptions(format.id), ...options[format.id] };
+                const { fileName, data } = await format.build(route, formatOptions);
+                const path = `${format.id}/${prefix}-${fileName.replace(/[\\/:*?"<>|]/g, '-')}`;
+                files.push({ name: path, data });
+                entry.files[format.id] = path;
+            } catch (error) {
+                console.error(`Error exporting "${entry.name}" as ${format.label}:`, error);
+                errors.push({ route: entry.name, format: format.id, message: error.message });
+                entry.files[format.id] = null;
+            }
+        }
+
+        manifestRoutes.push(entry);
+    }
+
+    const manifest = {
+        source: 'Iceland Geoportal',
+        exportDate: new Date().toISOString(),
+        formats: formats.map(format => ({ id: format.id, label: format.label, mime: format.mime })),
+        routes: manifestRoutes,
+        errors
+    };
+
+    const archive = await createZip([
+        { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+        { name: 'index.html', data: getManifestHtml(manifest) },
+        ...files
+    ]);
+
+    const fileName = `rutas-iceland-geoportal-${manifest.exportDate.slice(0, 10)}.zip`;
+    downloadFile(archive, fileName, 'application/zip');
+
+    return { fileName, files: files.length, errors };
+}
 
 /**
  * Generate PDF report using jsPDF
+ * The route map is drawn as vectors over the bundled coastline, so it is
+ * always fitted to the route and works offline.
+ * @param {Object} route - Route data
+ * @param {Object} options - { includeMap }
+ * @returns {Promise<string>} - File name
  */
 export async function exportToPDF(route, options = {}) {
+    const doc = await createPdfReport(route, options);
+    const fileName = `${getFileBaseName(route)}.pdf`;
+    doc.save(fileName);
+
+    return fileName;
+}
+
+/**
+ * Build the PDF report document
+ * @returns {Promise<Object>} - jsPDF document
+ */
+async function createPdfReport(route, options = {}) {
     const { jsPDF } = window.jspdf;
 
     // Create PDF document
@@ -103,6 +383,51 @@ export async function exportToPDF(route, options = {}) {
 
     yPos += 45;
 
+    // ==================== ELEVATION ====================
+    if (route.elevation?.profile?.length > 1) {
+        const { ascent, descent, maxGrade, minElevation, maxElevation, profile } = route.elevation;
+        const chartWidth = pageWidth - (margin * 2);
+        const chartHeight = 30;
+
+        doc.setFontSize(12);
+        doc.setTextColor(...textColor);
+        doc.setFont('helvetica', 'bold');
+        doc.text('Perfil de Elevación', margin, yPos);
+
+        doc.setFontSize(9);
+        doc.setTextColor(...mutedColor);
+        doc.setFont('helvetica', 'normal');
+        doc.text(
+            `Desnivel +${ascent} m / -${descent} m · Pendiente máx. ${maxGrade} % · Altitud ${minElevation}-${maxElevation} m`,
+            pageWidth - margin,
+            yPos,
+            { align: 'right' }
+        );
+        yPos += 5;
+
+        // Profile line scaled into the chart box
+        const totalDistance = profile[profile.length - 1][0] || 1;
+        const range = Math.max(maxElevation - minElevation, 10);
+        const toX = d => margin + (d / totalDistance) * chartWidth;
+        const toY = e => yPos + chartHeight - ((e - minElevation) / range) * chartHeight;
+
+        doc.setFillColor(248, 250, 252);
+        doc.rect(margin, yPos, chartWidth, chartHeight, 'F');
+        doc.setDrawColor(...primaryColor);
+        doc.setLineWidth(0.4);
+        for (let i = 1; i < profile.length; i++) {
+            doc.line(toX(profile[i - 1][0]), toY(profile[i - 1][1]), toX(profile[i][0]), toY(profile[i][1]));
+        }
+        doc.setLineWidth(0.2);
+
+        doc.setFontSize(7);
+        doc.text(`${maxElevation} m`, margin + 1, yPos + 3);
+        doc.text(`${minElevation} m`, margin + 1, yPos + chartHeight - 1);
+        doc.text(formatDistance(totalDistance), pageWidth - margin - 1, yPos + chartHeight - 1, { align: 'right' });
+
+        yPos += chartHeight + 12;
+    }
+
     // ==================== DESCRIPTION ====================
     if (route.description) {
         doc.setFontSize(12);
@@ -174,42 +499,72 @@ export async function exportToPDF(route, options = {}) {
         });
     }
 
-    // ==================== MAP CAPTURE ====================
-    if (options.includeMap && options.mapElement) {
-        try {
-            // Check if we need a new page for the map
-            if (yPos > pageHeight - 100) {
+    // ==================== DAY PLAN ====================
+    if (route.days && route.days.length > 1) {
+        if (yPos > pageHeight - 60) {
+            doc.addPage();
+            yPos = margin;
+        }
+
+        yPos += 5;
+        doc.setFontSize(12);
+        doc.setTextColor(...textColor);
+        doc.setFont('helvetica', 'bold');
+        doc.text('Plan por Días', margin, yPos);
+        yPos += 10;
+
+        route.days.forEach(day => {
+            if (yPos > pageHeight - 35) {
                 doc.addPage();
                 yPos = margin;
             }
 
-            yPos += 10;
-            doc.setFontSize(12);
-            doc.setTextColor(...textColor);
+            doc.setFontSize(11);
+            doc.setTextColor(...(day.overLimit ? [245, 158, 11] : primaryColor));
             doc.setFont('helvetica', 'bold');
-            doc.text('Mapa de la Ruta', margin, yPos);
-            yPos += 10;
+            doc.text(`Día ${day.number}`, margin, yPos);
 
-            const canvas = await html2canvas(options.mapElement, {
-                useCORS: true,
-                allowTaint: true,
-                scale: 2
-            });
+            doc.setFontSize(9);
+            doc.setTextColor(...mutedColor);
+            doc.setFont('helvetica', 'normal');
+            doc.text(
+                `${formatDistance(day.distance)} · ${formatDuration(day.drivingTime)} conducción · ${formatDuration(day.visitTime)} visitas`,
+                margin + 20,
+                yPos
+            );
+            yPos += 6;
 
-            const imgData = canvas.toDataURL('image/jpeg', 0.8);
-            const imgWidth = pageWidth - (margin * 2);
-            const imgHeight = (canvas.height / canvas.width) * imgWidth;
+            // Standard PDF fonts have no arrow glyph
+            const stops = getDayStops(route, day).join(' > ');
+            const stopLines = doc.splitTextToSize(stops, pageWidth - (margin * 2) - 20);
+            doc.setTextColor(...textColor);
+            doc.text(stopLines, margin + 20, yPos);
+            yPos += (stopLines.length * 4.5) + 6;
+        });
+    }
 
-            // Ensure map fits on page
-            const maxHeight = pageHeight - yPos - margin;
-            const finalHeight = Math.min(imgHeight, maxHeight);
-            const finalWidth = (finalHeight / imgHeight) * imgWidth;
+    // ==================== MAP ====================
+    if (options.includeMap && route.waypoints?.length > 0) {
+        const mapWidth = pageWidth - (margin * 2);
+        const mapHeight = getMapHeight([route], mapWidth, 80, pageHeight - (margin * 2) - 30);
 
-            doc.addImage(imgData, 'JPEG', margin, yPos, finalWidth, finalHeight);
-            yPos += finalHeight + 10;
-        } catch (error) {
-            console.error('Error capturing map:', error);
+        // Title, map and legend stay together on one page
+        if (yPos + mapHeight + 30 > pageHeight - margin) {
+            doc.addPage();
+            yPos = margin;
+        } else {
+            yPos += 10;
         }
+
+        doc.setFontSize(12);
+        doc.setTextColor(...textColor);
+        doc.setFont('helvetica', 'bold');
+        doc.text('Mapa de la Ruta', margin, yPos);
+        yPos += 5;
+
+        drawRouteMap(doc, [route], { x: margin, y: yPos, width: mapWidth, height: mapHeight });
+        yPos += mapHeight + 6;
+        yPos = drawMapLegend(doc, route, margin, yPos, mapWidth) + 6;
     }
 
     // ==================== FOOTER ====================
@@ -231,8 +586,426 @@ export async function exportToPDF(route, options = {}) {
         addFooter(i);
     }
 
-    // Save PDF
-    const fileName = `ruta-${(route.name || 'sin-nombre').toLowerCase().replace(/\s+/g, '-')}.pdf`;
+    return doc;
+}
+
+/**
+ * Generate a trip booklet PDF from several routes
+ * Cover, table of contents and an overview map of every route, then one
+ * section per route (and per day when the route is split into days) with a
+ * page for each stop. Page numbers link back to the table of contents;
+ * contents entries and PDF bookmarks link to their pages.
+ * @param {Array} routes - Saved routes, in booklet order
+ * @param {Object} options - { title }
+ * @returns {Promise<string>} - File name
+ */
+export async function exportBooklet(routes, options = {}) {
+    if (!routes?.length) {
+        throw new Error('Selecciona al menos una ruta para el cuaderno');
+    }
+
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({
+        orientation: 'portrait',
+        unit: 'mm',
+        format: 'a4'
+    });
+
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 20;
+    const contentWidth = pageWidth - (margin * 2);
+    const title = options.title?.trim() || 'Cuaderno de viaje';
+
+    // Colors
+    const primaryColor = [0, 102, 204];
+    const textColor = [30, 41, 59];
+    const mutedColor = [100, 116, 139];
+
+    const sections = routes.map((route, i) => ({
+        route,
+        color: hexToRgb(BOOKLET_ROUTE_COLORS[i % BOOKLET_ROUTE_COLORS.length]),
+        days: getBookletDays(route)
+    }));
+
+    // Table of contents entries: { level, title, page }
+    const entries = [];
+    const currentPage = () => doc.internal.getNumberOfPages();
+
+    const heading = (text, y, size = 16) => {
+        doc.setFontSize(size);
+        doc.setTextColor(...textColor);
+        doc.setFont('helvetica', 'bold');
+        doc.text(text, margin, y);
+    };
+
+    const sectionBand = (label, color) => {
+        doc.setFillColor(...color);
+        doc.rect(0, 0, pageWidth, 14, 'F');
+        doc.setFontSize(9);
+        doc.setTextColor(255, 255, 255);
+        doc.setFont('helvetica', 'normal');
+        doc.text(label, margin, 9);
+    };
+
+    const statsBox = (stats, y) => {
+        const colWidth = contentWidth / stats.length;
+        doc.setFillColor(248, 250, 252);
+        doc.roundedRect(margin, y, contentWidth, 22, 3, 3, 'F');
+
+        stats.forEach((stat, i) => {
+            const x = margin + (colWidth * i) + (colWidth / 2);
+            doc.setFontSize(7);
+            doc.setTextColor(...mutedColor);
+            doc.setFont('helvetica', 'normal');
+            doc.text(stat.label.toUpperCase(), x, y + 8, { align: 'center' });
+
+            doc.setFontSize(11);
+            doc.setTextColor(...textColor);
+            doc.setFont('helvetica', 'bold');
+            const value = doc.splitTextToSize(String(stat.value), colWidth - 4)[0];
+            doc.text(value, x, y + 16, { align: 'center' });
+        });
+
+        return y + 30;
+    };
+
+    const paragraph = (text, y, size = 10, color = textColor) => {
+        doc.setFontSize(size);
+        doc.setTextColor(...color);
+        doc.setFont('helvetica', 'normal');
+
+        const lines = doc.splitTextToSize(text, contentWidth);
+        lines.forEach(line => {
+            if (y > pageHeight - 25) {
+                doc.addPage();
+                y = margin;
+            }
+            doc.text(line, margin, y);
+            y += size * 0.5;
+        });
+
+        return y + 3;
+    };
+
+    // ==================== COVER ====================
+    const totals = routes.reduce((acc, route) => ({
+        stops: acc.stops + (route.waypoints?.length || 0),
+        distance: acc.distance + (route.distance || 0),
+        duration: acc.duration + (route.duration || 0)
+    }), { stops: 0, distance: 0, duration: 0 });
+
+    doc.setFillColor(...primaryColor);
+    doc.rect(0, 0, pageWidth, 120, 'F');
+
+    doc.setFontSize(12);
+    doc.setTextColor(255, 255, 255);
+    doc.setFont('helvetica', 'normal');
+    doc.text('Iceland Geoportal', margin, 30);
+
+    doc.setFontSize(30);
+    doc.setFont('helvetica', 'bold');
+    const titleLines = doc.splitTextToSize(title, contentWidth);
+    doc.text(titleLines, margin, 60);
+
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'normal');
+    doc.text(
+        `${routes.length} ${routes.length === 1 ? 'ruta' : 'rutas'} · ${totals.stops} paradas · ${formatDistance(totals.distance)} · ${formatDuration(totals.duration)}`,
+        margin,
+        60 + (titleLines.length * 12) + 4
+    );
+
+    let yPos = 140;
+    heading('Rutas', yPos, 14);
+    yPos += 10;
+
+    sections.forEach(({ route, color, days }) => {
+        if (yPos > pageHeight - 40) return;
+
+        doc.setFillColor(...color);
+        doc.circle(margin + 2, yPos - 1.5, 2, 'F');
+        doc.setFontSize(11);
+        doc.setTextColor(...textColor);
+        doc.setFont('helvetica', 'bold');
+        doc.text(route.name || 'Ruta sin nombre', margin + 8, yPos);
+
+        doc.setFontSize(9);
+        doc.setTextColor(...mutedColor);
+        doc.setFont('helvetica', 'normal');
+        doc.text(
+            `${route.waypoints?.length || 0} paradas · ${formatDistance(route.distance || 0)} · ${formatDuration(route.duration || 0)}${days.length > 1 ? ` · ${days.length} días` : ''}`,
+            margin + 8,
+            yPos + 5
+        );
+        yPos += 13;
+    });
+
+    doc.setFontSize(9);
+    doc.setTextColor(...mutedColor);
+    doc.text(
+        `Generado el ${new Date().toLocaleDateString('es-ES', { year: 'numeric', month: 'long', day: 'numeric' })}`,
+        margin,
+        pageHeight - 20
+    );
+
+    // ==================== TABLE OF CONTENTS ====================
+    // Pages are reserved now and filled in once every section's page is known
+    const tocLineHeight = 6.5;
+    const tocTop = margin + 20;
+    const tocCapacity = Math.floor((pageHeight - tocTop - 25) / tocLineHeight);
+    const tocLines = 1 + sections.reduce((sum, { route, days }) =>
+        sum + 1 + (days.length > 1 ? days.length : 0) + (route.waypoints?.length || 0), 0);
+    const tocStartPage = 2;
+    const tocPageCount = Math.max(1, Math.ceil(tocLines / tocCapacity));
+
+    for (let i = 0; i < tocPageCount; i++) {
+        doc.addPage();
+    }
+
+    // ==================== OVERVIEW MAP ====================
+    doc.addPage();
+    entries.push({ level: 0, title: 'Mapa general', page: currentPage() });
+    heading('Mapa general', margin + 5);
+
+    const overviewHeight = getMapHeight(routes, contentWidth, 100, pageHeight - (margin * 2) - 50);
+    drawRouteMap(doc, routes, { x: margin, y: margin + 12, width: contentWidth, height: overviewHeight }, {
+        colors: BOOKLET_ROUTE_COLORS
+    });
+
+    yPos = margin + 12 + overviewHeight + 8;
+    doc.setFontSize(9);
+    sections.forEach(({ route, color }) => {
+        if (yPos > pageHeight - 25) return;
+        doc.setDrawColor(...color);
+        doc.setLineWidth(1);
+        doc.line(margin, yPos - 1.2, margin + 8, yPos - 1.2);
+        doc.setTextColor(...textColor);
+        doc.setFont('helvetica', 'normal');
+        doc.text(route.name || 'Ruta sin nombre', margin + 11, yPos);
+        yPos += 5.5;
+    });
+
+    // ==================== ROUTE SECTIONS ====================
+    sections.forEach(({ route, color, days }) => {
+        const waypoints = route.waypoints || [];
+        const routeName = route.name || 'Ruta sin nombre';
+        const multiDay = days.length > 1;
+
+        doc.addPage();
+        entries.push({ level: 0, title: routeName, page: currentPage() });
+        sectionBand('Ruta', color);
+
+        heading(routeName, 32, 20);
+        yPos = 40;
+
+        if (route.description) {
+            yPos = paragraph(route.description, yPos, 10, mutedColor) + 2;
+        }
+
+        yPos = statsBox([
+            { label: 'Paradas', value: waypoints.length },
+            { label: 'Distancia', value: formatDistance(route.distance || 0) },
+            { label: 'Duración', value: formatDuration(route.duration || 0) },
+            { label: multiDay ? 'Días' : 'Transporte', value: multiDay ? days.length : getTransportName(route.transportMode) }
+        ], yPos);
+
+        const mapHeight = Math.min(
+            getMapHeight([route], contentWidth, 70, 150),
+            pageHeight - yPos - 30
+        );
+        if (mapHeight >= 50 && waypoints.length > 0) {
+            drawRouteMap(doc, [route], { x: margin, y: yPos, width: contentWidth, height: mapHeight });
+            yPos = drawMapLegend(doc, route, margin, yPos + mapHeight + 6, contentWidth) + 4;
+        }
+
+        // Days (or the whole route as a single stage)
+        const stages = multiDay ? days : [{ number: 1, startIndex: 0, endIndex: waypoints.length - 1 }];
+
+        stages.forEach(stage => {
+            const first = stage.number === 1 ? stage.startIndex : stage.startIndex + 1;
+            const stageLabel = multiDay ? `${routeName} · Día ${stage.number}` : routeName;
+
+            if (multiDay) {
+                doc.addPage();
+                entries.push({ level: 1, title: `Día ${stage.number}`, page: currentPage() });
+                sectionBand(routeName, color);
+
+                heading(`Día ${stage.number}`, 32, 20);
+                yPos = statsBox([
+                    { label: 'Distancia', value: formatDistance(stage.distance) },
+                    { label: 'Conducción', value: formatDuration(stage.drivingTime) },
+                    { label: 'Visitas', value: formatDuration(stage.visitTime) }
+                ], 40);
+
+                heading('Paradas', yPos, 12);
+                yPos += 8;
+
+                for (let index = stage.startIndex; index <= stage.endIndex; index++) {
+                    const wp = waypoints[index];
+                    const leg = route.legs?.[index];
+
+                    if (yPos > pageHeight - 30) {
+                        doc.addPage();
+                        sectionBand(routeName, color);
+                        yPos = 25;
+                    }
+
+                    doc.setFontSize(10);
+                    doc.setTextColor(...textColor);
+                    doc.setFont('helvetica', index < first ? 'normal' : 'bold');
+                    doc.text(`${index + 1}. ${wp.name || `Punto ${index + 1}`}`, margin, yPos);
+
+                    if (leg && index < stage.endIndex) {
+                        doc.setFontSize(8);
+                        doc.setTextColor(...mutedColor);
+                        doc.setFont('helvetica', 'normal');
+                        doc.text(`${formatDistance(leg.distance)} · ${formatDuration(leg.duration)}`, margin + 6, yPos + 4.5);
+                    }
+                    yPos += 10;
+                }
+            }
+
+            // One page per stop
+            for (let index = first; index <= stage.endIndex; index++) {
+                const wp = waypoints[index];
+                const poi = wp.custom ? null : getPoiById(wp.id);
+                const style = getWaypointStyle(wp);
+                const name = wp.name || `Punto ${index + 1}`;
+
+                doc.addPage();
+                entries.push({ level: multiDay ? 2 : 1, title: `${index + 1}. ${name}`, page: currentPage() });
+                sectionBand(stageLabel, color);
+
+                // Stop number in its category colour
+                doc.setFillColor(...hexToRgb(style.color));
+                doc.circle(margin + 6, 30, 6, 'F');
+                doc.setFontSize(12);
+                doc.setTextColor(255, 255, 255);
+                doc.setFont('helvetica', 'bold');
+                doc.text(String(index + 1), margin + 6, 31.5, { align: 'center' });
+
+                doc.setFontSize(20);
+                doc.setTextColor(...textColor);
+                doc.text(doc.splitTextToSize(name, contentWidth - 16)[0], margin + 16, 32);
+
+                doc.setFontSize(9);
+                doc.setTextColor(...mutedColor);
+                doc.setFont('helvetica', 'normal');
+                doc.text(`${wp.category || style.name} · ${formatCoordinates(wp.coordinates)}`, margin + 16, 38);
+
+                const visit = getVisitDuration(wp);
+                yPos = statsBox([
+                    { label: 'Visita', value: visit > 0 ? formatDuration(visit) : '-' },
+                    { label: 'Mejor época', value: poi?.bestSeason || '-' },
+                    { label: 'Categoría', value: style.name }
+                ], 46);
+
+                if (poi?.description) {
+                    heading('Descripción', yPos, 12);
+                    yPos = paragraph(poi.description, yPos + 7) + 4;
+                }
+
+                if (poi?.highlights?.length) {
+                    heading('Destacados', yPos, 12);
+                    yPos += 7;
+                    poi.highlights.forEach(highlight => {
+                        doc.setFillColor(...color);
+                        doc.circle(margin + 1.5, yPos - 1.2, 0.9, 'F');
+                        doc.setFontSize(10);
+                        doc.setTextColor(...textColor);
+                        doc.setFont('helvetica', 'normal');
+                        doc.text(highlight, margin + 6, yPos);
+                        yPos += 6;
+                    });
+                    yPos += 4;
+                }
+
+                if (wp.address) {
+                    heading('Ubicación', yPos, 12);
+                    yPos = paragraph(wp.address, yPos + 7) + 4;
+                }
+
+                if (wp.overnight || (multiDay && index === stage.endIndex && index < waypoints.length - 1)) {
+                    yPos = paragraph('Parada para pasar la noche.', yPos, 10, mutedColor);
+                }
+
+                // Next leg
+                const next = waypoints[index + 1];
+                const leg = route.legs?.[index];
+                doc.setDrawColor(226, 232, 240);
+                doc.setLineWidth(0.3);
+                doc.line(margin, pageHeight - 32, pageWidth - margin, pageHeight - 32);
+                doc.setFontSize(9);
+                doc.setTextColor(...mutedColor);
+                doc.setFont('helvetica', 'normal');
+                doc.text(
+                    next
+                        ? `Siguiente parada: ${index + 2}. ${next.name}${leg ? ` · ${formatDistance(leg.distance)} · ${formatDuration(leg.duration)}` : ''}`
+                        : 'Fin de la ruta',
+                    margin,
+                    pageHeight - 26
+                );
+            }
+        });
+    });
+
+    // ==================== FILL TABLE OF CONTENTS ====================
+    entries.forEach((entry, i) => {
+        const page = tocStartPage + Math.floor(i / tocCapacity);
+        const line = i % tocCapacity;
+        doc.setPage(page);
+
+        if (line === 0) {
+            heading(page === tocStartPage ? 'Índice' : 'Índice (cont.)', margin + 5);
+        }
+
+        const y = tocTop + (line * tocLineHeight);
+        const indent = entry.level * 6;
+        const pageLabel = String(entry.page);
+
+        doc.setFontSize(entry.level === 0 ? 11 : 10);
+        doc.setTextColor(...(entry.level === 0 ? textColor : mutedColor));
+        doc.setFont('helvetica', entry.level === 0 ? 'bold' : 'normal');
+
+        const labelWidth = doc.getTextWidth(pageLabel);
+        const text = doc.splitTextToSize(entry.title, contentWidth - indent - labelWidth - 10)[0];
+        doc.text(text, margin + indent, y);
+        doc.text(pageLabel, pageWidth - margin, y, { align: 'right' });
+
+        // Dotted leader between title and page number
+        doc.setDrawColor(203, 213, 225);
+        doc.setLineWidth(0.2);
+        doc.setLineDashPattern([0.4, 1], 0);
+        doc.line(margin + indent + doc.getTextWidth(text) + 2, y, pageWidth - margin - labelWidth - 2, y);
+        doc.setLineDashPattern([], 0);
+
+        doc.link(margin, y - 4.5, contentWidth, tocLineHeight, { pageNumber: entry.page });
+    });
+
+    // ==================== BOOKMARKS ====================
+    const parents = [];
+    entries.forEach(entry => {
+        parents[entry.level] = doc.outline.add(parents[entry.level - 1] || null, entry.title, { pageNumber: entry.page });
+    });
+
+    // ==================== FOOTER ====================
+    // Every page after the cover links back to the table of contents
+    const totalPages = doc.internal.getNumberOfPages();
+    for (let i = 2; i <= totalPages; i++) {
+        doc.setPage(i);
+        doc.setFontSize(8);
+        doc.setTextColor(...mutedColor);
+        doc.setFont('helvetica', 'normal');
+        doc.text(title, margin, pageHeight - 10);
+        doc.setTextColor(...primaryColor);
+        doc.textWithLink(`Página ${i} · Índice`, pageWidth - margin, pageHeight - 10, {
+            align: 'right',
+            pageNumber: tocStartPage
+        });
+    }
+
+    const fileName = `cuaderno-${title.toLowerCase().replace(/\s+/g, '-')}.pdf`;
     doc.save(fileName);
 
     return fileName;
@@ -240,8 +1013,26 @@ export async function exportToPDF(route, options = {}) {
 
 /**
  * Generate HTML report
+ * With `interactiveMap` the file embeds a small map renderer with the route,
+ * its stops and their POI popups, so it can be panned and zoomed offline.
+ * @param {Object} route - Route data
+ * @param {Object} options - { interactiveMap, tiles: load OpenStreetMap tiles when online }
+ * @returns {string} - File name
  */
 export function exportToHTML(route, options = {}) {
+    const fileName = `${getFileBaseName(route)}.html`;
+    downloadFile(routeToHTML(route, options), fileName, 'text/html;charset=utf-8');
+    return fileName;
+}
+
+/**
+ * Build the HTML report
+ * @param {Object} route - Route data
+ * @param {Object} options - { interactiveMap, tiles }
+ * @returns {string} - HTML document
+ */
+export function routeToHTML(route, options = {}) {
+    const interactiveMap = options.interactiveMap && route.waypoints?.length > 0;
     const stats = {
         points: route.waypoints?.length || 0,
         distance: formatDistance(route.distance || 0),
@@ -263,7 +1054,7 @@ export function exportToHTML(route, options = {}) {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${route.name || 'Ruta'} - Iceland Geoportal</title>
+    <title>${escapeHtml(route.name || 'Ruta')} - Iceland Geoportal</title>
     <style>
         * {
             margin: 0;
@@ -348,12 +1139,26 @@ export function exportToHTML(route, options = {}) {
             padding-bottom: 10px;
             border-bottom: 1px solid #e2e8f0;
         }
-        .description {
+        .elevation-stats {
+            display: flex;
+            gap: 20px;
+            font-size: 14px;
             color: #475569;
-            font-size: 15px;
+            margin-bottom: 10px;
         }
-        .waypoints-list {
-            list-style: none;
+        .elevation-stats strong {
+            color: #1e293b;
+        }
+        .elevation-svg {
+            width: 100%;
+            height: auto;
+        }
+        .description {
+            color: #475569;
+            font-size: 15px;
+        }
+        .waypoints-list {
+            list-style: none;
         }
         .waypoint-item {
             display: flex;
@@ -386,6 +1191,102 @@ export function exportToHTML(route, options = {}) {
             font-size: 13px;
             color: #64748b;
         }
+        .day-card {
+            padding: 15px;
+            border-left: 4px solid #0066cc;
+            background: #f8fafc;
+            border-radius: 0 8px 8px 0;
+            margin-bottom: 10px;
+        }
+        .day-card.over-limit {
+            border-left-color: #f59e0b;
+        }
+        .day-card h4 {
+            font-size: 15px;
+            font-weight: 600;
+        }
+        .day-card .day-stats {
+            font-size: 13px;
+            color: #64748b;
+            margin-bottom: 5px;
+        }
+        .day-card .day-stops {
+            font-size: 14px;
+        }
+        .trip-map {
+            position: relative;
+            height: 460px;
+            border-radius: 8px;
+            overflow: hidden;
+            background: #e0f2fe;
+            touch-action: none;
+        }
+        .trip-map canvas {
+            display: block;
+            cursor: grab;
+        }
+        .trip-map canvas:active {
+            cursor: grabbing;
+        }
+        .map-controls {
+            position: absolute;
+            top: 10px;
+            right: 10px;
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+        }
+        .map-controls button {
+            width: 32px;
+            height: 32px;
+            border: none;
+            border-radius: 6px;
+            background: white;
+            box-shadow: 0 1px 4px rgba(0,0,0,0.2);
+            font-size: 18px;
+            cursor: pointer;
+        }
+        .map-attribution {
+            position: absolute;
+            right: 0;
+            bottom: 0;
+            padding: 2px 6px;
+            background: rgba(255,255,255,0.8);
+            font-size: 11px;
+            color: #475569;
+        }
+        .map-popup {
+            position: absolute;
+            width: 260px;
+            max-height: 260px;
+            overflow-y: auto;
+            transform: translate(-50%, -100%);
+            padding: 12px 14px;
+            background: white;
+            border-radius: 8px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+            font-size: 13px;
+        }
+        .map-popup h4 {
+            font-size: 15px;
+        }
+        .map-popup-category {
+            font-size: 12px;
+            font-weight: 600;
+        }
+        .map-popup p {
+            margin: 6px 0;
+            color: #475569;
+        }
+        .map-popup ul {
+            margin: 0 0 6px 18px;
+        }
+        .map-popup small {
+            color: #64748b;
+        }
+        .waypoint-item[data-stop] {
+            cursor: pointer;
+        }
         .footer {
             text-align: center;
             padding: 20px;
@@ -416,7 +1317,7 @@ export function exportToHTML(route, options = {}) {
             <p>Informe de Ruta</p>
         </div>
         <div class="content">
-            <h2 class="route-title">${route.name || 'Ruta sin nombre'}</h2>
+            <h2 class="route-title">${escapeHtml(route.name || 'Ruta sin nombre')}</h2>
             <p class="route-date">Creada: ${dateStr}</p>
 
             <div class="stats-grid">
@@ -438,10 +1339,30 @@ export function exportToHTML(route, options = {}) {
                 </div>
             </div>
 
+            ${route.elevation?.profile?.length > 1 ? `
+            <div class="section">
+                <h3 class="section-title">Perfil de Elevación</h3>
+                <div class="elevation-stats">
+                    <span>Desnivel + <strong>${route.elevation.ascent} m</strong></span>
+                    <span>Desnivel − <strong>${route.elevation.descent} m</strong></span>
+                    <span>Pendiente máx. <strong>${route.elevation.maxGrade} %</strong></span>
+                    <span>Altitud <strong>${route.elevation.minElevation}–${route.elevation.maxElevation} m</strong></span>
+                </div>
+                ${renderElevationSvg(route.elevation.profile, { width: 720, height: 160 })}
+            </div>
+            ` : ''}
+
             ${route.description ? `
             <div class="section">
                 <h3 class="section-title">Descripción</h3>
-                <p class="description">${route.description}</p>
+                <p class="description">${escapeHtml(route.description)}</p>
+            </div>
+            ` : ''}
+
+            ${interactiveMap ? `
+            <div class="section">
+                <h3 class="section-title">Mapa de la Ruta</h3>
+                <div id="trip-map" class="trip-map"></div>
             </div>
             ` : ''}
 
@@ -449,43 +1370,57 @@ export function exportToHTML(route, options = {}) {
                 <h3 class="section-title">Paradas de la Ruta</h3>
                 <ul class="waypoints-list">
                     ${(route.waypoints || []).map((wp, i) => `
-                    <li class="waypoint-item">
+                    <li class="waypoint-item"${interactiveMap ? ` data-stop="${i}"` : ''}>
                         <span class="waypoint-number">${i + 1}</span>
                         <div class="waypoint-info">
-                            <h4>${wp.name || `Punto ${i + 1}`}</h4>
+                            <h4>${escapeHtml(wp.name || `Punto ${i + 1}`)}</h4>
                             <p>${wp.coordinates ? `${wp.coordinates[0].toFixed(4)}°N, ${Math.abs(wp.coordinates[1]).toFixed(4)}°W` : ''}</p>
                         </div>
                     </li>
                     `).join('')}
                 </ul>
             </div>
+
+            ${route.days && route.days.length > 1 ? `
+            <div class="section">
+                <h3 class="section-title">Plan por Días</h3>
+                ${route.days.map(day => `
+                <div class="day-card${day.overLimit ? ' over-limit' : ''}">
+                    <h4>Día ${day.number}</h4>
+                    <p class="day-stats">${formatDistance(day.distance)} · ${formatDuration(day.drivingTime)} conducción · ${formatDuration(day.visitTime)} visitas</p>
+                    <p class="day-stops">${getDayStops(route, day).map(escapeHtml).join(' → ')}</p>
+                </div>
+                `).join('')}
+            </div>
+            ` : ''}
         </div>
         <div class="footer">
             Generado por Iceland Geoportal | ${new Date().toLocaleDateString('es-ES')}
         </div>
     </div>
+    ${interactiveMap ? `<script>${getOfflineMapScript('trip-map', getOfflineMapData(route, options))}</script>` : ''}
 </body>
 </html>
 `;
 
-    // Download HTML file
-    const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `ruta-${(route.name || 'sin-nombre').toLowerCase().replace(/\s+/g, '-')}.html`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-
-    return link.download;
+    return html;
 }
 
 /**
  * Export route as JSON
  */
 export function exportToJSON(route) {
+    const fileName = `${getFileBaseName(route)}.json`;
+    downloadFile(routeToJSON(route), fileName, 'application/json');
+    return fileName;
+}
+
+/**
+ * Route in the app's JSON export envelope
+ * @param {Object} route - Route data
+ * @returns {string} - JSON text
+ */
+export function routeToJSON(route) {
     const exportData = {
         exportDate: new Date().toISOString(),
         source: 'Iceland Geoportal',
@@ -496,22 +1431,820 @@ export function exportToJSON(route) {
             distance: route.distance,
             duration: route.duration,
             transportMode: route.transportMode,
+            routeGeometry: route.routeGeometry,
+            legs: route.legs,
+            dayPlan: route.dayPlan,
+            days: route.days,
+            elevation: route.elevation,
+            tags: route.tags,
             createdAt: route.createdAt
         }
     };
 
-    const json = JSON.stringify(exportData, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `ruta-${(route.name || 'sin-nombre').toLowerCase().replace(/\s+/g, '-')}.json`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    return JSON.stringify(exportData, null, 2);
+}
+
+/**
+ * Build a GeoJSON FeatureCollection (RFC 7946) for a route
+ * One LineString feature carries the route and its leg stats; each stop is
+ * a Point feature with its position in the route and every POI property.
+ * @param {Object} route - Route with waypoints, legs and routeGeometry
+ * @returns {Object} - FeatureCollection
+ */
+export function routeToGeoJSON(route) {
+    const waypoints = route.waypoints || [];
+    const line = route.routeGeometry?.coordinates?.length > 1
+        ? route.routeGeometry.coordinates
+        : waypoints.map(wp => [wp.coordinates[1], wp.coordinates[0]]);
+
+    const routeFeature = {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: line },
+        properties: {
+            featureType: 'route',
+            name: route.name || 'Ruta',
+            description: route.description || '',
+            distance: route.distance || 0,
+            duration: route.duration || 0,
+            transportMode: route.transportMode || 'driving',
+            legs: (route.legs || []).map((leg, i) => ({
+                from: waypoints[i]?.name || '',
+                to: waypoints[i + 1]?.name || '',
+                distance: leg.distance,
+                duration: leg.duration
+            })),
+            dayPlan: route.dayPlan || null,
+            createdAt: route.createdAt || new Date().toISOString()
+        }
+    };
+
+    const pointFeatures = waypoints.map((wp, index) => {
+        const poi = wp.custom ? null : getPoiById(wp.id);
+        const { coordinates, ...waypointProps } = wp;
+        const { coordinates: poiCoordinates, id: poiId, category: categoryId, ...poiProps } = poi || {};
+
+        return {
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [coordinates[1], coordinates[0]] },
+            properties: {
+                featureType: 'waypoint',
+                order: index,
+                ...poiProps,
+                ...waypointProps,
+                poiId: poiId || null,
+                categoryId: categoryId || null,
+                legToNext: route.legs?.[index] ? {
+                    distance: route.legs[index].distance,
+                    duration: route.legs[index].duration
+                } : null
+            }
+        };
+    });
+
+    return {
+        type: 'FeatureCollection',
+        features: [routeFeature, ...pointFeatures]
+    };
+}
+
+/**
+ * Export route as a GeoJSON FeatureCollection (for QGIS and other GIS tools)
+ * @param {Object} route - Route data
+ * @returns {string} - File name
+ */
+export function exportToGeoJSON(route) {
+    const fileName = `${getFileBaseName(route)}.geojson`;
+    downloadFile(JSON.stringify(routeToGeoJSON(route), null, 2), fileName, 'application/geo+json');
+    return fileName;
+}
+
+/**
+ * Export route as GPX 1.1
+ * Waypoints are written as <wpt> (name + category), the routed line as <trk>
+ * and, optionally, the stops in order as <rte> for devices that navigate routes.
+ * @param {Object} route - Route with waypoints and routeGeometry (GeoJSON LineString)
+ * @param {Object} options - { includeRoutePoints }
+ * @returns {string} - File name
+ */
+export function exportToGPX(route, options = {}) {
+    const fileName = `${getFileBaseName(route)}.gpx`;
+    downloadFile(routeToGPX(route, options), fileName, 'application/gpx+xml');
+    return fileName;
+}
+
+/**
+ * Build a GPX 1.1 document for a route
+ * @param {Object} route - Route with waypoints and routeGeometry
+ * @param {Object} options - { includeRoutePoints }
+ * @returns {string} - GPX text
+ */
+export function routeToGPX(route, options = {}) {
+    const name = escapeXml(route.name || 'Ruta');
+    const waypoints = route.waypoints || [];
+    const coordinates = route.routeGeometry?.coordinates || [];
+
+    const wpts = waypoints.map(wp => `
+  <wpt lat="${wp.coordinates[0]}" lon="${wp.coordinates[1]}">
+    <name>${escapeXml(wp.name)}</name>${wp.category ? `
+    <type>${escapeXml(wp.category)}</type>` : ''}
+  </wpt>`).join('');
+
+    const rte = options.includeRoutePoints ? `
+  <rte>
+    <name>${name}</name>
+    ${waypoints.map(wp => `<rtept lat="${wp.coordinates[0]}" lon="${wp.coordinates[1]}"><name>${escapeXml(wp.name)}</name></rtept>`).join('\n    ')}
+  </rte>` : '';
+
+    // Without a routed line the track falls back to straight segments between stops
+    const trackPoints = coordinates.length > 1
+        ? coordinates.map(([lng, lat]) => [lat, lng])
+        : waypoints.map(wp => wp.coordinates);
+
+    const trk = trackPoints.length > 1 ? `
+  <trk>
+    <name>${name}</name>
+    <type>${route.transportMode || 'driving'}</type>
+    <trkseg>
+      ${trackPoints.map(([lat, lng]) => `<trkpt lat="${lat}" lon="${lng}"></trkpt>`).join('\n      ')}
+    </trkseg>
+  </trk>` : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Iceland Geoportal"
+  xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">
+  <metadata>
+    <name>${name}</name>${route.description ? `
+    <desc>${escapeXml(route.description)}</desc>` : ''}
+    <time>${new Date().toISOString()}</time>
+  </metadata>${wpts}${rte}${trk}
+</gpx>
+`;
+}
+
+/**
+ * Export route as KML for Google Earth / My Maps
+ * The route line uses the app's blue, stops are styled by category and their
+ * balloons show the POI description and highlights. With `kmz` the KML is
+ * zipped together with one icon image per category.
+ * @param {Object} route - Route with waypoints and routeGeometry (GeoJSON LineString)
+ * @param {Object} options - { kmz }
+ * @returns {Promise<string>} - File name
+ */
+export async function exportToKML(route, options = {}) {
+    const { fileName, data } = await buildKML(route, options);
+    downloadFile(data, fileName, options.kmz ? 'application/vnd.google-earth.kmz' : 'application/vnd.google-earth.kml+xml');
+    return fileName;
+}
+
+/**
+ * Build the KML document, or the KMZ archive with its icons
+ * @returns {Promise<Object>} - { fileName, data }
+ */
+async function buildKML(route, options = {}) {
+    const waypoints = route.waypoints || [];
+    const styles = [...categories, CUSTOM_POINT_STYLE];
+    const iconHref = (style) => options.kmz ? `files/icons/${style.id}.png` : KML_PIN_ICON;
+
+    const styleXml = styles.map(style => `
+    <Style id="cat-${style.id}">
+      <IconStyle>
+        <color>${options.kmz ? 'ffffffff' : toKmlColor(style.color)}</color>
+        <scale>1.1</scale>
+        <Icon><href>${iconHref(style)}</href></Icon>
+      </IconStyle>
+    </Style>`).join('');
+
+    const placemarks = waypoints.map((wp, index) => {
+        const poi = wp.custom ? null : getPoiById(wp.id);
+        const styleId = poi?.category || CUSTOM_POINT_STYLE.id;
+
+        return `
+      <Placemark>
+        <name>${index + 1}. ${escapeXml(wp.name)}</name>
+        <description><![CDATA[${getBalloonHtml(wp, poi)}]]></description>
+        <styleUrl>#cat-${styleId}</styleUrl>
+        <Point><coordinates>${wp.coordinates[1]},${wp.coordinates[0]},0</coordinates></Point>
+      </Placemark>`;
+    }).join('');
+
+    const line = route.routeGeometry?.coordinates?.length > 1
+        ? route.routeGeometry.coordinates
+        : waypoints.map(wp => [wp.coordinates[1], wp.coordinates[0]]);
+
+    const routePlacemark = line.length > 1 ? `
+    <Placemark>
+      <name>${escapeXml(route.name || 'Ruta')}</name>
+      <description>${formatDistance(route.distance || 0)} · ${formatDuration(route.duration || 0)} · ${getTransportName(route.transportMode)}</description>
+      <styleUrl>#route</styleUrl>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${line.map(([lng, lat]) => `${lng},${lat},0`).join(' ')}</coordinates>
+      </LineString>
+    </Placemark>` : '';
+
+    const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(route.name || 'Ruta')}</name>${route.description ? `
+    <description>${escapeXml(route.description)}</description>` : ''}
+    <Style id="route">
+      <LineStyle>
+        <color>${toKmlColor(ROUTE_COLOR, 'cc')}</color>
+        <width>5</width>
+      </LineStyle>
+    </Style>${styleXml}${routePlacemark}
+    <Folder>
+      <name>Paradas</name>${placemarks}
+    </Folder>
+  </Document>
+</kml>
+`;
+
+    const baseName = getFileBaseName(route);
+
+    if (!options.kmz) {
+        return { fileName: `${baseName}.kml`, data: kml };
+    }
+
+    // doc.kml has to be the first entry of a KMZ
+    const icons = await Promise.all(styles.map(async style => ({
+        name: `files/icons/${style.id}.png`,
+        data: await renderCategoryIcon(style)
+    })));
+    const kmz = await createZip([{ name: 'doc.kml', data: kml }, ...icons], 'application/vnd.google-earth.kmz');
+
+    return { fileName: `${baseName}.kmz`, data: kmz };
+}
+
+/**
+ * Build an iCalendar (RFC 5545) itinerary for a route
+ * Every stop is an event lasting its visit duration, with its coordinates in
+ * GEO and the POI description; every leg in between is a separate travel event.
+ * @param {Object} route - Route with waypoints, legs and dayPlan
+ * @param {Object} options - { start: Date or date string of the arrival at the first stop }
+ * @returns {string} - Calendar text
+ */
+export function routeToICS(route, options = {}) {
+    const start = options.start ? new Date(options.start) : new Date();
+    if (isNaN(start.getTime())) {
+        throw new Error('La fecha de inicio no es válida');
+    }
+
+    const waypoints = route.waypoints || [];
+    const { stops, legs } = scheduleRoute(route, start);
+    const stamp = toICSDate(new Date());
+    const uidBase = `${route.id || start.getTime()}-${Date.now().toString(36)}`;
+    const transport = getTransportName(route.transportMode);
+
+    const stopEvents = stops.map(({ index, waypoint: wp, day, arrival, departure, overnight }) => {
+        const poi = wp.custom ? null : getPoiById(wp.id);
+        const description = [
+            poi?.description,
+            poi?.highlights?.length ? poi.highlights.map(h => `- ${h}`).join('\n') : '',
+            wp.address,
+            departure > arrival ? `Visita: ${formatDuration((departure - arrival) / 1000)}` : '',
+            overnight ? 'Parada para pasar la noche' : ''
+        ].filter(Boolean).join('\n\n');
+
+        return [
+            'BEGIN:VEVENT',
+            `UID:${uidBase}-stop-${index}@iceland-geoportal`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${toICSDate(arrival)}`,
+            `DTEND:${toICSDate(departure)}`,
+            `SUMMARY:${escapeICS(`${index + 1}. ${wp.name}`)}`,
+            `LOCATION:${escapeICS(wp.address || wp.name)}`,
+            `GEO:${wp.coordinates[0].toFixed(6)};${wp.coordinates[1].toFixed(6)}`,
+            `DESCRIPTION:${escapeICS(description)}`,
+            `CATEGORIES:${escapeICS(wp.category || CUSTOM_POINT_STYLE.name)}`,
+            ...(route.dayPlan?.enabled ? [`COMMENT:${escapeICS(`Día ${day}`)}`] : []),
+            'END:VEVENT'
+        ];
+    });
+
+    const travelEvents = legs.map(({ index, departure, arrival, distance, duration }) => {
+        const from = waypoints[index];
+        const to = waypoints[index + 1];
+
+        return [
+            'BEGIN:VEVENT',
+            `UID:${uidBase}-travel-${index}@iceland-geoportal`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${toICSDate(departure)}`,
+            `DTEND:${toICSDate(arrival)}`,
+            `SUMMARY:${escapeICS(`Trayecto: ${from.name} → ${to.name}`)}`,
+            `LOCATION:${escapeICS(from.name)}`,
+            `GEO:${from.coordinates[0].toFixed(6)};${from.coordinates[1].toFixed(6)}`,
+            `DESCRIPTION:${escapeICS(`${transport}: ${formatDistance(distance)} · ${formatDuration(duration)}`)}`,
+            'CATEGORIES:TRAVEL',
+            'END:VEVENT'
+        ];
+    });
+
+    // Stops and travel interleaved in chronological order
+    const events = stopEvents.flatMap((event, i) => travelEvents[i] ? [event, travelEvents[i]] : [event]);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Iceland Geoportal//Rutas//ES',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICS(route.name || 'Ruta')}`,
+        ...events.flat(),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Export the route itinerary as an iCalendar file
+ * @param {Object} route - Route data
+ * @param {Object} options - { start }
+ * @returns {string} - File name
+ */
+export function exportToICS(route, options = {}) {
+    const fileName = `${getFileBaseName(route)}.ics`;
+    downloadFile(routeToICS(route, options), fileName, 'text/calendar');
+    return fileName;
+}
+
+/**
+ * Route, stops and coastline for the offline HTML map
+ */
+function getOfflineMapData(route, options) {
+    const round = value => Math.round(value * 1e5) / 1e5;
+
+    return {
+        line: getRouteLine(route).map(([lat, lng]) => [round(lat), round(lng)]),
+        stops: (route.waypoints || []).map(wp => {
+            const poi = wp.custom ? null : getPoiById(wp.id);
+            const visit = getVisitDuration(wp);
+
+            return {
+                name: wp.name,
+                coordinates: wp.coordinates,
+                color: getWaypointStyle(wp).color,
+                category: wp.category || getWaypointStyle(wp).name,
+                description: poi?.description || '',
+                highlights: poi?.highlights || [],
+                details: [
+                    visit > 0 ? `Visita: ${formatDuration(visit)}` : '',
+                    poi?.bestSeason ? `Mejor época: ${poi.bestSeason}` : '',
+                    wp.address || ''
+                ].filter(Boolean).join(' · ')
+            };
+        }),
+        coastline: icelandCoastline,
+        routeColor: ROUTE_COLOR,
+        tiles: options.tiles ? OFFLINE_MAP_TILES : null
+    };
+}
+
+// ==================== PDF MAP ====================
+
+// Map colours (RGB)
+const MAP_COLORS = {
+    sea: [224, 242, 254],
+    land: [241, 245, 236],
+    coast: [148, 163, 184],
+    text: [30, 41, 59]
+};
+
+/**
+ * Draw a map of one or more routes with jsPDF vector primitives
+ * The coastline, route lines and markers are projected into the box, fitted
+ * to the routes. A single route gets numbered category markers; several
+ * routes get one colour each from `options.colors`.
+ * @param {Object} doc - jsPDF document
+ * @param {Array} routes - Routes with waypoints and routeGeometry
+ * @param {Object} box - { x, y, width, height } in mm
+ * @param {Object} options - { colors: route colours (#rrggbb) }
+ */
+function drawRouteMap(doc, routes, box, options = {}) {
+    const colors = options.colors || [ROUTE_COLOR];
+    const lines = routes.map(getRouteLine);
+    const points = routes.flatMap((route, i) => [...lines[i], ...(route.waypoints || []).map(wp => wp.coordinates)]);
+    const { project, kmPerMm } = createMapProjection(points, box);
+
+    doc.saveGraphicsState();
+
+    // Everything outside the box is clipped away
+    doc.rect(box.x, box.y, box.width, box.height, null);
+    doc.clip();
+    doc.discardPath();
+
+    doc.setFillColor(...MAP_COLORS.sea);
+    doc.rect(box.x, box.y, box.width, box.height, 'F');
+
+    doc.setFillColor(...MAP_COLORS.land);
+    doc.setDrawColor(...MAP_COLORS.coast);
+    doc.setLineWidth(0.3);
+    drawPath(doc, icelandCoastline.map(project), 'FD', true);
+
+    // Route lines: white casing under the route colour
+    doc.setLineJoin('round');
+    doc.setLineCap('round');
+    lines.forEach((line, i) => {
+        doc.setDrawColor(255, 255, 255);
+        doc.setLineWidth(1.6);
+        drawPath(doc, line.map(project), 'S');
+        doc.setDrawColor(...hexToRgb(colors[i % colors.length]));
+        doc.setLineWidth(0.9);
+        drawPath(doc, line.map(project), 'S');
+    });
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(7);
+    doc.setDrawColor(255, 255, 255);
+
+    if (routes.length === 1) {
+        // Markers, numbered in route order
+        (routes[0].waypoints || []).forEach((wp, index) => {
+            const [x, y] = project(wp.coordinates);
+            doc.setFillColor(...hexToRgb(getWaypointStyle(wp).color));
+            doc.setLineWidth(0.5);
+            doc.circle(x, y, 2.8, 'FD');
+            doc.setTextColor(255, 255, 255);
+            doc.text(String(index + 1), x, y + 0.9, { align: 'center' });
+        });
+    } else {
+        routes.forEach((route, i) => {
+            doc.setFillColor(...hexToRgb(colors[i % colors.length]));
+            (route.waypoints || []).forEach(wp => {
+                const [x, y] = project(wp.coordinates);
+                doc.setLineWidth(0.4);
+                doc.circle(x, y, 1.6, 'FD');
+            });
+        });
+    }
+
+    drawScaleBar(doc, box, kmPerMm);
+
+    // North arrow
+    const nx = box.x + box.width - 8;
+    const ny = box.y + 6;
+    doc.setFillColor(...MAP_COLORS.text);
+    doc.triangle(nx, ny, nx - 2, ny + 5, nx + 2, ny + 5, 'F');
+    doc.setTextColor(...MAP_COLORS.text);
+    doc.setFontSize(7);
+    doc.text('N', nx, ny + 9, { align: 'center' });
+
+    doc.restoreGraphicsState();
+
+    doc.setDrawColor(...MAP_COLORS.coast);
+    doc.setLineWidth(0.2);
+    doc.rect(box.x, box.y, box.width, box.height, 'S');
+}
+
+/**
+ * Legend with the marker colour of every category on the route
+ * @returns {number} - Y position below the legend
+ */
+function drawMapLegend(doc, route, x, y, width) {
+    const styles = [];
+    (route.waypoints || []).forEach(wp => {
+        const style = getWaypointStyle(wp);
+        if (!styles.includes(style)) styles.push(style);
+    });
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(...MAP_COLORS.text);
+
+    let cx = x;
+    styles.forEach(style => {
+        const labelWidth = doc.getTextWidth(style.name) + 10;
+        if (cx + labelWidth > x + width) {
+            cx = x;
+            y += 5;
+        }
+        doc.setFillColor(...hexToRgb(style.color));
+        doc.circle(cx + 1.5, y - 1, 1.5, 'F');
+        doc.text(style.name, cx + 4.5, y);
+        cx += labelWidth;
+    });
+
+    return y;
+}
+
+/**
+ * Height a map of the routes needs at the given width, within limits
+ */
+function getMapHeight(routes, width, minHeight, maxHeight) {
+    const points = routes.flatMap(route => [...getRouteLine(route), ...(route.waypoints || []).map(wp => wp.coordinates)]);
+    const { spanX, spanY } = getMapSpans(points);
+    return Math.min(maxHeight, Math.max(minHeight, width * (spanY / spanX)));
+}
+
+/**
+ * Route line as [lat, lng] points, or straight lines between stops
+ */
+function getRouteLine(route) {
+    const coordinates = route.routeGeometry?.coordinates || [];
+    return coordinates.length > 1
+        ? coordinates.map(([lng, lat]) => [lat, lng])
+        : (route.waypoints || []).map(wp => wp.coordinates);
+}
+
+/**
+ * Padded extent of a set of points in projected degrees
+ */
+function getMapSpans(points, padding = 0.12) {
+    const lats = points.map(([lat]) => lat);
+    const lngs = points.map(([, lng]) => lng);
+    const minLat = Math.min(...lats);
+    const maxLat = Math.max(...lats);
+    const minLng = Math.min(...lngs);
+    const maxLng = Math.max(...lngs);
+
+    // Longitude degrees shrink towards the pole
+    const cosLat = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+
+    return {
+        cosLat,
+        centerX: ((minLng + maxLng) / 2) * cosLat,
+        centerY: (minLat + maxLat) / 2,
+        // A minimum span keeps short routes from zooming in too far
+        spanX: Math.max((maxLng - minLng) * cosLat, 0.15) * (1 + padding * 2),
+        spanY: Math.max(maxLat - minLat, 0.15) * (1 + padding * 2)
+    };
+}
+
+/**
+ * Projection from [lat, lng] to page coordinates fitting the points in the box
+ * @returns {Object} - { project([lat, lng]) => [x, y], kmPerMm }
+ */
+function createMapProjection(points, box) {
+    const { cosLat, centerX, centerY, spanX, spanY } = getMapSpans(points);
+    const scale = Math.min(box.width / spanX, box.height / spanY);
+    const midX = box.x + box.width / 2;
+    const midY = box.y + box.height / 2;
+
+    return {
+        project: ([lat, lng]) => [
+            midX + (lng * cosLat - centerX) * scale,
+            midY - (lat - centerY) * scale
+        ],
+        kmPerMm: 111.32 / scale
+    };
+}
+
+/**
+ * Draw a polyline or polygon, skipping points closer than a fraction of a millimetre
+ */
+function drawPath(doc, points, style, closed = false) {
+    const deltas = [];
+    let [lastX, lastY] = points[0];
+
+    points.slice(1).forEach(([x, y], i) => {
+        const isLast = i === points.length - 2;
+        if (!isLast && Math.hypot(x - lastX, y - lastY) < 0.2) return;
+        deltas.push([x - lastX, y - lastY]);
+        lastX = x;
+        lastY = y;
+    });
+
+    if (deltas.length > 0) {
+        doc.lines(deltas, points[0][0], points[0][1], [1, 1], style, closed);
+    }
+}
+
+/**
+ * Scale bar in the bottom-left corner, rounded to 1, 2 or 5 x 10^n km
+ */
+function drawScaleBar(doc, box, kmPerMm) {
+    const target = kmPerMm * box.width / 5;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(target)));
+    const km = [5, 2, 1].map(f => f * magnitude).find(value => value <= target) || magnitude;
+    const length = km / kmPerMm;
+
+    const x = box.x + 5;
+    const y = box.y + box.height - 5;
+
+    doc.setDrawColor(...MAP_COLORS.text);
+    doc.setLineWidth(0.4);
+    doc.line(x, y, x + length, y);
+    doc.line(x, y - 1.2, x, y);
+    doc.line(x + length, y - 1.2, x + length, y);
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7);
+    doc.setTextColor(...MAP_COLORS.text);
+    doc.text(`${km >= 1 ? km : km.toFixed(1)} km`, x + length / 2, y - 1.8, { align: 'center' });
+}
+
+/**
+ * Marker style (colour, icon, name) of a waypoint's category
+ */
+function getWaypointStyle(wp) {
+    const poi = wp.custom ? null : getPoiById(wp.id);
+    return categories.find(c => c.id === poi?.category) || CUSTOM_POINT_STYLE;
+}
 
-    return link.download;
+/**
+ * Convert #rrggbb to [r, g, b]
+ */
+function hexToRgb(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Balloon HTML for a KML placemark
+ */
+function getBalloonHtml(wp, poi) {
+    const parts = [`<p><strong>${escapeXml(wp.category || CUSTOM_POINT_STYLE.name)}</strong></p>`];
+
+    if (poi?.description) {
+        parts.push(`<p>${escapeXml(poi.description)}</p>`);
+    }
+    if (poi?.highlights?.length) {
+        parts.push(`<ul>${poi.highlights.map(h => `<li>${escapeXml(h)}</li>`).join('')}</ul>`);
+    }
+    if (wp.address) {
+        parts.push(`<p>${escapeXml(wp.address)}</p>`);
+    }
+    if (wp.visitDuration) {
+        parts.push(`<p>Visita: ${formatDuration(wp.visitDuration * 60)}</p>`);
+    }
+
+    return parts.join('');
+}
+
+/**
+ * Draw a category marker (coloured circle with its emoji) as a PNG
+ */
+function renderCategoryIcon(style, size = 64) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+
+    const ctx = canvas.getContext('2d');
+    ctx.beginPath();
+    ctx.arc(size / 2, size / 2, size / 2 - 3, 0, Math.PI * 2);
+    ctx.fillStyle = style.color;
+    ctx.fill();
+    ctx.lineWidth = 4;
+    ctx.strokeStyle = '#ffffff';
+    ctx.stroke();
+
+    ctx.font = `${Math.round(size * 0.5)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(style.icon, size / 2, size / 2 + 2);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('No se pudo generar el icono')), 'image/png');
+    });
+}
+
+/**
+ * Convert #rrggbb to KML's aabbggrr
+ */
+function toKmlColor(hex, alpha = 'ff') {
+    const [r, g, b] = [hex.slice(1, 3), hex.slice(3, 5), hex.slice(5, 7)];
+    return `${alpha}${b}${g}${r}`.toLowerCase();
+}
+
+/**
+ * File name without extension for a route export
+ */
+function getFileBaseName(route) {
+    return `ruta-${(route.name || 'sin-nombre').toLowerCase().replace(/\s+/g, '-')}`;
+}
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * UTC date-time in iCalendar format (20250614T090000Z)
+ */
+function toICSDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape text for an iCalendar property value
+ */
+function escapeICS(text) {
+    return String(text ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold an iCalendar line at 75 octets without splitting UTF-8 characters
+ */
+function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+        const charSize = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts towards the limit
+        const limit = parts.length === 0 ? 75 : 74;
+        if (size + charSize > limit) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Default calendar start: tomorrow at 9:00, as a datetime-local value
+ */
+function getDefaultStart() {
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const pad = value => String(value).padStart(2, '0');
+    return `${tomorrow.getFullYear()}-${pad(tomorrow.getMonth() + 1)}-${pad(tomorrow.getDate())}T09:00`;
+}
+
+/**
+ * Index page of a batch export, linking to every file
+ */
+function getManifestHtml(manifest) {
+    const rows = manifest.routes.map(route => `
+            <tr>
+                <td><strong>${escapeHtml(route.name)}</strong>${route.description ? `<br><small>${escapeHtml(route.description)}</small>` : ''}</td>
+                <td>${route.waypoints}</td>
+                <td>${formatDistance(route.distance)}</td>
+                <td>${formatDuration(route.duration)}</td>
+                <td>${manifest.formats.map(format => route.files[format.id]
+                    ? `<a href="${escapeHtml(encodeURI(route.files[format.id]))}">${escapeHtml(format.label)}</a>`
+                    : `<span class="error">${escapeHtml(format.label)}</span>`).join(' · ')}</td>
+            </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Rutas exportadas - Iceland Geoportal</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1e293b; max-width: 960px; margin: 0 auto; padding: 40px 20px; }
+        h1 { color: #0066cc; margin-bottom: 4px; }
+        p { color: #64748b; margin-top: 0; }
+        table { width: 100%; border-collapse: collapse; font-size: 14px; }
+        th, td { text-align: left; padding: 10px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+        th { font-size: 12px; text-transform: uppercase; color: #64748b; }
+        a { color: #0066cc; }
+        small { color: #64748b; }
+        .error { color: #ef4444; text-decoration: line-through; }
+    </style>
+</head>
+<body>
+    <h1>Rutas exportadas</h1>
+    <p>${manifest.routes.length} rutas · ${new Date(manifest.exportDate).toLocaleDateString('es-ES')}</p>
+    <table>
+        <thead>
+            <tr><th>Ruta</th><th>Puntos</th><th>Distancia</th><th>Duración</th><th>Archivos</th></tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Days of a route for the booklet: the saved plan, or a fresh one when only the settings were kept
+ */
+function getBookletDays(route) {
+    if (route.days?.length) return route.days;
+    return route.dayPlan?.enabled && route.waypoints?.length > 1 ? planDays(route, route.dayPlan) : [];
+}
+
+/**
+ * Names of the stops of one day, overnight stops included
+ */
+function getDayStops(route, day) {
+    return (route.waypoints || [])
+        .slice(day.startIndex, day.endIndex + 1)
+        .map((wp, i) => wp.name || `Punto ${day.startIndex + i + 1}`);
 }
 
 /**
@@ -527,7 +2260,23 @@ function getTransportName(mode) {
 }
 
 export default {
+    ExportFormats,
+    registerExportFormat,
+    getDefaultExportOptions,
+    exportRoute,
+    getBatchExportFormats,
+    exportRoutesAsZip,
     exportToPDF,
+    exportBooklet,
     exportToHTML,
-    exportToJSON
+    routeToHTML,
+    exportToJSON,
+    routeToJSON,
+    exportToGPX,
+    routeToGPX,
+    exportToKML,
+    routeToGeoJSON,
+    exportToGeoJSON,
+    routeToICS,
+    exportToICS
 };
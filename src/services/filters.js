@@ -0,0 +1,176 @@
+/**
+ * POI Filter Engine for Iceland Geoportal
+ * Combines category, search, season, visit duration and map bounds criteria
+ * into a single predicate so the map, the sidebar list and the counters all
+ * work from the same result.
+ */
+
+import { matchesSearch, searchPois } from '../data/pois.js';
+
+/**
+ * Seasons with the months (1-12) they cover in Iceland
+ */
+export const Seasons = {
+    spring: { id: 'spring', name: 'Primavera', months: [4, 5] },
+    summer: { id: 'summer', name: 'Verano', months: [6, 7, 8] },
+    autumn: { id: 'autumn', name: 'Otoño', months: [9, 10] },
+    winter: { id: 'winter', name: 'Invierno', months: [11, 12, 1, 2, 3] }
+};
+
+/**
+ * Visit duration ranges in minutes
+ */
+export const VisitDurations = {
+    short: { id: 'short', name: 'Hasta 45 min', min: 0, max: 45 },
+    medium: { id: 'medium', name: '45 min - 2 h', min: 46, max: 120 },
+    long: { id: 'long', name: 'Más de 2 h', min: 121, max: Infinity }
+};
+
+/**
+ * Empty criteria: everything passes
+ * An empty `categories` list means all categories.
+ */
+export const DEFAULT_FILTERS = {
+    categories: [],
+    query: '',
+    season: 'any',
+    duration: 'any',
+    bounds: null // [[south, west], [north, east]]
+};
+
+const MONTH_NAMES = [
+    'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
+    'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'
+];
+
+/**
+ * Individual criteria, each `(poi, criteria) => boolean`
+ * Add new criteria here to make them part of every filter.
+ */
+const CRITERIA = {
+    categories: (poi, { categories }) => categories.length === 0 || categories.includes(poi.category),
+    query: (poi, { query }) => matchesSearch(poi, query),
+    season: (poi, { season }) => {
+        const months = Seasons[season]?.months;
+        return !months || getSeasonMonths(poi.bestSeason).some(month => months.includes(month));
+    },
+    duration: (poi, { duration }) => {
+        const range = VisitDurations[duration];
+        return !range || (poi.visitDuration >= range.min && poi.visitDuration <= range.max);
+    },
+    bounds: (poi, { bounds }) => {
+        if (!bounds) return true;
+        const [[south, west], [north, east]] = bounds;
+        const [lat, lng] = poi.coordinates;
+        return lat >= south && lat <= north && lng >= west && lng <= east;
+    }
+};
+
+/**
+ * Build a predicate for the given criteria
+ * @param {Object} criteria - Partial filter criteria (see DEFAULT_FILTERS)
+ * @param {Array} ignore - Criteria names to leave out, e.g. ['categories']
+ * @returns {Function} - (poi) => boolean
+ */
+export function createPoiFilter(criteria = {}, ignore = []) {
+    const full = { ...DEFAULT_FILTERS, ...criteria };
+    const active = Object.entries(CRITERIA)
+        .filter(([name]) => !ignore.includes(name))
+        .map(([, test]) => test);
+
+    return (poi) => active.every(test => test(poi, full));
+}
+
+/**
+ * Filter a POI list
+ * With a search query the result is ordered by relevance.
+ * @param {Array} poiList - POIs
+ * @param {Object} criteria - Filter criteria
+ * @returns {Array} - Matching POIs
+ */
+export function filterPois(poiList, criteria = {}) {
+    const query = (criteria.query || '').trim();
+    if (!query) return poiList.filter(createPoiFilter(criteria));
+
+    const candidates = new Set(poiList);
+    const test = createPoiFilter(criteria, ['query']);
+    return searchPois(query).filter(poi => candidates.has(poi) && test(poi));
+}
+
+/**
+ * Count POIs per category under every criterion except the category one,
+ * so chips show how many results selecting them would add
+ * @param {Array} poiList - POIs
+ * @param {Object} criteria - Filter criteria
+ * @returns {Object} - { all, [categoryId]: count }
+ */
+export function countByCategory(poiList, criteria = {}) {
+    const matches = poiList.filter(createPoiFilter(criteria, ['categories']));
+    const counts = { all: matches.length };
+
+    matches.forEach(poi => {
+        counts[poi.category] = (counts[poi.category] || 0) + 1;
+    });
+
+    return counts;
+}
+
+/**
+ * Check whether any criterion narrows the result
+ * @param {Object} criteria - Filter criteria
+ * @returns {boolean}
+ */
+export function hasActiveFilters(criteria = {}) {
+    const full = { ...DEFAULT_FILTERS, ...criteria };
+    return full.categories.length > 0 ||
+        full.query.trim() !== '' ||
+        full.season !== 'any' ||
+        full.duration !== 'any' ||
+        full.bounds !== null;
+}
+
+/**
+ * Months (1-12) covered by a free-text best season
+ * Understands "Todo el año", "Verano", "Invierno..." and month ranges
+ * such as "Junio-Septiembre". Unknown text counts as all year.
+ * @param {string} bestSeason - POI bestSeason text
+ * @returns {Array} - Month numbers
+ */
+export function getSeasonMonths(bestSeason = '') {
+    const text = bestSeason.toLowerCase();
+    const all = Array.from({ length: 12 }, (_, i) => i + 1);
+
+    if (!text || text.includes('todo el año')) return all;
+
+    const seasonMatch = Object.values(Seasons).find(season => text.startsWith(season.name.toLowerCase()));
+    if (seasonMatch) return seasonMatch.months;
+
+    const found = MONTH_NAMES
+        .map((name, i) => ({ month: i + 1, index: text.indexOf(name) }))
+        .filter(m => m.index >= 0)
+        .sort((a, b) => a.index - b.index)
+        .map(m => m.month);
+
+    if (found.length === 0) return all;
+    if (found.length === 1) return found;
+
+    // Range "from-to", wrapping over the new year
+    const [from, to] = found;
+    const months = [];
+    for (let m = from; ; m = (m % 12) + 1) {
+        months.push(m);
+        if (m === to) break;
+    }
+    return months;
+}
+
+export default {
+    Seasons,
+    VisitDurations,
+    DEFAULT_FILTERS,
+    createPoiFilter,
+    filterPois,
+    countByCategory,
+    hasActiveFilters,
+    getSeasonMonths
+};
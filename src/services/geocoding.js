@@ -0,0 +1,257 @@
+/**
+ * Geocoding Service for Iceland Geoportal
+ * Reverse geocodes custom waypoints through a pluggable provider and parses
+ * coordinates typed into the search box.
+ *
+ * A provider is { id, name, defaultBaseUrl, reverse(latlng, config) } where
+ * `reverse` resolves to { name, address }. The built-in `local` provider works
+ * offline from the bundled POIs, so it doubles as a stub for development.
+ */
+
+import { SettingsService } from './database.js';
+import { haversineDistance } from './routing.js';
+import { pois } from '../data/pois.js';
+
+// Settings key under which the geocoding configuration is persisted
+const GEOCODING_SETTINGS_KEY = 'geocoding';
+
+// The local geocoder names a point after a POI closer than this (km)
+const NEARBY_POI_RADIUS = 15;
+
+/**
+ * Geocoding provider definitions
+ * Add entries with registerGeocodingProvider() to plug in other services.
+ */
+export const GeocodingProviders = {
+    local: {
+        id: 'local',
+        name: 'Local (sin conexión)',
+        defaultBaseUrl: '',
+        reverse: reverseWithLocal
+    },
+    nominatim: {
+        id: 'nominatim',
+        name: 'Nominatim (OpenStreetMap)',
+        defaultBaseUrl: 'https://nominatim.openstreetmap.org',
+        reverse: reverseWithNominatim
+    }
+};
+
+const DEFAULT_GEOCODING_CONFIG = {
+    provider: 'local',
+    baseUrl: ''
+};
+
+let geocodingConfig = { ...DEFAULT_GEOCODING_CONFIG };
+
+/**
+ * Register a geocoding provider
+ * @param {Object} provider - { id, name, defaultBaseUrl, reverse(latlng, config) }
+ */
+export function registerGeocodingProvider(provider) {
+    if (!provider?.id || typeof provider.reverse !== 'function') {
+        throw new Error('Un proveedor de geocodificación necesita id y reverse()');
+    }
+    GeocodingProviders[provider.id] = { defaultBaseUrl: '', name: provider.id, ...provider };
+}
+
+/**
+ * Get the active geocoding configuration
+ * @returns {Object} - { provider, baseUrl }
+ */
+export function getGeocodingConfig() {
+    return { ...geocodingConfig };
+}
+
+/**
+ * Set the active geocoding configuration (not persisted)
+ * Unknown providers fall back to the local geocoder.
+ * @param {Object} config - { provider, baseUrl }
+ * @returns {Object} - The active configuration
+ */
+export function setGeocodingConfig(config = {}) {
+    const provider = GeocodingProviders[config.provider] ? config.provider : DEFAULT_GEOCODING_CONFIG.provider;
+
+    geocodingConfig = {
+        provider,
+        baseUrl: config.baseUrl?.trim() || GeocodingProviders[provider].defaultBaseUrl
+    };
+
+    return getGeocodingConfig();
+}
+
+/**
+ * Load the saved geocoding configuration from IndexedDB
+ * @returns {Promise<Object>} - The active configuration
+ */
+export async function loadGeocodingConfig() {
+    const stored = await SettingsService.get(GEOCODING_SETTINGS_KEY, DEFAULT_GEOCODING_CONFIG);
+    return setGeocodingConfig(stored);
+}
+
+/**
+ * Persist and activate a geocoding configuration
+ * @param {Object} config - { provider, baseUrl }
+ * @returns {Promise<Object>} - The active configuration
+ */
+export async function saveGeocodingConfig(config) {
+    const active = setGeocodingConfig(config);
+    await SettingsService.set(GEOCODING_SETTINGS_KEY, active);
+    return active;
+}
+
+/**
+ * Get a label for a point using the active provider
+ * Falls back to the local geocoder when the provider fails.
+ * @param {Array} latlng - [lat, lng]
+ * @returns {Promise<Object>} - { name, address }
+ */
+export async function reverseGeocode(latlng) {
+    const provider = GeocodingProviders[geocodingConfig.provider];
+
+    if (provider && provider.id !== 'local') {
+        try {
+            const result = await provider.reverse(latlng, geocodingConfig);
+            if (result?.name) return result;
+        } catch (error) {
+            console.error(`Error reverse geocoding with ${provider.name}:`, error);
+        }
+    }
+
+    return reverseWithLocal(latlng);
+}
+
+/**
+ * Parse coordinates typed by the user
+ * Accepts decimal degrees ("64.1466, -21.9426") and degrees/minutes/seconds
+ * with hemisphere letters ("64°08'48\"N 21°56'33\"W", O for oeste).
+ * @param {string} text - Input text
+ * @returns {Array|null} - [lat, lng] or null when the text isn't coordinates
+ */
+export function parseCoordinates(text) {
+    const input = (text || '').trim().toUpperCase();
+    if (!input) return null;
+
+    // Decimal degrees, optionally with hemisphere letters
+    const decimal = input.match(/^(-?\d{1,2}(?:\.\d+)?)\s*°?\s*([NS])?\s*[,;\s]\s*(-?\d{1,3}(?:\.\d+)?)\s*°?\s*([EWO])?$/);
+    if (decimal) {
+        return validCoordinates(
+            signed(parseFloat(decimal[1]), decimal[2]),
+            signed(parseFloat(decimal[3]), decimal[4])
+        );
+    }
+
+    // Degrees, minutes and seconds: both parts need a hemisphere letter
+    const part = String.raw`(\d{1,3})\s*°\s*(?:(\d{1,2}(?:\.\d+)?)\s*['′]\s*)?(?:(\d{1,2}(?:\.\d+)?)\s*["″]\s*)?`;
+    const dms = input.match(new RegExp(`^${part}([NS])\\s*[,;]?\\s*${part}([EWO])$`));
+    if (dms) {
+        const toDegrees = (d, m, s) => parseFloat(d) + (parseFloat(m) || 0) / 60 + (parseFloat(s) || 0) / 3600;
+        return validCoordinates(
+            signed(toDegrees(dms[1], dms[2], dms[3]), dms[4]),
+            signed(toDegrees(dms[5], dms[6], dms[7]), dms[8])
+        );
+    }
+
+    return null;
+}
+
+/**
+ * Format coordinates for labels
+ * @param {Array} latlng - [lat, lng]
+ * @returns {string} - e.g. "64.1466° N, 21.9426° O"
+ */
+export function formatCoordinates([lat, lng]) {
+    return `${Math.abs(lat).toFixed(4)}° ${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lng).toFixed(4)}° ${lng >= 0 ? 'E' : 'O'}`;
+}
+
+// ==================== PROVIDERS ====================
+
+/**
+ * Offline geocoder: names the point after the nearest POI
+ */
+async function reverseWithLocal(latlng) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    pois.forEach(poi => {
+        const distance = haversineDistance(latlng, poi.coordinates);
+        if (distance < nearestDistance) {
+            nearest = poi;
+            nearestDistance = distance;
+        }
+    });
+
+    const coordinates = formatCoordinates(latlng);
+
+    if (nearest && nearestDistance <= NEARBY_POI_RADIUS) {
+        return {
+            name: `Cerca de ${nearest.name}`,
+            address: `${coordinates} · ${nearestDistance.toFixed(1)} km de ${nearest.name}`
+        };
+    }
+
+    return { name: `Punto ${coordinates}`, address: coordinates };
+}
+
+/**
+ * Nominatim reverse geocoding
+ * Docs: https://nominatim.org/release-docs/latest/api/Reverse/
+ */
+async function reverseWithNominatim([lat, lng], config) {
+    const params = new URLSearchParams({
+        format: 'jsonv2',
+        lat,
+        lon: lng,
+        zoom: 16,
+        'accept-language': 'es'
+    });
+
+    const response = await fetch(`${config.baseUrl}/reverse?${params}`);
+    if (!response.ok) {
+        throw new Error(`Error del servidor de geocodificación: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data.error) {
+        throw new Error(data.error);
+    }
+
+    const address = data.address || {};
+    const place = address.village || address.town || address.city || address.hamlet || address.municipality;
+    const name = data.name || address.road || place;
+
+    return {
+        name: name && place && name !== place ? `${name}, ${place}` : name || data.display_name,
+        address: data.display_name || ''
+    };
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Apply a hemisphere letter to a coordinate
+ */
+function signed(value, hemisphere) {
+    return hemisphere === 'S' || hemisphere === 'W' || hemisphere === 'O' ? -Math.abs(value) : value;
+}
+
+/**
+ * Return [lat, lng] when both values are in range
+ */
+function validCoordinates(lat, lng) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return [lat, lng];
+}
+
+export default {
+    GeocodingProviders,
+    registerGeocodingProvider,
+    getGeocodingConfig,
+    setGeocodingConfig,
+    loadGeocodingConfig,
+    saveGeocodingConfig,
+    reverseGeocode,
+    parseCoordinates,
+    formatCoordinates
+};
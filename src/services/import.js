@@ -0,0 +1,527 @@
+/**
+ * Import Service for Iceland Geoportal
+ * Reads route files (GPX, GeoJSON) written by GPS units, GIS tools and
+ * other apps, and the app's own JSON exports and backups, and stores them
+ * as saved routes. Imported GPX/GeoJSON points near a known POI become
+ * that POI.
+ */
+
+import { RouteService } from './database.js';
+import { haversineDistance, TransportModes } from './routing.js';
+import { formatCoordinates } from './geocoding.js';
+import { pois, getCategoryById, getPoiById } from '../data/pois.js';
+import { generateId } from '../utils/helpers.js';
+
+// Imported points closer than this to a POI are matched to it (km)
+export const POI_MATCH_TOLERANCE = 0.5;
+
+// File formats recognised by detectImportFormat()
+export const ImportFormats = {
+    gpx: 'GPX',
+    geojson: 'GeoJSON',
+    envelope: 'Ruta exportada (JSON)',
+    route: 'Ruta guardada (JSON)',
+    backup: 'Copia de seguridad'
+};
+
+/**
+ * Parse a GPX 1.0/1.1 document
+ * Stops are read from <rte> when present, otherwise from <wpt>, otherwise
+ * from the ends of the track. The track becomes the route geometry.
+ * @param {string} text - GPX file contents
+ * @returns {Object} - { name, description, transportMode, points: [{ name, category, coordinates }], geometry }
+ */
+export function parseGPX(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0 || doc.documentElement.localName !== 'gpx') {
+        throw new Error('El archivo no es un GPX válido');
+    }
+
+    const toPoint = (el) => ({
+        name: childText(el, 'name'),
+        category: childText(el, 'type'),
+        coordinates: [parseFloat(el.getAttribute('lat')), parseFloat(el.getAttribute('lon'))]
+    });
+    const valid = (point) => point.coordinates.every(Number.isFinite);
+
+    const routePoints = elements(doc, 'rtept').map(toPoint).filter(valid);
+    const waypoints = elements(doc, 'wpt').map(toPoint).filter(valid);
+    const trackPoints = elements(doc, 'trkpt').map(toPoint).filter(valid);
+
+    let points = routePoints.length >= 2 ? routePoints : waypoints;
+    if (points.length < 2 && trackPoints.length >= 2) {
+        points = [trackPoints[0], trackPoints[trackPoints.length - 1]];
+    }
+
+    if (points.length < 2) {
+        throw new Error('El archivo GPX no contiene puntos suficientes para una ruta');
+    }
+
+    const metadata = elements(doc, 'metadata')[0];
+    const track = elements(doc, 'trk')[0];
+    const trackType = track ? childText(track, 'type') : '';
+
+    return {
+        name: (metadata && childText(metadata, 'name')) || (track && childText(track, 'name')) || '',
+        description: (metadata && childText(metadata, 'desc')) || '',
+        transportMode: TransportModes[trackType] ? trackType : 'driving',
+        points,
+        geometry: trackPoints.length >= 2
+            ? { type: 'LineString', coordinates: trackPoints.map(p => [p.coordinates[1], p.coordinates[0]]) }
+            : null
+    };
+}
+
+/**
+ * Parse a GeoJSON FeatureCollection (or a single Feature)
+ * The first LineString (or MultiLineString) is the route; Point features are
+ * the stops, ordered by their `order` property when present. Properties
+ * written by routeToGeoJSON (name, transportMode, distance, legs...) are kept.
+ * @param {string|Object} input - GeoJSON text or object
+ * @returns {Object} - Same shape as parseGPX, plus distance, duration and legs when known
+ */
+export function parseGeoJSON(input) {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch (error) {
+            throw new Error('El archivo no es un JSON válido');
+        }
+    }
+
+    const features = data?.type === 'FeatureCollection' ? data.features
+        : data?.type === 'Feature' ? [data]
+            : null;
+    if (!Array.isArray(features)) {
+        throw new Error('El archivo no es un GeoJSON válido');
+    }
+
+    const lineFeature = features.find(f => ['LineString', 'MultiLineString'].includes(f?.geometry?.type));
+    const lineCoordinates = lineFeature
+        ? (lineFeature.geometry.type === 'LineString'
+            ? lineFeature.geometry.coordinates
+            : lineFeature.geometry.coordinates.flat())
+            .filter(c => Number.isFinite(c[0]) && Number.isFinite(c[1]))
+            .map(([lng, lat]) => [lng, lat]) // drop altitude
+        : [];
+
+    let points = features
+        .filter(f => f?.geometry?.type === 'Point')
+        .map((f, i) => ({ feature: f, index: i, order: f.properties?.order }))
+        .sort((a, b) => (a.order ?? a.index) - (b.order ?? b.index))
+        .map(({ feature }) => {
+            const props = feature.properties || {};
+            const [lng, lat] = feature.geometry.coordinates;
+            return {
+                name: props.name ? String(props.name) : '',
+                category: props.category ? String(props.category) : '',
+                coordinates: [lat, lng],
+                poiId: props.poiId || null,
+                custom: props.custom === true,
+                address: props.address || '',
+                visitDuration: props.visitDuration,
+                overnight: props.overnight || false
+            };
+        })
+        .filter(point => point.coordinates.every(Number.isFinite));
+
+    if (points.length < 2 && lineCoordinates.length >= 2) {
+        const ends = [lineCoordinates[0], lineCoordinates[lineCoordinates.length - 1]];
+        points = ends.map(([lng, lat]) => ({ name: '', category: '', coordinates: [lat, lng] }));
+    }
+
+    if (points.length < 2) {
+        throw new Error('El GeoJSON no contiene puntos suficientes para una ruta');
+    }
+
+    const props = lineFeature?.properties || {};
+
+    return {
+        name: props.name ? String(props.name) : '',
+        description: props.description ? String(props.description) : '',
+        transportMode: TransportModes[props.transportMode] ? props.transportMode : 'driving',
+        points,
+        geometry: lineCoordinates.length >= 2 ? { type: 'LineString', coordinates: lineCoordinates } : null,
+        distance: Number.isFinite(props.distance) ? props.distance : null,
+        duration: Number.isFinite(props.duration) ? props.duration : null,
+        legs: Array.isArray(props.legs)
+            ? props.legs.map(leg => ({ distance: leg.distance, duration: leg.duration }))
+            : []
+    };
+}
+
+/**
+ * Find the POI an imported point refers to
+ * @param {Array} coordinates - [lat, lng]
+ * @param {number} tolerance - Maximum distance in km
+ * @returns {Object|null} - Nearest POI within the tolerance
+ */
+export function matchPoi(coordinates, tolerance = POI_MATCH_TOLERANCE) {
+    let match = null;
+    let matchDistance = tolerance;
+
+    pois.forEach(poi => {
+        const distance = haversineDistance(coordinates, poi.coordinates);
+        if (distance <= matchDistance) {
+            match = poi;
+            matchDistance = distance;
+        }
+    });
+
+    return match;
+}
+
+/**
+ * Turn an imported point into a route waypoint
+ * @param {Object} point - { name, category, coordinates, poiId?, custom? }
+ * @param {number} tolerance - POI match tolerance in km
+ * @returns {Object} - Waypoint as stored in routes
+ */
+export function toWaypoint(point, tolerance = POI_MATCH_TOLERANCE) {
+    // Points marked as custom by our own exporter stay custom
+    const poi = point.custom ? null
+        : (point.poiId && getPoiById(point.poiId)) || matchPoi(point.coordinates, tolerance);
+
+    if (poi) {
+        return {
+            id: poi.id,
+            name: poi.name,
+            coordinates: poi.coordinates,
+            category: getCategoryById(poi.category)?.name || poi.category,
+            visitDuration: point.visitDuration ?? poi.visitDuration,
+            ...(point.overnight ? { overnight: true } : {})
+        };
+    }
+
+    return {
+        id: `custom-${generateId()}`,
+        name: point.name || formatCoordinates(point.coordinates),
+        coordinates: point.coordinates,
+        category: point.category || 'Punto personalizado',
+        visitDuration: point.visitDuration ?? 0,
+        custom: true,
+        renamed: Boolean(point.name),
+        ...(point.address ? { address: point.address } : {}),
+        ...(point.overnight ? { overnight: true } : {})
+    };
+}
+
+/**
+ * Import a GPX file as a saved route
+ * Distance comes from the track (or straight lines between stops); the
+ * duration is estimated from the transport mode's average speed.
+ * @param {string} text - GPX file contents
+ * @param {Object} options - { fallbackName: used when the file has no name, tolerance }
+ * @returns {Promise<Object>} - { id, route, matched: number of POIs recognised }
+ */
+export async function importGPX(text, options = {}) {
+    return saveImportedRoute(parseGPX(text), options);
+}
+
+/**
+ * Import a GeoJSON file as a saved route
+ * Stats written by the GeoJSON exporter are kept; otherwise they are
+ * estimated as for GPX.
+ * @param {string|Object} input - GeoJSON text or object
+ * @param {Object} options - { fallbackName, tolerance }
+ * @returns {Promise<Object>} - { id, route, matched }
+ */
+export async function importGeoJSON(input, options = {}) {
+    return saveImportedRoute(parseGeoJSON(input), options);
+}
+
+/**
+ * Detect the format of a route file by its contents
+ * JSON files can be GeoJSON, the envelope written by exportToJSON
+ * ({ exportDate, source, route }), a route as stored in the database, or a
+ * backup: the object from DatabaseUtils.exportDatabase() ({ version, routes,
+ * settings }) or the array from RouteService.exportAllAsJson().
+ * @param {string} text - File contents
+ * @returns {Object} - { format: key of ImportFormats, data: parsed JSON (null for GPX) }
+ */
+export function detectImportFormat(text) {
+    if (text.trimStart().startsWith('<')) {
+        return { format: 'gpx', data: null };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('El archivo no es GPX ni un JSON válido');
+    }
+
+    if (['FeatureCollection', 'Feature'].includes(data?.type)) {
+        return { format: 'geojson', data };
+    }
+    if (Array.isArray(data) || Array.isArray(data?.routes)) {
+        return { format: 'backup', data };
+    }
+    if (isObject(data?.route)) {
+        return { format: 'envelope', data };
+    }
+    if (Array.isArray(data?.waypoints)) {
+        return { format: 'route', data };
+    }
+
+    throw new Error('Formato no reconocido: se esperaba GPX, GeoJSON, una ruta exportada o una copia de seguridad');
+}
+
+/**
+ * Check a route in the app's own format (JSON export, database, backup)
+ * @param {Object} data - Route object
+ * @returns {Array} - Problems found, empty when the route is valid
+ */
+export function validateRoute(data) {
+    if (!isObject(data)) {
+        return ['La ruta no es un objeto'];
+    }
+
+    const errors = [];
+
+    if (data.name != null && typeof data.name !== 'string') {
+        errors.push('El nombre no es un texto');
+    }
+
+    if (data.description != null && typeof data.description !== 'string') {
+        errors.push('La descripción no es un texto');
+    }
+
+    if (!Array.isArray(data.waypoints)) {
+        errors.push('Falta la lista de puntos (waypoints)');
+    } else {
+        if (data.waypoints.length < 2) {
+            errors.push('La ruta necesita al menos 2 puntos');
+        }
+        data.waypoints.forEach((wp, i) => {
+            if (!isValidCoordinates(wp?.coordinates)) {
+                errors.push(`El punto ${i + 1} no tiene coordenadas válidas`);
+            }
+            if (wp?.name != null && typeof wp.name !== 'string') {
+                errors.push(`El punto ${i + 1} no tiene un nombre de texto`);
+            }
+        });
+    }
+
+    ['distance', 'duration'].forEach(key => {
+        if (data[key] != null && !(Number.isFinite(data[key]) && data[key] >= 0)) {
+            errors.push(`El campo ${key} no es un número válido`);
+        }
+    });
+
+    if (data.transportMode != null && !TransportModes[data.transportMode]) {
+        errors.push(`Modo de transporte desconocido: ${data.transportMode}`);
+    }
+
+    if (data.routeGeometry != null &&
+        (data.routeGeometry.type !== 'LineString' || !Array.isArray(data.routeGeometry.coordinates))) {
+        errors.push('La geometría no es un LineString GeoJSON');
+    }
+
+    if (data.tripId != null && !Number.isInteger(data.tripId)) {
+        errors.push('El viaje (tripId) no es válido');
+    }
+
+    ['legs', 'days', 'tags'].forEach(key => {
+        if (data[key] != null && !Array.isArray(data[key])) {
+            errors.push(`El campo ${key} no es una lista`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Read a route file without saving it, to preview the import
+ * Routes of a backup that fail validation are skipped and listed; any other
+ * problem makes the whole file fail.
+ * @param {string} text - File contents
+ * @param {Object} options - { fallbackName, tolerance }
+ * @returns {Object} - { format, routes: [{ route, matched }], skipped: [{ name, errors }] }
+ */
+export function readImportFile(text, options = {}) {
+    const { format, data } = detectImportFormat(text);
+
+    if (format === 'gpx' || format === 'geojson') {
+        const parsed = format === 'gpx' ? parseGPX(text) : parseGeoJSON(data);
+        return { format, routes: [buildImportedRoute(parsed, options)], skipped: [] };
+    }
+
+    if (format === 'backup') {
+        const routes = [];
+        const skipped = [];
+
+        (Array.isArray(data) ? data : data.routes).forEach((routeData, i) => {
+            const errors = validateRoute(routeData);
+            if (errors.length > 0) {
+                skipped.push({ name: routeData?.name || `Ruta ${i + 1}`, errors });
+            } else {
+                routes.push(toSavedRoute(routeData));
+            }
+        });
+
+        if (routes.length === 0 && skipped.length === 0) {
+            throw new Error('La copia de seguridad no contiene rutas');
+        }
+
+        return { format, routes, skipped };
+    }
+
+    const routeData = format === 'envelope' ? data.route : data;
+    const errors = validateRoute(routeData);
+    if (errors.length > 0) {
+        throw new Error(`Ruta no válida: ${errors.join('; ')}`);
+    }
+
+    return { format, routes: [toSavedRoute(routeData, options.fallbackName)], skipped: [] };
+}
+
+/**
+ * Save the routes of a previewed file
+ * @param {Object} preview - Result of readImportFile()
+ * @returns {Promise<Array>} - [{ id, route, matched }]
+ */
+export async function saveImport(preview) {
+    const results = [];
+    for (const { route, matched } of preview.routes) {
+        const id = await RouteService.create(route);
+        results.push({ id, route, matched });
+    }
+    return results;
+}
+
+/**
+ * Import a single-route file, detecting GPX, GeoJSON or the app's JSON
+ * @param {string} text - File contents
+ * @param {Object} options - { fallbackName, tolerance }
+ * @returns {Promise<Object>} - { id, route, matched }
+ */
+export async function importRoute(text, options = {}) {
+    const preview = readImportFile(text, options);
+    if (preview.format === 'backup') {
+        throw new Error('El archivo es una copia de seguridad con varias rutas, no una ruta');
+    }
+
+    const [result] = await saveImport(preview);
+    return result;
+}
+
+/**
+ * Build the route from parsed points and store it
+ */
+async function saveImportedRoute(parsed, options) {
+    const [result] = await saveImport({ routes: [buildImportedRoute(parsed, options)] });
+    return result;
+}
+
+/**
+ * Build the route from parsed GPX/GeoJSON points
+ * @returns {Object} - { route, matched }
+ */
+function buildImportedRoute(parsed, options) {
+    const waypoints = parsed.points.map(point => toWaypoint(point, options.tolerance));
+
+    const line = parsed.geometry
+        ? parsed.geometry.coordinates.map(([lng, lat]) => [lat, lng])
+        : waypoints.map(wp => wp.coordinates);
+    const distanceKm = line.slice(1).reduce((sum, point, i) => sum + haversineDistance(line[i], point), 0);
+
+    const route = {
+        name: parsed.name || options.fallbackName || 'Ruta importada',
+        description: parsed.description,
+        waypoints,
+        distance: parsed.distance ?? Math.round(distanceKm * 1000),
+        duration: parsed.duration ?? Math.round(distanceKm / TransportModes[parsed.transportMode].avgSpeed * 3600),
+        transportMode: parsed.transportMode,
+        routeGeometry: parsed.geometry,
+        legs: parsed.legs?.length === waypoints.length - 1 ? parsed.legs : []
+    };
+
+    return {
+        route,
+        matched: waypoints.filter(wp => !wp.custom).length
+    };
+}
+
+/**
+ * A validated route in the app's format, ready for RouteService.create
+ * Waypoints keep their POI ids; missing names and ids are filled in.
+ * @returns {Object} - { route, matched }
+ */
+function toSavedRoute(data, fallbackName) {
+    const waypoints = data.waypoints.map(wp => ({
+        ...wp,
+        id: wp.id ?? `custom-${generateId()}`,
+        name: wp.name || formatCoordinates(wp.coordinates)
+    }));
+
+    const route = {
+        name: data.name || fallbackName || 'Ruta importada',
+        description: data.description || '',
+        waypoints,
+        distance: data.distance || 0,
+        duration: data.duration || 0,
+        transportMode: data.transportMode || 'driving',
+        routeGeometry: data.routeGeometry || null,
+        legs: data.legs || [],
+        dayPlan: data.dayPlan || null,
+        days: data.days || [],
+        elevation: data.elevation || null,
+        tags: data.tags || []
+    };
+
+    return {
+        route,
+        matched: waypoints.filter(wp => !wp.custom).length
+    };
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Plain (non-array) object
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * [lat, lng] pair within range
+ */
+function isValidCoordinates(coordinates) {
+    return Array.isArray(coordinates) &&
+        Number.isFinite(coordinates[0]) && Math.abs(coordinates[0]) <= 90 &&
+        Number.isFinite(coordinates[1]) && Math.abs(coordinates[1]) <= 180;
+}
+
+/**
+ * Elements by local name, whatever namespace prefix the file uses
+ */
+function elements(parent, localName) {
+    return Array.from(parent.getElementsByTagNameNS('*', localName));
+}
+
+/**
+ * Trimmed text of a direct child element
+ */
+function childText(el, localName) {
+    const child = Array.from(el.children).find(c => c.localName === localName);
+    return child?.textContent.trim() || '';
+}
+
+export default {
+    POI_MATCH_TOLERANCE,
+    ImportFormats,
+    parseGPX,
+    parseGeoJSON,
+    matchPoi,
+    toWaypoint,
+    importGPX,
+    importGeoJSON,
+    detectImportFormat,
+    validateRoute,
+    readImportFile,
+    saveImport,
+    importRoute
+};
@@ -0,0 +1,224 @@
+/**
+ * Itinerary Service for Iceland Geoportal
+ * Splits a route into daily stages using driving limits and POI visit durations
+ */
+
+import { getPoiById } from '../data/pois.js';
+import { haversineDistance, TransportModes } from './routing.js';
+
+/**
+ * Default day planning options
+ */
+export const DEFAULT_DAY_PLAN = {
+    enabled: false,
+    maxDrivingHours: 5,  // Max time on the road per day
+    maxDayHours: 10      // Max driving + visiting time per day
+};
+
+/**
+ * Visit duration of a waypoint in seconds
+ * @param {Object} waypoint - Route waypoint
+ * @returns {number}
+ */
+export function getVisitDuration(waypoint) {
+    const minutes = waypoint.visitDuration ?? getPoiById(waypoint.id)?.visitDuration ?? 0;
+    return minutes * 60;
+}
+
+/**
+ * Split a route into days
+ * A day ends at an overnight stop: either a waypoint flagged `overnight`
+ * or the last stop before the driving/day limits would be exceeded.
+ * The overnight stop is the last stop of one day and the start of the next.
+ * @param {Object} route - { waypoints, legs, transportMode }
+ * @param {Object} options - { maxDrivingHours, maxDayHours }
+ * @returns {Array} - Days: { number, startIndex, endIndex, distance, drivingTime, visitTime, overLimit }
+ */
+export function planDays(route, options = {}) {
+    const waypoints = route.waypoints || [];
+    if (waypoints.length === 0) return [];
+
+    const { maxDrivingHours, maxDayHours } = { ...DEFAULT_DAY_PLAN, ...options };
+    const maxDriving = maxDrivingHours * 3600;
+    const maxDay = maxDayHours * 3600;
+    const legs = getLegStats(route);
+
+    const days = [];
+    let day = newDay(1, 0, getVisitDuration(waypoints[0]));
+
+    for (let i = 0; i < waypoints.length - 1; i++) {
+        const leg = legs[i];
+        const arrivalVisit = getVisitDuration(waypoints[i + 1]);
+        const driving = day.drivingTime + leg.duration;
+        const total = driving + day.visitTime + arrivalVisit;
+
+        // Stop for the night before this leg if it would break a limit
+        if (day.endIndex > day.startIndex && (driving > maxDriving || total > maxDay)) {
+            days.push(day);
+            day = newDay(days.length + 1, i, 0);
+        }
+
+        day.endIndex = i + 1;
+        day.distance += leg.distance;
+        day.drivingTime += leg.duration;
+        day.visitTime += arrivalVisit;
+        day.overLimit = day.overLimit ||
+            day.drivingTime > maxDriving ||
+            day.drivingTime + day.visitTime > maxDay;
+
+        // Forced overnight stop
+        if (waypoints[i + 1].overnight && i + 1 < waypoints.length - 1) {
+            days.push(day);
+            day = newDay(days.length + 1, i + 1, 0);
+        }
+    }
+
+    days.push(day);
+    return days;
+}
+
+/**
+ * Find the day a waypoint belongs to
+ * Overnight stops belong to the day they end.
+ * @param {Array} days - Result of planDays
+ * @param {number} index - Waypoint index
+ * @returns {number} - Day number (1-based)
+ */
+export function getDayForWaypoint(days, index) {
+    const day = days.find(d => (index === d.startIndex && d.number === 1) ||
+        (index > d.startIndex && index <= d.endIndex));
+    return day ? day.number : 1;
+}
+
+/**
+ * Move a waypoint to another day
+ * Current day boundaries are pinned as overnight stops first so the move
+ * isn't undone by the automatic split.
+ * @param {Array} waypoints - Route waypoints (not modified)
+ * @param {Array} days - Result of planDays for those waypoints
+ * @param {number} index - Waypoint index to move
+ * @param {number} dayNumber - Target day (1-based)
+ * @returns {Array} - New waypoint list
+ */
+export function moveWaypointToDay(waypoints, days, index, dayNumber) {
+    const target = days.find(d => d.number === dayNumber);
+    if (!target) return waypoints;
+
+    const pinned = waypoints.map((wp, i) => {
+        const isBoundary = days.some(d => d.endIndex === i && i < waypoints.length - 1);
+        return isBoundary ? { ...wp, overnight: true } : { ...wp };
+    });
+
+    // Insert before the target day's overnight stop, or at the end of the last day
+    const isLastDay = target.number === days[days.length - 1].number;
+    let insertAt = isLastDay ? pinned.length : target.endIndex;
+
+    const [moved] = pinned.splice(index, 1);
+    if (index < insertAt) insertAt--;
+
+    moved.overnight = false;
+    pinned.splice(insertAt, 0, moved);
+
+    return pinned;
+}
+
+/**
+ * Totals across all days
+ * @param {Array} days - Result of planDays
+ * @returns {Object} - { distance, drivingTime, visitTime }
+ */
+export function getItineraryTotals(days) {
+    return days.reduce((acc, day) => ({
+        distance: acc.distance + day.distance,
+        drivingTime: acc.drivingTime + day.drivingTime,
+        visitTime: acc.visitTime + day.visitTime
+    }), { distance: 0, drivingTime: 0, visitTime: 0 });
+}
+
+/**
+ * Timetable for a route starting at a given date and time
+ * Each stop lasts its visit duration and each leg its driving time. With the
+ * day plan enabled, the trip leaves an overnight stop the next morning at the
+ * same time of day as the start.
+ * @param {Object} route - { waypoints, legs, transportMode, dayPlan }
+ * @param {Date|string} start - Arrival at the first stop
+ * @returns {Object} - { stops: [{ index, waypoint, day, arrival, departure, overnight }],
+ *                       legs: [{ index, day, departure, arrival, distance, duration }] }
+ */
+export function scheduleRoute(route, start) {
+    const waypoints = route.waypoints || [];
+    const stops = [];
+    const legs = [];
+    if (waypoints.length === 0) return { stops, legs };
+
+    const days = route.dayPlan?.enabled ? planDays(route, route.dayPlan) : [];
+    const overnightStops = new Set(days.slice(0, -1).map(d => d.endIndex));
+    const legStats = getLegStats(route);
+
+    const startDate = new Date(start);
+    let time = startDate.getTime();
+    let day = 1;
+
+    waypoints.forEach((waypoint, index) => {
+        const arrival = time;
+        const departure = arrival + getVisitDuration(waypoint) * 1000;
+        const overnight = overnightStops.has(index);
+
+        stops.push({ index, waypoint, day, arrival: new Date(arrival), departure: new Date(departure), overnight });
+        if (index === waypoints.length - 1) return;
+
+        let legStart = departure;
+        if (overnight) {
+            const morning = new Date(arrival);
+            morning.setDate(morning.getDate() + 1);
+            morning.setHours(startDate.getHours(), startDate.getMinutes(), 0, 0);
+            legStart = Math.max(departure, morning.getTime());
+            day++;
+        }
+
+        const { distance, duration } = legStats[index];
+        time = legStart + duration * 1000;
+        legs.push({ index, day, departure: new Date(legStart), arrival: new Date(time), distance, duration });
+    });
+
+    return { stops, legs };
+}
+
+/**
+ * Distance and duration per leg, estimated where the router gave none
+ */
+function getLegStats(route) {
+    const waypoints = route.waypoints;
+    const avgSpeed = TransportModes[route.transportMode]?.avgSpeed || 80;
+    const legs = route.legs || [];
+
+    return waypoints.slice(0, -1).map((wp, i) => {
+        if (legs[i]) {
+            return { distance: legs[i].distance, duration: legs[i].duration };
+        }
+        const km = haversineDistance(wp.coordinates, waypoints[i + 1].coordinates) * 1.3;
+        return { distance: km * 1000, duration: (km / avgSpeed) * 3600 };
+    });
+}
+
+function newDay(number, startIndex, visitTime) {
+    return {
+        number,
+        startIndex,
+        endIndex: startIndex,
+        distance: 0,
+        drivingTime: 0,
+        visitTime,
+        overLimit: false
+    };
+}
+
+export default {
+    DEFAULT_DAY_PLAN,
+    getVisitDuration,
+    planDays,
+    getDayForWaypoint,
+    moveWaypointToDay,
+    getItineraryTotals,
+    scheduleRoute
+};
@@ -0,0 +1,89 @@
+/**
+ * Offline Routing Service for Iceland Geoportal
+ * Promise-based wrapper around the offline routing Web Worker
+ */
+
+const WORKER_URL = new URL('../workers/routingWorker.js', import.meta.url);
+
+// Give up on the worker if it doesn't answer in time (ms)
+const REQUEST_TIMEOUT = 15000;
+
+let worker = null;
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+/**
+ * Check if offline routing can run in this browser
+ * @returns {boolean}
+ */
+export function isOfflineRoutingSupported() {
+    return typeof Worker !== 'undefined';
+}
+
+/**
+ * Calculate a route over the bundled road graph
+ * @param {Array} waypoints - Array of [lat, lng] coordinates
+ * @param {string} mode - Transport mode ('driving', 'cycling', 'walking')
+ * @returns {Promise<Object>} - Normalized route data
+ */
+export function calculateOfflineRoute(waypoints, mode = 'driving') {
+    if (!isOfflineRoutingSupported()) {
+        return Promise.reject(new Error('Web Workers no disponibles'));
+    }
+
+    const id = nextRequestId++;
+
+    return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+            pendingRequests.delete(id);
+            reject(new Error('Tiempo de espera agotado en el routing offline'));
+        }, REQUEST_TIMEOUT);
+
+        pendingRequests.set(id, { resolve, reject, timeout });
+        getWorker().postMessage({ id, type: 'route', waypoints, mode });
+    });
+}
+
+/**
+ * Get (or lazily start) the routing worker
+ */
+function getWorker() {
+    if (worker) return worker;
+
+    worker = new Worker(WORKER_URL);
+
+    worker.addEventListener('message', (event) => {
+        const { id, result, error } = event.data;
+        const request = pendingRequests.get(id);
+        if (!request) return;
+
+        clearTimeout(request.timeout);
+        pendingRequests.delete(id);
+
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve({ ...result, isOffline: true });
+        }
+    });
+
+    worker.addEventListener('error', (event) => {
+        console.error('Offline routing worker error:', event.message);
+
+        // Fail everything in flight and start a fresh worker next time
+        pendingRequests.forEach(request => {
+            clearTimeout(request.timeout);
+            request.reject(new Error('Error en el motor de routing offline'));
+        });
+        pendingRequests.clear();
+        worker.terminate();
+        worker = null;
+    });
+
+    return worker;
+}
+
+export default {
+    isOfflineRoutingSupported,
+    calculateOfflineRoute
+};
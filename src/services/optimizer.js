@@ -0,0 +1,200 @@
+/**
+ * Route Optimizer for Iceland Geoportal
+ * Reorders waypoints to minimize travel time over a duration matrix
+ * using nearest-neighbour construction improved with 2-opt and Or-opt.
+ */
+
+/**
+ * Tour variants
+ * fixedStart/fixedEnd pin the first/last waypoint in place;
+ * roundTrip also counts the return leg to the first waypoint.
+ */
+export const TourTypes = {
+    'fixed-start': {
+        id: 'fixed-start',
+        name: 'Inicio fijo',
+        fixedStart: true,
+        fixedEnd: false,
+        roundTrip: false
+    },
+    'fixed-end': {
+        id: 'fixed-end',
+        name: 'Final fijo',
+        fixedStart: false,
+        fixedEnd: true,
+        roundTrip: false
+    },
+    'fixed-both': {
+        id: 'fixed-both',
+        name: 'Inicio y final fijos',
+        fixedStart: true,
+        fixedEnd: true,
+        roundTrip: false
+    },
+    'round-trip': {
+        id: 'round-trip',
+        name: 'Ida y vuelta',
+        fixedStart: true,
+        fixedEnd: false,
+        roundTrip: true
+    }
+};
+
+// Ignore improvements smaller than this (seconds) to avoid float churn
+const EPSILON = 1e-6;
+
+/**
+ * Total travel time of a tour
+ * @param {Array} durations - durations[from][to] in seconds
+ * @param {Array} order - Waypoint indices in visiting order
+ * @param {string} type - Tour type ID
+ * @returns {number} - Seconds
+ */
+export function tourCost(durations, order, type = 'fixed-start') {
+    let cost = 0;
+
+    for (let i = 0; i < order.length - 1; i++) {
+        cost += durations[order[i]][order[i + 1]];
+    }
+
+    if (TourTypes[type]?.roundTrip && order.length > 1) {
+        cost += durations[order[order.length - 1]][order[0]];
+    }
+
+    return cost;
+}
+
+/**
+ * Find the fastest visiting order
+ * @param {Array} durations - Square matrix durations[from][to] in seconds
+ * @param {string} type - Tour type ID (see TourTypes)
+ * @returns {Object} - { order, cost, originalCost, saved }
+ */
+export function optimizeTour(durations, type = 'fixed-start') {
+    const tourType = TourTypes[type] || TourTypes['fixed-start'];
+    const n = durations.length;
+    const identity = Array.from({ length: n }, (_, i) => i);
+    const originalCost = tourCost(durations, identity, tourType.id);
+
+    if (n <= 2) {
+        return { order: identity, cost: originalCost, originalCost, saved: 0 };
+    }
+
+    // Positions that may move
+    const lo = tourType.fixedStart ? 1 : 0;
+    const hi = tourType.fixedEnd ? n - 2 : n - 1;
+
+    // Candidate starting tours: the current order plus nearest-neighbour tours
+    const candidates = [identity];
+    const starts = tourType.fixedStart ? [0] : identity.filter(i => !tourType.fixedEnd || i !== n - 1);
+    starts.forEach(start => {
+        candidates.push(nearestNeighbour(durations, start, tourType.fixedEnd ? n - 1 : null));
+    });
+
+    let best = { order: identity, cost: originalCost };
+
+    candidates.forEach(candidate => {
+        const improved = localSearch(durations, candidate, lo, hi, tourType.id);
+        if (improved.cost < best.cost - EPSILON) {
+            best = improved;
+        }
+    });
+
+    return {
+        order: best.order,
+        cost: best.cost,
+        originalCost,
+        saved: Math.max(0, originalCost - best.cost)
+    };
+}
+
+/**
+ * Greedy nearest-neighbour tour
+ * @param {number} start - First waypoint index
+ * @param {number|null} end - Last waypoint index, if pinned
+ */
+function nearestNeighbour(durations, start, end) {
+    const remaining = new Set(durations.map((_, i) => i));
+    remaining.delete(start);
+    if (end !== null) remaining.delete(end);
+
+    const order = [start];
+    while (remaining.size > 0) {
+        const current = order[order.length - 1];
+        let nearest = null;
+
+        remaining.forEach(i => {
+            if (nearest === null || durations[current][i] < durations[current][nearest]) {
+                nearest = i;
+            }
+        });
+
+        order.push(nearest);
+        remaining.delete(nearest);
+    }
+
+    if (end !== null) order.push(end);
+    return order;
+}
+
+/**
+ * Improve a tour with 2-opt and Or-opt moves until no move helps
+ * Costs are recomputed in full so asymmetric matrices are handled correctly.
+ */
+function localSearch(durations, initial, lo, hi, type) {
+    let order = initial.slice();
+    let cost = tourCost(durations, order, type);
+    let improved = true;
+
+    while (improved) {
+        improved = false;
+
+        // 2-opt: reverse the segment order[i..j]
+        for (let i = lo; i < hi && !improved; i++) {
+            for (let j = i + 1; j <= hi; j++) {
+                const candidate = order.slice(0, i)
+                    .concat(order.slice(i, j + 1).reverse(), order.slice(j + 1));
+                const candidateCost = tourCost(durations, candidate, type);
+
+                if (candidateCost < cost - EPSILON) {
+                    order = candidate;
+                    cost = candidateCost;
+                    improved = true;
+                    break;
+                }
+            }
+        }
+
+        if (improved) continue;
+
+        // Or-opt: move a segment of 1-3 waypoints to another position
+        for (let length = 1; length <= 3 && !improved; length++) {
+            for (let i = lo; i + length - 1 <= hi && !improved; i++) {
+                const segment = order.slice(i, i + length);
+                const rest = order.slice(0, i).concat(order.slice(i + length));
+                const restHi = hi - length;
+
+                for (let k = lo; k <= restHi + 1; k++) {
+                    if (k === i) continue;
+                    const candidate = rest.slice(0, k).concat(segment, rest.slice(k));
+                    const candidateCost = tourCost(durations, candidate, type);
+
+                    if (candidateCost < cost - EPSILON) {
+                        order = candidate;
+                        cost = candidateCost;
+                        improved = true;
+                        break;
+                    }
+                }
+            }
+        }
+    }
+
+    return { order, cost };
+}
+
+export default {
+    TourTypes,
+    tourCost,
+    optimizeTour
+};
@@ -0,0 +1,120 @@
+/**
+ * Revision comparison for Iceland Geoportal
+ * Tells what changed between two saved versions of a route: its details,
+ * its stats and which stops were added, removed, moved or renamed.
+ */
+
+/**
+ * Compare the waypoints of two versions of a route
+ * Stops are matched by id (the same POI visited twice counts as two stops).
+ * A kept stop is "moved" when it falls outside the longest run of stops
+ * that kept their relative order, so moving one stop reports only that one.
+ * @param {Array} before - Waypoints of the older version
+ * @param {Array} after - Waypoints of the newer version
+ * @returns {Object} - { added, removed: [{ waypoint, index }], moved: [{ waypoint, from, to }],
+ *   renamed: [{ waypoint, from, to }], changed: boolean }
+ */
+export function diffWaypoints(before = [], after = []) {
+    const beforeKeys = getWaypointKeys(before);
+    const afterKeys = getWaypointKeys(after);
+    const beforeIndex = new Map(beforeKeys.map((key, i) => [key, i]));
+    const afterIndex = new Map(afterKeys.map((key, i) => [key, i]));
+
+    const added = after
+        .map((waypoint, index) => ({ waypoint, index }))
+        .filter(({ index }) => !beforeIndex.has(afterKeys[index]));
+    const removed = before
+        .map((waypoint, index) => ({ waypoint, index }))
+        .filter(({ index }) => !afterIndex.has(beforeKeys[index]));
+
+    const keptBefore = beforeKeys.filter(key => afterIndex.has(key));
+    const keptAfter = afterKeys.filter(key => beforeIndex.has(key));
+    const inOrder = longestCommonSubsequence(keptBefore, keptAfter);
+
+    const moved = keptAfter
+        .filter(key => !inOrder.has(key))
+        .map(key => ({ waypoint: after[afterIndex.get(key)], from: beforeIndex.get(key), to: afterIndex.get(key) }));
+
+    const renamed = keptAfter
+        .map(key => ({ old: before[beforeIndex.get(key)], waypoint: after[afterIndex.get(key)] }))
+        .filter(({ old, waypoint }) => old.name !== waypoint.name)
+        .map(({ old, waypoint }) => ({ waypoint, from: old.name, to: waypoint.name }));
+
+    return {
+        added,
+        removed,
+        moved,
+        renamed,
+        changed: added.length + removed.length + moved.length + renamed.length > 0
+    };
+}
+
+/**
+ * Compare two versions of a route
+ * @param {Object} before - Older route snapshot
+ * @param {Object} after - Newer route snapshot
+ * @returns {Object} - { fields: [{ field, from, to }], distance, duration: { from, to },
+ *   waypoints: diffWaypoints() result }
+ */
+export function diffRoutes(before, after) {
+    const fields = ['name', 'description', 'transportMode']
+        .filter(field => (before[field] || '') !== (after[field] || ''))
+        .map(field => ({ field, from: before[field] || '', to: after[field] || '' }));
+
+    return {
+        fields,
+        distance: { from: before.distance || 0, to: after.distance || 0 },
+        duration: { from: before.duration || 0, to: after.duration || 0 },
+        waypoints: diffWaypoints(before.waypoints, after.waypoints)
+    };
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Keys identifying each waypoint: its id plus the occurrence number
+ */
+function getWaypointKeys(waypoints) {
+    const seen = new Map();
+    return waypoints.map(wp => {
+        const id = wp.id ?? wp.coordinates?.join(',');
+        const count = seen.get(id) || 0;
+        seen.set(id, count + 1);
+        return `${id}#${count}`;
+    });
+}
+
+/**
+ * Keys of the longest common subsequence of two key lists
+ */
+function longestCommonSubsequence(a, b) {
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const keys = new Set();
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            keys.add(a[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return keys;
+}
+
+export default {
+    diffWaypoints,
+    diffRoutes
+};
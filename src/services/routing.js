@@ -1,11 +1,25 @@
 /**
  * Routing Service for Iceland Geoportal
- * Uses OSRM (Open Source Routing Machine) for route calculations
+ * Calculates routes through a configurable routing provider (OSRM by default)
  */
 
-// OSRM Demo Server (for development/testing)
-// Note: For production, use your own OSRM server or Mapbox Directions API
-const OSRM_BASE_URL = 'https://router.project-osrm.org';
+import { SettingsService } from './database.js';
+import { RoutingProviders, getRoutingProvider } from './routingProviders.js';
+import { calculateOfflineRoute } from './offlineRouting.js';
+
+// Settings key under which the routing configuration is persisted
+const ROUTING_SETTINGS_KEY = 'routing';
+
+// Default configuration: OSRM demo server (for development/testing)
+// Note: For production, point this at your own router from the settings panel
+const DEFAULT_ROUTING_CONFIG = {
+    provider: 'osrm',
+    baseUrl: RoutingProviders.osrm.defaultBaseUrl,
+    apiKey: ''
+};
+
+// Active routing configuration
+let routingConfig = { ...DEFAULT_ROUTING_CONFIG };
 
 /**
  * Transport mode profiles
@@ -35,7 +49,53 @@ export const TransportModes = {
 };
 
 /**
- * Calculate route between waypoints using OSRM
+ * Get the active routing configuration
+ * @returns {Object} - { provider, baseUrl, apiKey }
+ */
+export function getRoutingConfig() {
+    return { ...routingConfig };
+}
+
+/**
+ * Set the active routing configuration for this session
+ * Missing fields fall back to the provider defaults.
+ * @param {Object} config - { provider, baseUrl, apiKey }
+ * @returns {Object} - The resulting configuration
+ */
+export function setRoutingConfig(config = {}) {
+    const provider = getRoutingProvider(config.provider) ? config.provider : DEFAULT_ROUTING_CONFIG.provider;
+
+    routingConfig = {
+        provider,
+        baseUrl: config.baseUrl?.trim() || RoutingProviders[provider].defaultBaseUrl,
+        apiKey: config.apiKey?.trim() || ''
+    };
+
+    return getRoutingConfig();
+}
+
+/**
+ * Load the routing configuration stored in settings
+ * @returns {Promise<Object>} - The active configuration
+ */
+export async function loadRoutingConfig() {
+    const stored = await SettingsService.get(ROUTING_SETTINGS_KEY, DEFAULT_ROUTING_CONFIG);
+    return setRoutingConfig(stored);
+}
+
+/**
+ * Persist and activate a routing configuration
+ * @param {Object} config - { provider, baseUrl, apiKey }
+ * @returns {Promise<Object>} - The active configuration
+ */
+export async function saveRoutingConfig(config) {
+    const active = setRoutingConfig(config);
+    await SettingsService.set(ROUTING_SETTINGS_KEY, active);
+    return active;
+}
+
+/**
+ * Calculate route between waypoints using the active routing provider
  * @param {Array} waypoints - Array of [lat, lng] coordinates
  * @param {string} mode - Transport mode ('driving', 'cycling', 'walking')
  * @returns {Promise<Object>} - Route data including geometry, distance, duration
@@ -45,72 +105,85 @@ export async function calculateRoute(waypoints, mode = 'driving') {
         throw new Error('Se necesitan al menos 2 puntos para calcular una ruta');
     }
 
-    const profile = TransportModes[mode]?.profile || 'driving';
-
-    // Format coordinates for OSRM: lng,lat;lng,lat;...
-    const coordinates = waypoints
-        .map(wp => `${wp[1]},${wp[0]}`)
-        .join(';');
-
-    const url = `${OSRM_BASE_URL}/route/v1/${profile}/${coordinates}?overview=full&geometries=geojson&steps=true`;
+    const provider = getRoutingProvider(routingConfig.provider);
+    const profile = provider.profiles[mode] || provider.profiles.driving;
 
     try {
-        const response = await fetch(url);
-
-        if (!response.ok) {
-            throw new Error(`Error del servidor de routing: ${response.status}`);
-        }
+        return await provider.route(waypoints, profile, routingConfig);
+    } catch (error) {
+        console.error(`Error calculating route with ${provider.name}:`, error);
+    }
 
-        const data = await response.json();
+    // Fallback 1: offline engine over the bundled road graph
+    try {
+        return await calculateOfflineRoute(waypoints, mode);
+    } catch (error) {
+        console.error('Error calculating offline route:', error);
+    }
 
-        if (data.code !== 'Ok') {
-            throw new Error(data.message || 'Error al calcular la ruta');
-        }
+    // Fallback 2: straight-line distance
+    return calculateFallbackRoute(waypoints, mode);
+}
 
-        const route = data.routes[0];
+/**
+ * Calculate a travel time matrix between waypoints
+ * Uses the active provider's matrix service; falls back to straight-line
+ * estimates for the whole matrix or for any unreachable pair.
+ * @param {Array} waypoints - Array of [lat, lng] coordinates
+ * @param {string} mode - Transport mode ('driving', 'cycling', 'walking')
+ * @returns {Promise<Object>} - { durations: [from][to] seconds, isFallback }
+ */
+export async function calculateDurationMatrix(waypoints, mode = 'driving') {
+    const provider = getRoutingProvider(routingConfig.provider);
+    const profile = provider.profiles[mode] || provider.profiles.driving;
+    const estimate = (i, j) => estimateDuration(waypoints[i], waypoints[j], mode);
 
+    try {
+        const durations = await provider.matrix(waypoints, profile, routingConfig);
         return {
-            distance: route.distance, // meters
-            duration: route.duration, // seconds
-            geometry: route.geometry, // GeoJSON geometry
-            legs: route.legs.map(leg => ({
-                distance: leg.distance,
-                duration: leg.duration,
-                steps: leg.steps.map(step => ({
-                    distance: step.distance,
-                    duration: step.duration,
-                    instruction: step.maneuver.type,
-                    name: step.name || 'Sin nombre'
-                }))
-            })),
-            waypoints: data.waypoints.map(wp => ({
-                name: wp.name,
-                location: [wp.location[1], wp.location[0]] // Convert to [lat, lng]
-            }))
+            durations: durations.map((row, i) => row.map((value, j) =>
+                Number.isFinite(value) ? value : estimate(i, j)
+            )),
+            isFallback: false
         };
     } catch (error) {
-        console.error('Error calculating route:', error);
-        // Fallback: calculate straight-line distance
-        return calculateFallbackRoute(waypoints, mode);
+        console.error(`Error calculating duration matrix with ${provider.name}:`, error);
     }
+
+    return {
+        durations: waypoints.map((_, i) => waypoints.map((_, j) => (i === j ? 0 : estimate(i, j)))),
+        isFallback: true
+    };
+}
+
+/**
+ * Estimate travel time between two points from straight-line distance
+ */
+function estimateDuration(from, to, mode) {
+    const avgSpeed = TransportModes[mode]?.avgSpeed || 80;
+    return (haversineDistance(from, to) * 1.3 / avgSpeed) * 3600;
 }
 
 /**
  * Fallback route calculation using straight-line distance
- * Used when OSRM is unavailable
+ * Used when the routing provider is unavailable
  */
 function calculateFallbackRoute(waypoints, mode) {
     const avgSpeed = TransportModes[mode]?.avgSpeed || 80;
-    let totalDistance = 0;
+    const legs = [];
 
-    // Calculate straight-line distances
+    // Calculate straight-line distances per leg
     for (let i = 0; i < waypoints.length - 1; i++) {
-        totalDistance += haversineDistance(waypoints[i], waypoints[i + 1]);
+        // Apply factor for road distance (roads are ~1.3x straight line)
+        const legDistance = haversineDistance(waypoints[i], waypoints[i + 1]) * 1.3;
+        legs.push({
+            distance: legDistance * 1000, // meters
+            duration: (legDistance / avgSpeed) * 3600, // seconds
+            steps: []
+        });
     }
 
-    // Apply factor for road distance (roads are ~1.3x straight line)
-    const roadDistance = totalDistance * 1.3;
-    const duration = (roadDistance / avgSpeed) * 3600; // seconds
+    const { distance, duration } = calculateTotalStats(legs);
 
     // Create simple line geometry
     const geometry = {
@@ -119,10 +192,10 @@ function calculateFallbackRoute(waypoints, mode) {
     };
 
     return {
-        distance: roadDistance * 1000, // meters
-        duration: duration,
+        distance,
+        duration,
         geometry: geometry,
-        legs: [],
+        legs,
         waypoints: waypoints.map((wp, i) => ({
             name: `Punto ${i + 1}`,
             location: wp
@@ -202,7 +275,11 @@ export function getRouteSummary(route, mode) {
         duration: formatDuration(route.duration),
         mode: TransportModes[mode]?.name || 'En coche',
         waypointCount: route.waypoints?.length || 0,
-        isFallback: route.isFallback || false
+        isOffline: route.isOffline || false,
+        isFallback: route.isFallback || false,
+        ascent: route.elevation ? `${route.elevation.ascent} m` : null,
+        descent: route.elevation ? `${route.elevation.descent} m` : null,
+        maxGrade: route.elevation ? `${route.elevation.maxGrade} %` : null
     };
 }
 
@@ -219,34 +296,60 @@ export function calculateTotalStats(legs) {
 }
 
 /**
- * Optimize waypoint order (simple nearest neighbor)
+ * Find where a via-point dragged off the route line belongs
+ * Picks the leg where inserting the point adds the shortest detour.
  * @param {Array} waypoints - Array of waypoints with coordinates
- * @param {number} startIndex - Index of starting waypoint
- * @returns {Array} - Optimized waypoint order
+ * @param {Array} point - [lat, lng]
+ * @returns {number} - Index at which to insert the point
  */
-export function optimizeWaypointOrder(waypoints, startIndex = 0) {
-    if (waypoints.length <= 2) return waypoints;
-
-    const optimized = [waypoints[startIndex]];
-    const remaining = waypoints.filter((_, i) => i !== startIndex);
-
-    while (remaining.length > 0) {
-        const current = optimized[optimized.length - 1];
-        let nearestIndex = 0;
-        let nearestDistance = Infinity;
-
-        remaining.forEach((wp, i) => {
-            const dist = haversineDistance(current.coordinates, wp.coordinates);
-            if (dist < nearestDistance) {
-                nearestDistance = dist;
-                nearestIndex = i;
-            }
-        });
+export function getInsertionIndex(waypoints, point) {
+    let bestIndex = waypoints.length;
+    let bestDetour = Infinity;
+
+    for (let i = 0; i < waypoints.length - 1; i++) {
+        const from = waypoints[i].coordinates;
+        const to = waypoints[i + 1].coordinates;
+        const detour = haversineDistance(from, point) + haversineDistance(point, to) - haversineDistance(from, to);
 
-        optimized.push(remaining.splice(nearestIndex, 1)[0]);
+        if (detour < bestDetour) {
+            bestDetour = detour;
+            bestIndex = i + 1;
+        }
     }
 
-    return optimized;
+    return bestIndex;
+}
+
+/**
+ * Find the leg of a route a point on its line belongs to
+ * The line is split at the vertices nearest to each waypoint, in order.
+ * @param {Array} waypoints - Array of waypoints with coordinates
+ * @param {Array} line - Route line as [lat, lng] points
+ * @param {Array} point - [lat, lng] on the line
+ * @returns {number} - Leg index (0 is the leg from the first to the second waypoint)
+ */
+export function getLegIndex(waypoints, line, point) {
+    const nearestVertex = (target, from = 0) => {
+        let best = from;
+        let bestDistance = Infinity;
+        for (let i = from; i < line.length; i++) {
+            const distance = haversineDistance(line[i], target);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+        return best;
+    };
+
+    const pointVertex = nearestVertex(point);
+    let legIndex = 0;
+    let vertex = 0;
+    for (let i = 1; i < waypoints.length - 1; i++) {
+        vertex = nearestVertex(waypoints[i].coordinates, vertex);
+        if (vertex <= pointVertex) legIndex = i;
+    }
+    return legIndex;
 }
 
 /**
@@ -270,12 +373,18 @@ export function isWithinIceland(point) {
 
 export default {
     calculateRoute,
+    calculateDurationMatrix,
+    getRoutingConfig,
+    setRoutingConfig,
+    loadRoutingConfig,
+    saveRoutingConfig,
     haversineDistance,
     formatDistance,
     formatDuration,
     getRouteSummary,
     calculateTotalStats,
-    optimizeWaypointOrder,
+    getInsertionIndex,
+    getLegIndex,
     isWithinIceland,
     TransportModes
 };
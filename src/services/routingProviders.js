@@ -0,0 +1,570 @@
+/**
+ * Routing Providers for Iceland Geoportal
+ * Adapters that translate each routing engine's API into the normalized
+ * route shape used by the app: { distance, duration, geometry, legs, waypoints }
+ *
+ * Steps follow OSRM maneuver semantics:
+ *   { distance, duration, instruction (maneuver type), modifier, exit, name, interval }
+ * where `interval` is the [start, end] index range of the step in geometry.coordinates.
+ */
+
+/**
+ * Routing provider definitions
+ * Each provider declares its default endpoint, whether that hosted endpoint
+ * needs an API key, the profile names it uses per transport mode, a `route`
+ * function and a `matrix` function returning travel times in seconds.
+ */
+export const RoutingProviders = {
+    osrm: {
+        id: 'osrm',
+        name: 'OSRM',
+        defaultBaseUrl: 'https://router.project-osrm.org',
+        requiresApiKey: false,
+        profiles: {
+            driving: 'driving',
+            cycling: 'cycling',
+            walking: 'foot'
+        },
+        route: routeWithOSRM,
+        matrix: matrixWithOSRM
+    },
+    graphhopper: {
+        id: 'graphhopper',
+        name: 'GraphHopper',
+        defaultBaseUrl: 'https://graphhopper.com/api/1',
+        requiresApiKey: true,
+        profiles: {
+            driving: 'car',
+            cycling: 'bike',
+            walking: 'foot'
+        },
+        route: routeWithGraphHopper,
+        matrix: matrixWithGraphHopper
+    },
+    valhalla: {
+        id: 'valhalla',
+        name: 'Valhalla',
+        defaultBaseUrl: 'https://valhalla1.openstreetmap.de',
+        requiresApiKey: false,
+        profiles: {
+            driving: 'auto',
+            cycling: 'bicycle',
+            walking: 'pedestrian'
+        },
+        route: routeWithValhalla,
+        matrix: matrixWithValhalla
+    },
+    openrouteservice: {
+        id: 'openrouteservice',
+        name: 'OpenRouteService',
+        defaultBaseUrl: 'https://api.openrouteservice.org',
+        requiresApiKey: true,
+        profiles: {
+            driving: 'driving-car',
+            cycling: 'cycling-regular',
+            walking: 'foot-walking'
+        },
+        route: routeWithOpenRouteService,
+        matrix: matrixWithOpenRouteService
+    }
+};
+
+/**
+ * Get provider definition by ID
+ * @param {string} providerId - Provider ID
+ * @returns {Object|undefined}
+ */
+export function getRoutingProvider(providerId) {
+    return RoutingProviders[providerId];
+}
+
+// ==================== OSRM ====================
+
+/**
+ * Route with an OSRM server (public demo or self-hosted)
+ * @param {Array} waypoints - Array of [lat, lng] coordinates
+ * @param {string} profile - OSRM profile name
+ * @param {Object} config - { baseUrl }
+ * @returns {Promise<Object>} - Normalized route
+ */
+async function routeWithOSRM(waypoints, profile, config) {
+    // Format coordinates for OSRM: lng,lat;lng,lat;...
+    const coordinates = waypoints
+        .map(wp => `${wp[1]},${wp[0]}`)
+        .join(';');
+
+    const url = `${trimSlash(config.baseUrl)}/route/v1/${profile}/${coordinates}?overview=full&geometries=geojson&steps=true`;
+
+    const data = await fetchJson(url);
+
+    if (data.code !== 'Ok') {
+        throw new Error(data.message || 'Error al calcular la ruta');
+    }
+
+    const route = data.routes[0];
+    const coords = route.geometry.coordinates;
+    let cursor = 0;
+
+    return {
+        distance: route.distance, // meters
+        duration: route.duration, // seconds
+        geometry: route.geometry, // GeoJSON geometry
+        legs: route.legs.map(leg => ({
+            distance: leg.distance,
+            duration: leg.duration,
+            steps: leg.steps.map(step => {
+                const stepCoords = step.geometry?.coordinates || [];
+                const start = findCoordinate(coords, stepCoords[0], cursor);
+                const end = findCoordinate(coords, stepCoords[stepCoords.length - 1], start);
+                cursor = end;
+
+                return {
+                    distance: step.distance,
+                    duration: step.duration,
+                    instruction: step.maneuver.type,
+                    modifier: step.maneuver.modifier || null,
+                    exit: step.maneuver.exit || null,
+                    name: step.name || 'Sin nombre',
+                    interval: [start, end]
+                };
+            })
+        })),
+        waypoints: data.waypoints.map(wp => ({
+            name: wp.name,
+            location: [wp.location[1], wp.location[0]] // Convert to [lat, lng]
+        }))
+    };
+}
+
+/**
+ * Duration matrix from the OSRM table service
+ * @param {Array} waypoints - Array of [lat, lng] coordinates
+ * @param {string} profile - OSRM profile name
+ * @param {Object} config - { baseUrl }
+ * @returns {Promise<Array>} - durations[from][to] in seconds
+ */
+async function matrixWithOSRM(waypoints, profile, config) {
+    const coordinates = waypoints
+        .map(wp => `${wp[1]},${wp[0]}`)
+        .join(';');
+
+    const data = await fetchJson(`${trimSlash(config.baseUrl)}/table/v1/${profile}/${coordinates}?annotations=duration`);
+
+    if (data.code !== 'Ok') {
+        throw new Error(data.message || 'Error al calcular la matriz de tiempos');
+    }
+
+    return data.durations;
+}
+
+// ==================== GRAPHHOPPER ====================
+
+// GraphHopper instruction signs mapped to OSRM maneuver types and modifiers
+const GRAPHHOPPER_SIGNS = {
+    '-98': ['continue', 'uturn'],
+    '-8': ['continue', 'uturn'],
+    '-7': ['fork', 'slight left'],
+    '-3': ['turn', 'sharp left'],
+    '-2': ['turn', 'left'],
+    '-1': ['turn', 'slight left'],
+    '0': ['continue', 'straight'],
+    '1': ['turn', 'slight right'],
+    '2': ['turn', 'right'],
+    '3': ['turn', 'sharp right'],
+    '4': ['arrive', null],
+    '5': ['arrive', null],
+    '6': ['roundabout', null],
+    '7': ['fork', 'slight right'],
+    '8': ['continue', 'uturn']
+};
+
+/**
+ * Route with the GraphHopper Directions API
+ * @param {Array} waypoints - Array of [lat, lng] coordinates
+ * @param {string} profile - GraphHopper profile name
+ * @param {Object} config - { baseUrl, apiKey }
+ * @returns {Promise<Object>} - Normalized route
+ */
+async function routeWithGraphHopper(waypoints, profile, config) {
+    const params = new URLSearchParams({
+        profile,
+        points_encoded: 'false',
+        instructions: 'true',
+        locale: 'es'
+    });
+    waypoints.forEach(wp => params.append('point', `${wp[0]},${wp[1]}`));
+    if (config.apiKey) {
+        params.set('key', config.apiKey);
+    }
+
+    const data = await fetchJson(`${trimSlash(config.baseUrl)}/route?${params}`);
+
+    const path = data.paths?.[0];
+    if (!path) {
+        throw new Error(data.message || 'Error al calcular la ruta');
+    }
+
+    // GraphHopper returns a flat instruction list; split it into legs at each via point
+    const legs = [];
+    let current = { distance: 0, duration: 0, steps: [] };
+
+    path.instructions.forEach(instr => {
+        const [type, modifier] = GRAPHHOPPER_SIGNS[instr.sign] || ['continue', null];
+        const isDeparture = instr.sign === 0 && current.steps.length === 0;
+        const step = {
+            distance: instr.distance,
+            duration: instr.time / 1000,
+            instruction: isDeparture ? 'depart' : type,
+            modifier: isDeparture ? null : modifier,
+            exit: instr.exit_number || null,
+            name: instr.street_name || 'Sin nombre',
+            interval: instr.interval
+        };
+
+        current.steps.push(step);
+        current.distance += step.distance;
+        current.duration += step.duration;
+
+        if (instr.sign === 4 || instr.sign === 5) {
+            legs.push(current);
+            current = { distance: 0, duration: 0, steps: [] };
+        }
+    });
+
+    const snapped = path.snapped_waypoints?.coordinates || waypoints.map(wp => [wp[1], wp[0]]);
+
+    return {
+        distance: path.distance,
+        duration: path.time / 1000,
+        geometry: path.points,
+        legs,
+        waypoints: snapped.map(coord => ({
+            name: '',
+            location: [coord[1], coord[0]]
+        }))
+    };
+}
+
+/**
+ * Duration matrix from the GraphHopper Matrix API
+ * @param {Array} waypoints - Array of [lat, lng] coordinates
+ * @param {string} profile - GraphHopper profile name
+ * @param {Object} config - { baseUrl, apiKey }
+ * @returns {Promise<Array>} - durations[from][to] in seconds
+ */
+async function matrixWithGraphHopper(waypoints, profile, config) {
+    const query = config.apiKey ? `?key=${encodeURIComponent(config.apiKey)}` : '';
+    const data = await fetchJson(`${trimSlash(config.baseUrl)}/matrix${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            points: waypoints.map(wp => [wp[1], wp[0]]),
+            out_arrays: ['times'],
+            profile
+        })
+    });
+
+    if (!data.times) {
+        throw new Error(data.message || 'Error al calcular la matriz de tiempos');
+    }
+
+    return data.times;
+}
+
+// ==================== VALHALLA ====================
+
+// Valhalla maneuver types mapped to OSRM maneuver types and modifiers
+const VALHALLA_TYPES = {
+    1: ['depart', null], 2: ['depart', 'right'], 3: ['depart', 'left'],
+    4: ['arrive', null], 5: ['arrive', 'right'], 6: ['arrive', 'left'],
+    7: ['continue', 'straight'], 8: ['continue', 'straight'],
+    9: ['turn', 'slight right'], 10: ['turn', 'right'], 11: ['turn', 'sharp right'],
+    12: ['continue', 'uturn'], 13: ['continue', 'uturn'],
+    14: ['turn', 'sharp left'], 15: ['turn', 'left'], 16: ['turn', 'slight left'],
+    17: ['on ramp', 'straight'], 18: ['on ramp', 'right'], 19: ['on ramp', 'left'],
+    20: ['off ramp', 'right'], 21: ['off ramp', 'left'],
+    22: ['continue', 'straight'], 23: ['fork', 'slight right'], 24: ['fork', 'slight left'],
+    25: ['merge', null],
+    26: ['roundabout', null], 27: ['exit roundabout', null],
+    28: ['ferry', null], 29: ['ferry', null]
+};
+
+/**
+ * Route with a Valhalla server
+ * @param {Array} waypoints - Array of [lat, lng] coordinates
+ * @param {string} profile - Valhalla costing model
+ * @param {Object} config - { baseUrl, apiKey }
+ * @returns {Promise<Object>} - Normalized route
+ */
+async function routeWithValhalla(waypoints, profile, config) {
+    const body = {
+        locations: waypoints.map(wp => ({ lat: wp[0], lon: wp[1] })),
+        costing: profile,
+        directions_options: {
+            units: 'kilometers',
+            language: 'es-ES'
+        }
+    };
+
+    const query = config.apiKey ? `?api_key=${encodeURIComponent(config.apiKey)}` : '';
+    const data = await fetchJson(`${trimSlash(config.baseUrl)}/route${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    const trip = data.trip;
+    if (!trip) {
+        throw new Error(data.error || 'Error al calcular la ruta');
+    }
+
+    // Each leg carries its own encoded shape; stitch them into one line
+    // and remember where each leg starts so maneuver indices can be offset
+    const coordinates = [];
+    const legOffsets = [];
+    trip.legs.forEach((leg, i) => {
+        const shape = decodePolyline(leg.shape, 6);
+        legOffsets.push(i === 0 ? 0 : coordinates.length - 1);
+        coordinates.push(...(i === 0 ? shape : shape.slice(1)));
+    });
+
+    return {
+        distance: trip.summary.length * 1000,
+        duration: trip.summary.time,
+        geometry: {
+            type: 'LineString',
+            coordinates
+        },
+        legs: trip.legs.map((leg, i) => ({
+            distance: leg.summary.length * 1000,
+            duration: leg.summary.time,
+            steps: leg.maneuvers.map(m => {
+                const [type, modifier] = VALHALLA_TYPES[m.type] || ['continue', null];
+                return {
+                    distance: m.length * 1000,
+                    duration: m.time,
+                    instruction: type,
+                    modifier,
+                    exit: m.roundabout_exit_count || null,
+                    name: m.street_names?.[0] || 'Sin nombre',
+                    interval: [legOffsets[i] + m.begin_shape_index, legOffsets[i] + m.end_shape_index]
+                };
+            })
+        })),
+        waypoints: trip.locations.map(loc => ({
+            name: '',
+            location: [loc.lat, loc.lon]
+        }))
+    };
+}
+
+/**
+ * Duration matrix from the Valhalla sources_to_targets service
+ * @param {Array} waypoints - Array of [lat, lng] coordinates
+ * @param {string} profile - Valhalla costing model
+ * @param {Object} config - { baseUrl, apiKey }
+ * @returns {Promise<Array>} - durations[from][to] in seconds
+ */
+async function matrixWithValhalla(waypoints, profile, config) {
+    const locations = waypoints.map(wp => ({ lat: wp[0], lon: wp[1] }));
+    const query = config.apiKey ? `?api_key=${encodeURIComponent(config.apiKey)}` : '';
+
+    const data = await fetchJson(`${trimSlash(config.baseUrl)}/sources_to_targets${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            sources: locations,
+            targets: locations,
+            costing: profile
+        })
+    });
+
+    if (!data.sources_to_targets) {
+        throw new Error(data.error || 'Error al calcular la matriz de tiempos');
+    }
+
+    return data.sources_to_targets.map(row => row.map(cell => cell.time));
+}
+
+// ==================== OPENROUTESERVICE ====================
+
+// OpenRouteService instruction types mapped to OSRM maneuver types and modifiers
+const ORS_TYPES = {
+    0: ['turn', 'left'], 1: ['turn', 'right'],
+    2: ['turn', 'sharp left'], 3: ['turn', 'sharp right'],
+    4: ['turn', 'slight left'], 5: ['turn', 'slight right'],
+    6: ['continue', 'straight'], 7: ['roundabout', null], 8: ['exit roundabout', null],
+    9: ['continue', 'uturn'], 10: ['arrive', null], 11: ['depart', null],
+    12: ['fork', 'slight left'], 13: ['fork', 'slight right']
+};
+
+/**
+ * Route with the OpenRouteService Directions API
+ * @param {Array} waypoints - Array of [lat, lng] coordinates
+ * @param {string} profile - ORS profile name
+ * @param {Object} config - { baseUrl, apiKey }
+ * @returns {Promise<Object>} - Normalized route
+ */
+async function routeWithOpenRouteService(waypoints, profile, config) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) {
+        headers.Authorization = config.apiKey;
+    }
+
+    const data = await fetchJson(`${trimSlash(config.baseUrl)}/v2/directions/${profile}/geojson`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+            coordinates: waypoints.map(wp => [wp[1], wp[0]]),
+            language: 'es'
+        })
+    });
+
+    const feature = data.features?.[0];
+    if (!feature) {
+        throw new Error(data.error?.message || 'Error al calcular la ruta');
+    }
+
+    const { summary, segments = [], way_points: wayPoints = [] } = feature.properties;
+    const coords = feature.geometry.coordinates;
+
+    return {
+        distance: summary.distance,
+        duration: summary.duration,
+        geometry: feature.geometry,
+        legs: segments.map(segment => ({
+            distance: segment.distance,
+            duration: segment.duration,
+            steps: (segment.steps || []).map(step => {
+                const [type, modifier] = ORS_TYPES[step.type] || ['continue', null];
+                return {
+                    distance: step.distance,
+                    duration: step.duration,
+                    instruction: type,
+                    modifier,
+                    exit: step.exit_number || null,
+                    name: step.name && step.name !== '-' ? step.name : 'Sin nombre',
+                    interval: step.way_points
+                };
+            })
+        })),
+        waypoints: wayPoints.map(index => ({
+            name: '',
+            location: [coords[index][1], coords[index][0]]
+        }))
+    };
+}
+
+/**
+ * Duration matrix from the OpenRouteService Matrix API
+ * @param {Array} waypoints - Array of [lat, lng] coordinates
+ * @param {string} profile - ORS profile name
+ * @param {Object} config - { baseUrl, apiKey }
+ * @returns {Promise<Array>} - durations[from][to] in seconds
+ */
+async function matrixWithOpenRouteService(waypoints, profile, config) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) {
+        headers.Authorization = config.apiKey;
+    }
+
+    const data = await fetchJson(`${trimSlash(config.baseUrl)}/v2/matrix/${profile}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+            locations: waypoints.map(wp => [wp[1], wp[0]]),
+            metrics: ['duration']
+        })
+    });
+
+    if (!data.durations) {
+        throw new Error(data.error?.message || 'Error al calcular la matriz de tiempos');
+    }
+
+    return data.durations;
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Fetch JSON and throw on HTTP errors
+ */
+async function fetchJson(url, options = {}) {
+    const response = await fetch(url, options);
+
+    if (!response.ok) {
+        throw new Error(`Error del servidor de routing: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Index of the first coordinate at or after `from` matching `target`
+ * Falls back to `from` when the point can't be found.
+ */
+function findCoordinate(coordinates, target, from = 0) {
+    if (!target) return from;
+
+    for (let i = from; i < coordinates.length; i++) {
+        const coord = coordinates[i];
+        if (Math.abs(coord[0] - target[0]) < 1e-6 && Math.abs(coord[1] - target[1]) < 1e-6) {
+            return i;
+        }
+    }
+
+    return from;
+}
+
+/**
+ * Remove trailing slashes from a base URL
+ */
+function trimSlash(url) {
+    return (url || '').replace(/\/+$/, '');
+}
+
+/**
+ * Decode an encoded polyline into GeoJSON [lng, lat] pairs
+ * @param {string} encoded - Encoded polyline
+ * @param {number} precision - Number of decimal places (5 for Google, 6 for Valhalla)
+ * @returns {Array} - Array of [lng, lat]
+ */
+export function decodePolyline(encoded, precision = 5) {
+    const factor = Math.pow(10, precision);
+    const coordinates = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    while (index < encoded.length) {
+        let result = 0;
+        let shift = 0;
+        let byte;
+
+        do {
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        lat += (result & 1) ? ~(result >> 1) : (result >> 1);
+
+        result = 0;
+        shift = 0;
+        do {
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        lng += (result & 1) ? ~(result >> 1) : (result >> 1);
+
+        coordinates.push([lng / factor, lat / factor]);
+    }
+
+    return coordinates;
+}
+
+export default {
+    RoutingProviders,
+    getRoutingProvider,
+    decodePolyline
+};
@@ -0,0 +1,329 @@
+/**
+ * Search Service for Iceland Geoportal
+ * Diacritic-insensitive, typo-tolerant ranked search over POIs.
+ * Icelandic letters are folded to their usual ASCII spelling
+ * (Þ→th, ð→d, æ→ae, ö→o, á→a...) so "thingvellir" finds "Þingvellir".
+ */
+
+import { escapeHtml } from '../utils/helpers.js';
+
+// Letters that don't decompose into a base letter + accent
+const SPECIAL_FOLDS = {
+    'þ': 'th',
+    'ð': 'd',
+    'æ': 'ae',
+    'ø': 'o',
+    'ß': 'ss'
+};
+
+// Field weights: name matches rank above highlights, highlights above description
+const FIELD_WEIGHTS = {
+    name: 3,
+    highlights: 2,
+    description: 1
+};
+
+// Match quality per kind of match
+const QUALITY = {
+    exact: 1,
+    prefix: 0.8,
+    substring: 0.6,
+    typo: 0.5,
+    typoPrefix: 0.4
+};
+
+/**
+ * Fold text for comparison: lowercase, Icelandic letters spelled out, accents stripped
+ * @param {string} text - Original text
+ * @returns {string}
+ */
+export function foldText(text) {
+    return foldWithMap(text).folded;
+}
+
+/**
+ * Build a search index over a POI list
+ * @param {Array} poiList - POIs
+ * @returns {Object} - { search(query), matches(poi, query) }
+ */
+export function createSearchIndex(poiList) {
+    const entries = new Map();
+
+    poiList.forEach(poi => {
+        entries.set(poi.id, {
+            poi,
+            fields: {
+                name: tokenize(poi.name),
+                highlights: tokenize((poi.highlights || []).join(' · ')),
+                description: tokenize(poi.description)
+            }
+        });
+    });
+
+    const scoreEntry = (entry, terms) => {
+        let total = 0;
+
+        for (const term of terms) {
+            let best = 0;
+            Object.entries(entry.fields).forEach(([field, tokens]) => {
+                const quality = bestQuality(term, tokens);
+                best = Math.max(best, quality * FIELD_WEIGHTS[field]);
+            });
+
+            // Every term has to match somewhere
+            if (best === 0) return 0;
+            total += best;
+        }
+
+        return total;
+    };
+
+    return {
+        /**
+         * Ranked search
+         * @param {string} query - Search text
+         * @returns {Array} - { poi, score } sorted by relevance
+         */
+        search(query) {
+            const terms = queryTerms(query);
+            if (terms.length === 0) {
+                return poiList.map(poi => ({ poi, score: 0 }));
+            }
+
+            const results = [];
+            entries.forEach(entry => {
+                const score = scoreEntry(entry, terms);
+                if (score > 0) results.push({ poi: entry.poi, score });
+            });
+
+            return results.sort((a, b) => b.score - a.score || a.poi.name.localeCompare(b.poi.name));
+        },
+
+        /**
+         * Check a single POI against a query
+         * @param {Object} poi - POI
+         * @param {string} query - Search text
+         * @returns {boolean}
+         */
+        matches(poi, query) {
+            const terms = queryTerms(query);
+            if (terms.length === 0) return true;
+
+            const entry = entries.get(poi.id) || {
+                fields: {
+                    name: tokenize(poi.name),
+                    highlights: tokenize((poi.highlights || []).join(' · ')),
+                    description: tokenize(poi.description)
+                }
+            };
+            return scoreEntry(entry, terms) > 0;
+        }
+    };
+}
+
+/**
+ * Wrap the parts of a text matching the query in <mark> (HTML-escaped)
+ * @param {string} text - Original text
+ * @param {string} query - Search text
+ * @returns {string} - HTML
+ */
+export function highlightMatches(text, query) {
+    const terms = queryTerms(query);
+    if (!text || terms.length === 0) return escapeHtml(text || '');
+
+    const { tokens, map } = tokenize(text);
+    const ranges = [];
+
+    tokens.forEach(token => {
+        terms.forEach(term => {
+            const match = matchToken(term, token.text);
+            if (!match) return;
+
+            // Exact, prefix and substring matches mark the matched letters; typos the whole word
+            const start = match.offset !== null ? token.start + match.offset : token.start;
+            const end = match.offset !== null ? start + term.length : token.end;
+            ranges.push([map[start], map[end - 1] + 1]);
+        });
+    });
+
+    if (ranges.length === 0) return escapeHtml(text);
+
+    // Merge overlapping ranges
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [ranges[0]];
+    ranges.slice(1).forEach(range => {
+        const last = merged[merged.length - 1];
+        if (range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push(range);
+        }
+    });
+
+    let html = '';
+    let cursor = 0;
+    merged.forEach(([start, end]) => {
+        html += escapeHtml(text.slice(cursor, start));
+        html += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        cursor = end;
+    });
+    html += escapeHtml(text.slice(cursor));
+
+    return html;
+}
+
+/**
+ * Snippet showing where a POI matched when the name alone doesn't explain it
+ * @param {Object} poi - POI
+ * @param {string} query - Search text
+ * @returns {string} - Highlighted HTML, or '' when the name matches every term
+ */
+export function getMatchSnippet(poi, query) {
+    const terms = queryTerms(query);
+    if (terms.length === 0) return '';
+
+    const nameTokens = tokenize(poi.name);
+    if (terms.every(term => bestQuality(term, nameTokens) > 0)) return '';
+
+    const highlight = (poi.highlights || []).find(h =>
+        terms.some(term => bestQuality(term, tokenize(h)) > 0)
+    );
+    if (highlight) return highlightMatches(highlight, query);
+
+    // Window of the description around the first matching word
+    const description = poi.description || '';
+    const { tokens, map } = tokenize(description);
+    const first = tokens.find(token => terms.some(term => matchToken(term, token.text)));
+    if (!first) return '';
+
+    const center = map[first.start];
+    const start = Math.max(0, description.lastIndexOf(' ', Math.max(0, center - 40)) + 1);
+    const endSpace = description.indexOf(' ', Math.min(description.length, center + 60));
+    const end = endSpace === -1 ? description.length : endSpace;
+
+    return `${start > 0 ? '…' : ''}${highlightMatches(description.slice(start, end), query)}${end < description.length ? '…' : ''}`;
+}
+
+// ==================== MATCHING ====================
+
+/**
+ * Folded query terms
+ */
+function queryTerms(query) {
+    return foldText(query || '').match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Fold text keeping, for every folded character, the index of the original character
+ */
+function foldWithMap(text) {
+    let folded = '';
+    const map = [];
+    let index = 0; // UTF-16 offset in the original text
+
+    for (const char of text || '') {
+        const lower = char.toLowerCase();
+        const replacement = SPECIAL_FOLDS[lower] ??
+            lower.normalize('NFD').replace(/[̀-ͯ]/g, '');
+
+        for (const c of replacement) {
+            folded += c;
+            map.push(index);
+        }
+        index += char.length;
+    }
+
+    return { folded, map };
+}
+
+/**
+ * Folded text split into word tokens with their positions
+ */
+function tokenize(text) {
+    const { folded, map } = foldWithMap(text);
+    const tokens = [];
+    const pattern = /[a-z0-9]+/g;
+    let match;
+
+    while ((match = pattern.exec(folded)) !== null) {
+        tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+    }
+
+    return { folded, map, tokens };
+}
+
+/**
+ * Best match quality of a term against any token
+ */
+function bestQuality(term, { tokens }) {
+    let best = 0;
+    for (const token of tokens) {
+        const match = matchToken(term, token.text);
+        if (match) best = Math.max(best, match.quality);
+        if (best === QUALITY.exact) break;
+    }
+    return best;
+}
+
+/**
+ * Match a term against a single token
+ * @returns {Object|null} - { quality, offset } (offset null for typo matches)
+ */
+function matchToken(term, token) {
+    if (token === term) return { quality: QUALITY.exact, offset: 0 };
+    if (term.length >= 2 && token.startsWith(term)) return { quality: QUALITY.prefix, offset: 0 };
+
+    // Icelandic compounds: "foss" in "gullfoss", "jokull" in "solheimajokull"
+    if (term.length >= 3) {
+        const offset = token.indexOf(term);
+        if (offset > 0) return { quality: QUALITY.substring, offset };
+    }
+
+    if (term.length < 4) return null;
+
+    const allowed = term.length >= 8 ? 2 : 1;
+    if (Math.abs(token.length - term.length) <= allowed &&
+        editDistance(term, token, allowed) <= allowed) {
+        return { quality: QUALITY.typo, offset: null };
+    }
+
+    // Typo while still typing: compare against the start of the word
+    if (token.length > term.length &&
+        editDistance(term, token.slice(0, term.length), allowed) <= allowed) {
+        return { quality: QUALITY.typoPrefix, offset: null };
+    }
+
+    return null;
+}
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance, bailing out above `max`
+ */
+function editDistance(a, b, max) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+    for (let j = 0; j < cols; j++) d[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+        let rowMin = Infinity;
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, d[i][j]);
+        }
+        if (rowMin > max) return rowMin;
+    }
+
+    return d[rows - 1][cols - 1];
+}
+
+export default {
+    foldText,
+    createSearchIndex,
+    highlightMatches,
+    getMatchSnippet
+};
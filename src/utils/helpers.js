@@ -4,10 +4,11 @@
 
 /**
  * Debounce function
+ * The returned function has a cancel() that drops a pending call.
  */
 export function debounce(func, wait) {
     let timeout;
-    return function executedFunction(...args) {
+    const executedFunction = function (...args) {
         const later = () => {
             clearTimeout(timeout);
             func(...args);
@@ -15,6 +16,8 @@ export function debounce(func, wait) {
         clearTimeout(timeout);
         timeout = setTimeout(later, wait);
     };
+    executedFunction.cancel = () => clearTimeout(timeout);
+    return executedFunction;
 }
 
 /**
@@ -98,6 +101,17 @@ export function truncate(str, length = 100) {
     return str.slice(0, length).trim() + '...';
 }
 
+/**
+ * Escape text for HTML
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 /**
  * Create element with attributes
  */
@@ -147,7 +161,7 @@ export function showToast(message, type = 'info', duration = 4000) {
 
     toast.innerHTML = `
         <div class="toast-icon">${icons[type] || icons.info}</div>
-        <span class="toast-message">${message}</span>
+        <span class="toast-message">${escapeHtml(message)}</span>
     `;
 
     container.appendChild(toast);
@@ -260,6 +274,7 @@ export default {
     deepClone,
     capitalize,
     truncate,
+    escapeHtml,
     createElement,
     showToast,
     confirmDialog,
@@ -0,0 +1,413 @@
+/**
+ * Offline map renderer for Iceland Geoportal HTML exports
+ * A small canvas map (Web Mercator, pan, zoom, popups) that is inlined into
+ * exported HTML files so they work without the portal or any library.
+ * Base tiles are optional: the bundled coastline is drawn underneath and
+ * stays visible wherever tiles can't be loaded.
+ */
+
+/**
+ * Inline <script> contents that render a map into an element
+ * @param {string} elementId - Id of the map container in the exported page
+ * @param {Object} data - { line, stops, coastline, routeColor, tiles }
+ * @returns {string} - JavaScript source
+ */
+export function getOfflineMapScript(elementId, data) {
+    // Keep "</script>" and friends inside strings from closing the tag
+    const json = JSON.stringify(data).replace(/</g, '\\u003c');
+    return `(${renderOfflineMap.toString()})(document.getElementById(${JSON.stringify(elementId)}), ${json});`;
+}
+
+/**
+ * Render the map
+ * Runs inside the exported page, so it must not reference anything outside
+ * its own body.
+ * @param {HTMLElement} container - Map container
+ * @param {Object} data - { line: [[lat, lng]], stops: [{ name, coordinates, color, category,
+ *                         description, highlights, details }], coastline, routeColor,
+ *                         tiles: { url, attribution } | null }
+ */
+export function renderOfflineMap(container, data) {
+    const TILE_SIZE = 256;
+    const MIN_ZOOM = 4;
+    const MAX_ZOOM = 17;
+    const MARKER_RADIUS = 11;
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    const popup = document.createElement('div');
+    popup.className = 'map-popup';
+    popup.hidden = true;
+
+    const controls = document.createElement('div');
+    controls.className = 'map-controls';
+    [['+', 'Acercar', () => zoomAt(size.width / 2, size.height / 2, 1)],
+        ['−', 'Alejar', () => zoomAt(size.width / 2, size.height / 2, -1)],
+        ['⤢', 'Ver toda la ruta', () => { fit(); draw(); }]
+    ].forEach(([label, title, action]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', action);
+        controls.appendChild(button);
+    });
+
+    const attribution = document.createElement('div');
+    attribution.className = 'map-attribution';
+    attribution.innerHTML = data.tiles ? data.tiles.attribution : 'Costa simplificada · Iceland Geoportal';
+
+    container.append(canvas, popup, controls, attribution);
+
+    const tiles = new Map();
+    const size = { width: 0, height: 0 };
+    let zoom = MIN_ZOOM;
+    let center = { x: 0, y: 0 };
+    let openStop = null;
+    let frame = null;
+
+    // ==================== PROJECTION ====================
+
+    const project = ([lat, lng], z = zoom) => {
+        const scale = TILE_SIZE * Math.pow(2, z);
+        const sin = Math.min(Math.max(Math.sin(lat * Math.PI / 180), -0.9999), 0.9999);
+        return {
+            x: (lng + 180) / 360 * scale,
+            y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+        };
+    };
+
+    const toScreen = (latlng) => {
+        const p = project(latlng);
+        return { x: p.x - center.x + size.width / 2, y: p.y - center.y + size.height / 2 };
+    };
+
+    // Largest zoom at which the whole route fits
+    const fit = () => {
+        const points = [...data.line, ...data.stops.map(stop => stop.coordinates)];
+        if (points.length === 0) points.push(...data.coastline);
+
+        for (let z = MAX_ZOOM; z >= MIN_ZOOM; z--) {
+            const projected = points.map(point => project(point, z));
+            const xs = projected.map(p => p.x);
+            const ys = projected.map(p => p.y);
+            const width = Math.max(...xs) - Math.min(...xs);
+            const height = Math.max(...ys) - Math.min(...ys);
+
+            if ((width <= size.width - 80 && height <= size.height - 80) || z === MIN_ZOOM) {
+                zoom = Math.min(z, 13);
+                const scale = Math.pow(2, zoom - z);
+                center = {
+                    x: (Math.min(...xs) + width / 2) * scale,
+                    y: (Math.min(...ys) + height / 2) * scale
+                };
+                return;
+            }
+        }
+    };
+
+    const zoomAt = (x, y, delta) => {
+        const next = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom + delta));
+        if (next === zoom) return;
+
+        // Keep the point under the cursor in place
+        const factor = Math.pow(2, next - zoom);
+        const worldX = center.x + (x - size.width / 2);
+        const worldY = center.y + (y - size.height / 2);
+        center = {
+            x: worldX * factor - (x - size.width / 2),
+            y: worldY * factor - (y - size.height / 2)
+        };
+        zoom = next;
+        draw();
+    };
+
+    // ==================== DRAWING ====================
+
+    const draw = () => {
+        if (frame) return;
+        frame = requestAnimationFrame(() => {
+            frame = null;
+            render();
+        });
+    };
+
+    const path = (points, close) => {
+        ctx.beginPath();
+        points.forEach((point, i) => {
+            const p = toScreen(point);
+            if (i === 0) ctx.moveTo(p.x, p.y);
+            else ctx.lineTo(p.x, p.y);
+        });
+        if (close) ctx.closePath();
+    };
+
+    const drawTiles = () => {
+        const count = Math.pow(2, zoom);
+        const left = center.x - size.width / 2;
+        const top = center.y - size.height / 2;
+        const startX = Math.floor(left / TILE_SIZE);
+        const startY = Math.max(0, Math.floor(top / TILE_SIZE));
+        const endX = Math.floor((left + size.width) / TILE_SIZE);
+        const endY = Math.min(count - 1, Math.floor((top + size.height) / TILE_SIZE));
+
+        for (let tx = startX; tx <= endX; tx++) {
+            for (let ty = startY; ty <= endY; ty++) {
+                const x = ((tx % count) + count) % count;
+                const key = `${zoom}/${x}/${ty}`;
+                let tile = tiles.get(key);
+
+                if (!tile) {
+                    tile = { image: new Image(), loaded: false };
+                    tile.image.onload = () => {
+                        tile.loaded = true;
+                        draw();
+                    };
+                    tile.image.src = data.tiles.url
+                        .replace('{s}', 'abc'[(x + ty) % 3])
+                        .replace('{z}', zoom)
+                        .replace('{x}', x)
+                        .replace('{y}', ty);
+                    tiles.set(key, tile);
+                }
+
+                if (tile.loaded) {
+                    ctx.drawImage(tile.image, tx * TILE_SIZE - left, ty * TILE_SIZE - top, TILE_SIZE, TILE_SIZE);
+                }
+            }
+        }
+    };
+
+    const render = () => {
+        ctx.setTransform(window.devicePixelRatio || 1, 0, 0, window.devicePixelRatio || 1, 0, 0);
+
+        // Sea and coastline: the offline fallback, covered by tiles once they load
+        ctx.fillStyle = '#e0f2fe';
+        ctx.fillRect(0, 0, size.width, size.height);
+        path(data.coastline, true);
+        ctx.fillStyle = '#f1f5ec';
+        ctx.fill();
+        ctx.strokeStyle = '#94a3b8';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        if (data.tiles && navigator.onLine !== false) {
+            drawTiles();
+        }
+
+        // Route line with a white casing
+        if (data.line.length > 1) {
+            ctx.lineJoin = 'round';
+            ctx.lineCap = 'round';
+            path(data.line, false);
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 7;
+            ctx.stroke();
+            ctx.strokeStyle = data.routeColor;
+            ctx.lineWidth = 4;
+            ctx.stroke();
+        }
+
+        ctx.font = 'bold 11px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        data.stops.forEach((stop, i) => {
+            const p = toScreen(stop.coordinates);
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, MARKER_RADIUS, 0, Math.PI * 2);
+            ctx.fillStyle = stop.color;
+            ctx.fill();
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2.5;
+            ctx.stroke();
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(String(i + 1), p.x, p.y + 0.5);
+        });
+
+        placePopup();
+    };
+
+    // ==================== POPUPS ====================
+
+    const showPopup = (index) => {
+        const stop = data.stops[index];
+        openStop = index;
+        popup.replaceChildren();
+
+        const title = document.createElement('h4');
+        title.textContent = `${index + 1}. ${stop.name}`;
+        popup.appendChild(title);
+
+        const category = document.createElement('span');
+        category.className = 'map-popup-category';
+        category.textContent = stop.category;
+        category.style.color = stop.color;
+        popup.appendChild(category);
+
+        if (stop.description) {
+            const description = document.createElement('p');
+            description.textContent = stop.description;
+            popup.appendChild(description);
+        }
+
+        if (stop.highlights.length > 0) {
+            const list = document.createElement('ul');
+            stop.highlights.forEach(highlight => {
+                const item = document.createElement('li');
+                item.textContent = highlight;
+                list.appendChild(item);
+            });
+            popup.appendChild(list);
+        }
+
+        if (stop.details) {
+            const details = document.createElement('small');
+            details.textContent = stop.details;
+            popup.appendChild(details);
+        }
+
+        popup.hidden = false;
+        placePopup();
+    };
+
+    const hidePopup = () => {
+        openStop = null;
+        popup.hidden = true;
+    };
+
+    const placePopup = () => {
+        if (openStop === null) return;
+        const p = toScreen(data.stops[openStop].coordinates);
+        popup.style.left = `${p.x}px`;
+        popup.style.top = `${p.y - MARKER_RADIUS - 6}px`;
+    };
+
+    const stopAt = (x, y) => {
+        for (let i = data.stops.length - 1; i >= 0; i--) {
+            const p = toScreen(data.stops[i].coordinates);
+            if (Math.hypot(p.x - x, p.y - y) <= MARKER_RADIUS + 3) return i;
+        }
+        return -1;
+    };
+
+    // ==================== INTERACTION ====================
+
+    const pointers = new Map();
+    let drag = null;
+    let pinch = null;
+
+    const localPoint = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+
+    canvas.addEventListener('pointerdown', (e) => {
+        canvas.setPointerCapture(e.pointerId);
+        pointers.set(e.pointerId, localPoint(e));
+
+        if (pointers.size === 2) {
+            const [a, b] = [...pointers.values()];
+            pinch = { distance: Math.hypot(a.x - b.x, a.y - b.y) };
+            drag = null;
+        } else {
+            drag = { ...localPoint(e), moved: false };
+        }
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        if (!pointers.has(e.pointerId)) return;
+        const point = localPoint(e);
+        pointers.set(e.pointerId, point);
+
+        if (pinch && pointers.size === 2) {
+            // Two-finger zoom in whole steps
+            const [a, b] = [...pointers.values()];
+            const distance = Math.hypot(a.x - b.x, a.y - b.y);
+            const ratio = distance / pinch.distance;
+            if (ratio > 1.6 || ratio < 0.6) {
+                zoomAt((a.x + b.x) / 2, (a.y + b.y) / 2, ratio > 1 ? 1 : -1);
+                pinch.distance = distance;
+            }
+            return;
+        }
+
+        if (drag) {
+            const dx = point.x - drag.x;
+            const dy = point.y - drag.y;
+            if (!drag.moved && Math.hypot(dx, dy) < 3) return;
+            drag.moved = true;
+            center = { x: center.x - dx, y: center.y - dy };
+            drag.x = point.x;
+            drag.y = point.y;
+            draw();
+        }
+    });
+
+    const endPointer = (e) => {
+        pointers.delete(e.pointerId);
+        if (pointers.size < 2) pinch = null;
+
+        if (drag && !drag.moved && e.type === 'pointerup') {
+            const { x, y } = localPoint(e);
+            const index = stopAt(x, y);
+            if (index >= 0) showPopup(index);
+            else hidePopup();
+        }
+        drag = null;
+    };
+    canvas.addEventListener('pointerup', endPointer);
+    canvas.addEventListener('pointercancel', endPointer);
+
+    canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const { x, y } = localPoint(e);
+        zoomAt(x, y, e.deltaY < 0 ? 1 : -1);
+    }, { passive: false });
+
+    canvas.addEventListener('dblclick', (e) => {
+        const { x, y } = localPoint(e);
+        zoomAt(x, y, 1);
+    });
+
+    // Stops listed elsewhere in the page open on the map
+    document.querySelectorAll('[data-stop]').forEach(el => {
+        el.addEventListener('click', () => {
+            const index = parseInt(el.dataset.stop, 10);
+            const stop = data.stops[index];
+            if (!stop) return;
+
+            zoom = Math.max(zoom, 10);
+            center = project(stop.coordinates);
+            showPopup(index);
+            draw();
+            container.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        });
+    });
+
+    // ==================== SIZE ====================
+
+    const resize = () => {
+        const ratio = window.devicePixelRatio || 1;
+        size.width = container.clientWidth;
+        size.height = container.clientHeight;
+        canvas.width = Math.round(size.width * ratio);
+        canvas.height = Math.round(size.height * ratio);
+        canvas.style.width = `${size.width}px`;
+        canvas.style.height = `${size.height}px`;
+        render();
+    };
+
+    window.addEventListener('resize', resize);
+    window.addEventListener('online', draw);
+
+    size.width = container.clientWidth;
+    size.height = container.clientHeight;
+    fit();
+    resize();
+}
+
+export default {
+    getOfflineMapScript,
+    renderOfflineMap
+};
@@ -0,0 +1,118 @@
+/**
+ * Minimal ZIP writer for Iceland Geoportal
+ * Writes uncompressed (stored) archives, which is all KMZ and batch
+ * exports need and keeps the app free of extra dependencies.
+ */
+
+const encoder = new TextEncoder();
+let crcTable = null;
+
+/**
+ * Build a ZIP archive
+ * @param {Array} files - [{ name, data }] where data is a string, Uint8Array or Blob
+ * @param {string} mimeType - Type of the resulting Blob
+ * @returns {Promise<Blob>}
+ */
+export async function createZip(files, mimeType = 'application/zip') {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    const { time, date } = dosDateTime(new Date());
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = await toBytes(file.data);
+        const crc = crc32(data);
+
+        // Local file header
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);        // version needed
+        header.setUint16(6, 0x0800, true);    // UTF-8 names
+        header.setUint16(8, 0, true);         // stored
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+
+        parts.push(header, name, data);
+
+        // Central directory entry
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);         // version made by
+        entry.setUint16(6, 20, true);         // version needed
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, date, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);    // local header offset
+
+        central.push(entry, name);
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+
+    // End of central directory
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: mimeType });
+}
+
+/**
+ * Bytes of a file's contents
+ */
+async function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (typeof data === 'string') return encoder.encode(data);
+    return new Uint8Array(await data.arrayBuffer());
+}
+
+/**
+ * CRC-32 checksum (IEEE polynomial)
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Date and time in MS-DOS format
+ */
+function dosDateTime(d) {
+    return {
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+        date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    };
+}
+
+export default {
+    createZip
+};
@@ -0,0 +1,495 @@
+/**
+ * Offline Routing Worker for Iceland Geoportal
+ * Runs A* over the bundled Iceland road graph so routes can be calculated
+ * without network access.
+ *
+ * Graph format (assets/data/iceland-roads.json):
+ *   classes - road classes with average speed (km/h) per transport mode
+ *   roads   - [ref, name, classIndex]
+ *   nodes   - flat [lat, lng, lat, lng, ...]
+ *   edges   - flat [fromNode, toNode, roadIndex, ...] (bidirectional)
+ * scripts/build-road-graph.mjs builds it from an OpenStreetMap extract.
+ *
+ * Messages:
+ *   in:  { id, type: 'route', waypoints: [[lat, lng], ...], mode }
+ *   out: { id, result } or { id, error }
+ */
+
+const GRAPH_URL = '../../assets/data/iceland-roads.json';
+
+// Waypoints further than this from the nearest road are rejected so the route
+// falls back to straight lines instead of inventing a long road (meters)
+const MAX_SNAP_DISTANCE = 5000;
+
+// The simplified graph cuts corners; scale straight edge lengths to road length
+const ROAD_CIRCUITY = 1.15;
+
+// Speed used for the off-road connector between a waypoint and the network
+const CONNECTOR_SPEED = {
+    driving: 30,
+    cycling: 12,
+    walking: 4
+};
+
+let graphPromise = null;
+
+self.addEventListener('message', async (event) => {
+    const { id, type, waypoints, mode } = event.data;
+
+    if (type !== 'route') {
+        self.postMessage({ id, error: `Tipo de mensaje desconocido: ${type}` });
+        return;
+    }
+
+    try {
+        const graph = await loadGraph();
+        const result = calculateRoute(graph, waypoints, mode);
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
+
+// ==================== GRAPH ====================
+
+/**
+ * Load and index the road graph (once per worker)
+ */
+function loadGraph() {
+    if (!graphPromise) {
+        graphPromise = fetch(new URL(GRAPH_URL, self.location.href))
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`No se pudo cargar la red viaria: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(buildGraph)
+            .catch(error => {
+                // Allow a retry on the next request
+                graphPromise = null;
+                throw error;
+            });
+    }
+    return graphPromise;
+}
+
+/**
+ * Build adjacency lists from the compact graph data
+ */
+function buildGraph(data) {
+    const nodeCount = data.nodes.length / 2;
+    const nodes = new Array(nodeCount);
+    const adjacency = Array.from({ length: nodeCount }, () => []);
+
+    for (let i = 0; i < nodeCount; i++) {
+        nodes[i] = [data.nodes[i * 2], data.nodes[i * 2 + 1]];
+    }
+
+    for (let i = 0; i < data.edges.length; i += 3) {
+        const from = data.edges[i];
+        const to = data.edges[i + 1];
+        const road = data.edges[i + 2];
+        const distance = haversine(nodes[from], nodes[to]) * ROAD_CIRCUITY;
+
+        adjacency[from].push({ to, road, distance });
+        adjacency[to].push({ to: from, road, distance });
+    }
+
+    assertConnected(adjacency);
+
+    const maxSpeed = {};
+    data.classes.forEach(cls => {
+        Object.entries(cls.speed).forEach(([mode, speed]) => {
+            maxSpeed[mode] = Math.max(maxSpeed[mode] || 0, speed);
+        });
+    });
+
+    return {
+        nodes,
+        adjacency,
+        roads: data.roads,
+        classes: data.classes,
+        maxSpeed
+    };
+}
+
+/**
+ * Fail loudly if part of the graph cannot be reached from node 0
+ * A disconnected piece would only show up as "no connection" errors for
+ * waypoints that happen to snap onto it.
+ */
+function assertConnected(adjacency) {
+    const reached = new Uint8Array(adjacency.length);
+    const stack = [0];
+    reached[0] = 1;
+
+    while (stack.length > 0) {
+        adjacency[stack.pop()].forEach(({ to }) => {
+            if (!reached[to]) {
+                reached[to] = 1;
+                stack.push(to);
+            }
+        });
+    }
+
+    const unreached = [];
+    reached.forEach((isReached, node) => {
+        if (!isReached) unreached.push(node);
+    });
+    if (unreached.length > 0) {
+        throw new Error(`La red viaria tiene nodos sin conexión: ${unreached.join(', ')}`);
+    }
+}
+
+// ==================== ROUTING ====================
+
+/**
+ * Calculate a multi-leg route in the normalized routing shape
+ */
+function calculateRoute(graph, waypoints, mode = 'driving') {
+    if (!waypoints || waypoints.length < 2) {
+        throw new Error('Se necesitan al menos 2 puntos para calcular una ruta');
+    }
+
+    const snapped = waypoints.map(point => {
+        const snap = nearestNode(graph, point);
+        if (snap.offRoad > MAX_SNAP_DISTANCE) {
+            throw new Error('Punto demasiado lejos de la red viaria');
+        }
+        return snap;
+    });
+
+    const connectorSpeed = CONNECTOR_SPEED[mode] || CONNECTOR_SPEED.driving;
+    const coordinates = [];
+    const legs = [];
+
+    for (let i = 0; i < waypoints.length - 1; i++) {
+        const start = snapped[i];
+        const end = snapped[i + 1];
+        const path = aStar(graph, start.node, end.node, mode);
+
+        if (!path) {
+            throw new Error('No hay conexión por carretera entre los puntos');
+        }
+
+        // Index of this leg's first point in the route line (shared with the previous leg)
+        const offset = i === 0 ? 0 : coordinates.length - 1;
+        const leg = buildLeg(graph, path, mode, offset);
+
+        // Off-road connectors from the waypoints to the snapped nodes
+        const departure = connector(start.distance, connectorSpeed);
+        const arrival = connector(end.distance, connectorSpeed);
+        leg.distance += departure.distance + arrival.distance;
+        leg.duration += departure.duration + arrival.duration;
+        leg.steps[0].distance += departure.distance;
+        leg.steps[0].duration += departure.duration;
+        leg.steps[leg.steps.length - 1].distance += arrival.distance;
+        leg.steps[leg.steps.length - 1].duration += arrival.duration;
+        legs.push(leg);
+
+        const legCoords = [waypoints[i], ...path.map(n => graph.nodes[n]), waypoints[i + 1]];
+        legCoords.forEach((coord, j) => {
+            if (i > 0 && j === 0) return; // Shared with the previous leg
+            coordinates.push([coord[1], coord[0]]);
+        });
+    }
+
+    return {
+        distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+        duration: legs.reduce((sum, leg) => sum + leg.duration, 0),
+        geometry: {
+            type: 'LineString',
+            coordinates
+        },
+        legs,
+        waypoints: snapped.map(snap => ({
+            name: '',
+            location: graph.nodes[snap.node]
+        }))
+    };
+}
+
+/**
+ * A* search minimizing travel time
+ * @returns {Array|null} - Node path or null if unreachable
+ */
+function aStar(graph, start, goal, mode) {
+    if (start === goal) return [start];
+
+    const goalCoord = graph.nodes[goal];
+    const maxSpeed = graph.maxSpeed[mode] || graph.maxSpeed.driving;
+    const heuristic = (node) => haversine(graph.nodes[node], goalCoord) / (maxSpeed / 3.6);
+
+    const cost = new Map([[start, 0]]);
+    const previous = new Map();
+    const closed = new Set();
+    const open = new MinHeap();
+    open.push(start, heuristic(start));
+
+    while (open.size > 0) {
+        const current = open.pop();
+        if (current === goal) break;
+        if (closed.has(current)) continue;
+        closed.add(current);
+
+        graph.adjacency[current].forEach(edge => {
+            if (closed.has(edge.to)) return;
+
+            const speed = edgeSpeed(graph, edge, mode);
+            const tentative = cost.get(current) + edge.distance / (speed / 3.6);
+
+            if (tentative < (cost.has(edge.to) ? cost.get(edge.to) : Infinity)) {
+                cost.set(edge.to, tentative);
+                previous.set(edge.to, { node: current, edge });
+                open.push(edge.to, tentative + heuristic(edge.to));
+            }
+        });
+    }
+
+    if (!previous.has(goal)) return null;
+
+    const path = [goal];
+    let node = goal;
+    while (node !== start) {
+        node = previous.get(node).node;
+        path.unshift(node);
+    }
+
+    path.edges = [];
+    for (let i = 1; i < path.length; i++) {
+        path.edges.push(previous.get(path[i]).edge);
+    }
+
+    return path;
+}
+
+/**
+ * Build a leg with one step per road stretch
+ * Leg coordinates are [waypoint, ...path nodes, waypoint] starting at `offset`,
+ * so path node j sits at offset + 1 + j in the route line.
+ */
+function buildLeg(graph, path, mode, offset) {
+    const steps = [];
+    const end = offset + path.length + 1;
+
+    (path.edges || []).forEach((edge, e) => {
+        const duration = edge.distance / (edgeSpeed(graph, edge, mode) / 3.6);
+        const last = steps[steps.length - 1];
+
+        if (last && last.road === edge.road) {
+            last.distance += edge.distance;
+            last.duration += duration;
+            last.interval[1] = offset + 2 + e;
+        } else {
+            steps.push({
+                road: edge.road,
+                distance: edge.distance,
+                duration,
+                instruction: steps.length === 0 ? 'depart' : 'turn',
+                modifier: steps.length === 0 ? null : turnModifier(graph, path[e - 1], path[e], path[e + 1]),
+                exit: null,
+                name: roadName(graph, edge.road),
+                interval: [steps.length === 0 ? offset : offset + 1 + e, offset + 2 + e]
+            });
+        }
+    });
+
+    if (steps.length === 0) {
+        steps.push({
+            distance: 0,
+            duration: 0,
+            instruction: 'depart',
+            modifier: null,
+            exit: null,
+            name: 'Sin nombre',
+            interval: [offset, end]
+        });
+    }
+
+    // The last stretch runs on to the destination waypoint
+    steps[steps.length - 1].interval[1] = end;
+
+    steps.push({
+        distance: 0,
+        duration: 0,
+        instruction: 'arrive',
+        modifier: null,
+        exit: null,
+        name: steps[steps.length - 1].name,
+        interval: [end, end]
+    });
+
+    return {
+        distance: steps.reduce((sum, s) => sum + s.distance, 0),
+        duration: steps.reduce((sum, s) => sum + s.duration, 0),
+        steps: steps.map(({ road, ...step }) => step)
+    };
+}
+
+/**
+ * Speed for an edge in km/h
+ */
+function edgeSpeed(graph, edge, mode) {
+    const cls = graph.classes[graph.roads[edge.road][2]];
+    return cls.speed[mode] || cls.speed.driving;
+}
+
+/**
+ * Display name for a road, e.g. "Þjóðvegur 1" or "Kjalvegur (F35)"
+ */
+function roadName(graph, roadIndex) {
+    const [ref, name] = graph.roads[roadIndex];
+    if (name && ref && !name.includes(ref)) return `${name} (${ref})`;
+    return name || ref || 'Sin nombre';
+}
+
+/**
+ * OSRM-style turn modifier at `via` when going from `from` to `to`
+ */
+function turnModifier(graph, from, via, to) {
+    const inBearing = bearing(graph.nodes[from], graph.nodes[via]);
+    const outBearing = bearing(graph.nodes[via], graph.nodes[to]);
+    const angle = ((outBearing - inBearing + 540) % 360) - 180; // -180..180, positive = right
+    const side = angle > 0 ? 'right' : 'left';
+    const abs = Math.abs(angle);
+
+    if (abs < 20) return 'straight';
+    if (abs < 60) return `slight ${side}`;
+    if (abs < 140) return side;
+    if (abs < 170) return `sharp ${side}`;
+    return 'uturn';
+}
+
+/**
+ * Initial bearing in degrees between two [lat, lng] points
+ */
+function bearing(a, b) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLon = toRad(b[1] - a[1]);
+    const y = Math.sin(dLon) * Math.cos(toRad(b[0]));
+    const x = Math.cos(toRad(a[0])) * Math.sin(toRad(b[0])) -
+        Math.sin(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Distance and duration of an off-road connector
+ */
+function connector(distance, speed) {
+    return {
+        distance,
+        duration: distance / (speed / 3.6)
+    };
+}
+
+/**
+ * Find the graph node to connect a point to
+ * The node is the nearer end of the closest road segment; offRoad is the
+ * distance to that segment, distance the connector length to the node.
+ */
+function nearestNode(graph, point) {
+    let best = { node: -1, distance: Infinity, offRoad: Infinity };
+
+    graph.adjacency.forEach((edges, from) => {
+        edges.forEach(({ to }) => {
+            // Each segment is listed from both ends; look at it once
+            if (to < from) return;
+
+            const offRoad = segmentDistance(point, graph.nodes[from], graph.nodes[to]);
+            if (offRoad < best.offRoad) {
+                const fromDistance = haversine(point, graph.nodes[from]);
+                const toDistance = haversine(point, graph.nodes[to]);
+                best = fromDistance <= toDistance
+                    ? { node: from, distance: fromDistance, offRoad }
+                    : { node: to, distance: toDistance, offRoad };
+            }
+        });
+    });
+
+    return best;
+}
+
+/**
+ * Distance in meters from a point to a segment, all [lat, lng]
+ * Uses a flat projection around the point, fine at road-segment scale.
+ */
+function segmentDistance(point, a, b) {
+    const metersPerDegree = 111320;
+    const cosLat = Math.cos(point[0] * Math.PI / 180);
+    const toXY = ([lat, lng]) => [(lng - point[1]) * metersPerDegree * cosLat, (lat - point[0]) * metersPerDegree];
+
+    const [ax, ay] = toXY(a);
+    const [bx, by] = toXY(b);
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+
+    return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+/**
+ * Haversine distance in meters between two [lat, lng] points
+ */
+function haversine(a, b) {
+    const R = 6371000;
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(b[0] - a[0]);
+    const dLon = toRad(b[1] - a[1]);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLon / 2) ** 2;
+    return 2 * R * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/**
+ * Minimal binary heap keyed by priority
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(value, priority) {
+        const items = this.items;
+        items.push({ value, priority });
+        let i = items.length - 1;
+
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+
+                if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+
+        return top.value;
+    }
+}
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'iceland-geo-v1';
+const CACHE_NAME = 'iceland-geo-v2';
 const ASSETS_TO_CACHE = [
   './',
   './index.html',
@@ -9,16 +9,32 @@ const ASSETS_TO_CACHE = [
   './styles/mobile-overrides.css',
   './src/app.js',
   './src/components/Map.js',
+  './src/data/coastline.js',
   './src/data/pois.js',
   './src/services/database.js',
   './src/services/routing.js',
+  './src/services/routingProviders.js',
+  './src/services/offlineRouting.js',
+  './src/services/optimizer.js',
+  './src/services/itinerary.js',
+  './src/services/directions.js',
+  './src/services/elevation.js',
+  './src/services/filters.js',
+  './src/services/search.js',
+  './src/services/geocoding.js',
   './src/services/export.js',
+  './src/services/import.js',
+  './src/services/backup.js',
+  './src/services/revisions.js',
   './src/utils/helpers.js',
+  './src/utils/offlineMap.js',
+  './src/utils/zip.js',
+  './src/workers/routingWorker.js',
+  './assets/data/iceland-roads.json',
   'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
   'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
   'https://unpkg.com/dexie@3.2.4/dist/dexie.min.js',
   'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
-  'https://html2canvas.hertzen.com/dist/html2canvas.min.js',
   'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap'
 ];
 
@@ -30,6 +46,16 @@ self.addEventListener('install', (event) => {
   );
 });
 
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys().then((keys) => {
+      return Promise.all(
+        keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))
+      );
+    })
+  );
+});
+
 self.addEventListener('fetch', (event) => {
   event.respondWith(
     caches.match(event.request).then((response) => {